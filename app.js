@@ -1,75 +1,195 @@
 // ===========================
 // SIMULATION STATE
 // ===========================
-const state = {
-    isRunning: false,
-    time: 0,
-    windAngle: 0,
-    windSpeed: 15,
-    windVertical: 0, // Vertical wind component (updraft/downdraft)
-    windPattern: 'urban',
-    learningRate: 0.5,
-
-    // Swarm turbine (6 turbines in honeycomb)
-    swarm: {
-        turbines: [],
-        totalEnergy: 0,
-        totalEfficiency: 0,
-        energyHistory: []
-    },
+// Physics lives in sim/*.js; this file only wires controls and renders
+// snapshots produced by the engine, which steps in a Web Worker (see
+// sim/remote.js).
+const { createRemoteSimulation } = SwarmSim.remote;
+const { rotorCounts } = SwarmSim.simulation;
+const { normalizeSeed, randomSeed } = SwarmSim.random;
+const { parseWindFile } = SwarmSim.windData;
+const { recordingToCsv, recordingToJson } = SwarmSim.recorder;
+const { parseCustomPositions, measureLayout } = SwarmSim.layout;
+const { wakeConeOutline, flowDirection } = SwarmSim.wake;
+const { sampleWindField } = SwarmSim.windField;
+const { listControllers, angleDelta } = SwarmSim.controllers;
+const { DEFAULT_ACTUATOR } = SwarmSim.actuator;
+const { listTurbines, resolveTurbine, describeTurbine } = SwarmSim.turbines;
+const { listBaselines } = SwarmSim.baselines;
+const { FAULT_TYPES, listFaultTypes, faultsOnRotors } = SwarmSim.faults;
+const { DEFAULT_SENSORS, listEstimators } = SwarmSim.sensors;
+const { DEFAULT_BUILDING, listLoadProfiles, parseLoadCsv } = SwarmSim.building;
+const { DEFAULT_CLIMATE } = SwarmSim.climate;
+const { histogram, batchToCsv, batchToJson } = SwarmSim.batch;
+const { TURBULENCE_BLOCK, weibullDensity } = SwarmSim.windStats;
+const { DEFAULT_ECONOMICS, checkEconomics, evaluateEconomics } = SwarmSim.economics;
+const { listPresets, getPreset, createScenario, scenarioConfig, scenarioEconomics, parseScenario, scenarioToJson, scenarioToHash, scenarioFromHash } = SwarmSim.scenarios;
+
+// Chart and metric colour for each baseline
+const BASELINE_COLORS = {
+    fixed: '#f5576c',
+    prevailing: '#fee140',
+    'yaw-tracking': '#b388ff',
+    'small-array': '#43e97b'
+};
 
-    // Baseline turbine (single fixed)
-    baseline: {
-        angle: 0,
-        tilt: 0,
-        energy: 0,
-        totalEnergy: 0,
-        efficiency: 0,
-        energyHistory: []
+const app = {
+    sim: null,
+    snapshot: null,
+    shown: null,          // What the canvases, stats and chart show: the live snapshot or a timeline frame
+    review: null,         // Step shown from the timeline, or null for the live run
+    replayTimer: null,    // Pending setTimeout of timeline replay
+    replayLast: 0,        // performance.now() of the previous replay tick
+    replayPending: 0,     // Steps owed to the replay speed
+    revealStep: false,    // Pan the chart to the reviewed step once its frame arrives
+    isRunning: false,
+    renderFrame: null,    // Pending requestAnimationFrame of the renderer
+    fastForwardTo: null,  // Target in simulated seconds while fast-forwarding
+    recordedWind: null,
+    loadData: null,     // Custom building load series from a CSV file
+    showWakes: true,
+    showWindField: true,
+    baselineRows: null, // Metric bar elements per chosen baseline
+    inspected: null,    // Index of the swarm turbine in the inspector
+    view: 'top',        // Turbine canvases: 'top' (plan) or 'elevation' (side)
+    panelTime: null,    // Step the analysis panels below the chart were last drawn for
+    chart: {
+        view: null,     // { from, to } simulated seconds; null shows the whole run
+        follow: true,   // Slide the view along as the run grows
+        hoverX: null,   // Pointer position for the crosshair
+        drag: null      // Pan in progress
     },
-
-    animationFrame: null
+    batchRunning: false, // A Monte Carlo batch is running in the worker
+    batchResult: null
 };
 
-// Initialize swarm with 6 turbines in honeycomb pattern
-function initializeSwarm() {
-    const positions = [
-        { x: 0, y: -1 },     // Top
-        { x: 0.866, y: -0.5 }, // Top-right
-        { x: 0.866, y: 0.5 },  // Bottom-right
-        { x: 0, y: 1 },      // Bottom
-        { x: -0.866, y: 0.5 }, // Bottom-left
-        { x: -0.866, y: -0.5 } // Top-left
-    ];
-
-    state.swarm.turbines = positions.map((pos, i) => ({
-        id: i,
-        x: pos.x,
-        y: pos.y,
-        angle: 0,
-        targetAngle: 0,
-        tilt: 0,
-        targetTilt: 0,
-        energy: 0,
-        efficiency: 0,
-        rotation: 0
-    }));
-}
-
 // ===========================
 // DOM ELEMENTS
 // ===========================
 const elements = {
+    scenarioSelect: document.getElementById('scenario-select'),
+    scenarioLoadBtn: document.getElementById('scenario-load-btn'),
+    scenarioDeleteBtn: document.getElementById('scenario-delete-btn'),
+    scenarioName: document.getElementById('scenario-name'),
+    scenarioSaveBtn: document.getElementById('scenario-save-btn'),
+    scenarioExportBtn: document.getElementById('scenario-export-btn'),
+    scenarioImportFile: document.getElementById('scenario-import-file'),
+    scenarioLinkBtn: document.getElementById('scenario-link-btn'),
+    scenarioStatus: document.getElementById('scenario-status'),
     // Controls
     windPattern: document.getElementById('wind-pattern'),
+    controller: document.getElementById('controller'),
+    recordedControls: document.getElementById('recorded-controls'),
+    recordedFile: document.getElementById('recorded-file'),
+    recordedLoop: document.getElementById('recorded-loop'),
+    recordedStatus: document.getElementById('recorded-status'),
     learningRate: document.getElementById('learning-rate'),
     learningRateValue: document.getElementById('learning-rate-value'),
     windSpeed: document.getElementById('wind-speed'),
     windSpeedValue: document.getElementById('wind-speed-value'),
+    swarmLayout: document.getElementById('swarm-layout'),
+    gridControls: document.getElementById('grid-controls'),
+    gridRows: document.getElementById('grid-rows'),
+    gridCols: document.getElementById('grid-cols'),
+    customLayoutControls: document.getElementById('custom-layout-controls'),
+    customLayout: document.getElementById('custom-layout'),
+    customLayoutStatus: document.getElementById('custom-layout-status'),
+    swarmTurbine: document.getElementById('swarm-model'),
+    swarmTurbineStatus: document.getElementById('swarm-model-status'),
+    swarmRotorDiameter: document.getElementById('swarm-rotor-diameter'),
+    swarmRotorDiameterValue: document.getElementById('swarm-rotor-diameter-value'),
+    baselineTurbine: document.getElementById('baseline-model'),
+    baselineTurbineStatus: document.getElementById('baseline-model-status'),
+    baselineOptions: document.getElementById('baseline-options'),
+    airDensity: document.getElementById('air-density'),
+    airDensityValue: document.getElementById('air-density-value'),
+    turbineSpacing: document.getElementById('turbine-spacing'),
+    turbineSpacingValue: document.getElementById('turbine-spacing-value'),
+    swarmInteraction: document.getElementById('swarm-interaction'),
+    showWakes: document.getElementById('show-wakes'),
+    wakeDecay: document.getElementById('wake-decay'),
+    wakeDecayValue: document.getElementById('wake-decay-value'),
+    maxYawRate: document.getElementById('max-yaw-rate'),
+    maxTiltRate: document.getElementById('max-tilt-rate'),
+    yawDeadband: document.getElementById('yaw-deadband'),
+    tiltDeadband: document.getElementById('tilt-deadband'),
+    yawEnergy: document.getElementById('yaw-energy'),
+    tiltEnergy: document.getElementById('tilt-energy'),
+    sensorAngleNoise: document.getElementById('sensor-angle-noise'),
+    sensorAngleBias: document.getElementById('sensor-angle-bias'),
+    sensorSpeedNoise: document.getElementById('sensor-speed-noise'),
+    sensorSpeedBias: document.getElementById('sensor-speed-bias'),
+    sensorVerticalNoise: document.getElementById('sensor-vertical-noise'),
+    sensorPowerNoise: document.getElementById('sensor-power-noise'),
+    sensorLatency: document.getElementById('sensor-latency'),
+    sensorSampleSeconds: document.getElementById('sensor-sample-seconds'),
+    estimator: document.getElementById('estimator'),
+    estimatorTimeConstant: document.getElementById('estimator-time-constant'),
+    sensorStatus: document.getElementById('sensor-status'),
+    windField: document.getElementById('wind-field'),
+    showWindField: document.getElementById('show-wind-field'),
+    windFieldIntensity: document.getElementById('wind-field-intensity'),
+    windFieldIntensityValue: document.getElementById('wind-field-intensity-value'),
+    seed: document.getElementById('seed'),
+    seedRandomizeBtn: document.getElementById('seed-randomize-btn'),
     startBtn: document.getElementById('start-btn'),
     resetBtn: document.getElementById('reset-btn'),
+    batchRuns: document.getElementById('batch-runs'),
+    batchSteps: document.getElementById('batch-steps'),
+    batchRunBtn: document.getElementById('batch-run-btn'),
+    batchStatus: document.getElementById('batch-status'),
+    batchResults: document.getElementById('batch-results'),
+    batchSummary: document.getElementById('batch-summary'),
+    batchHistogram: document.getElementById('batch-histogram'),
+    loadProfile: document.getElementById('load-profile'),
+    loadPeak: document.getElementById('load-peak'),
+    loadFile: document.getElementById('load-file'),
+    loadStatus: document.getElementById('load-status'),
+    batteryCapacity: document.getElementById('battery-capacity'),
+    batteryEfficiency: document.getElementById('battery-efficiency'),
+    batteryChargePower: document.getElementById('battery-charge-power'),
+    batteryDischargePower: document.getElementById('battery-discharge-power'),
+    batteryInitialCharge: document.getElementById('battery-initial-charge'),
+    buildingSummary: document.getElementById('building-summary'),
+    buildingTableBody: document.getElementById('building-table-body'),
+    econSwarmCost: document.getElementById('econ-swarm-cost'),
+    econBaselineCost: document.getElementById('econ-baseline-cost'),
+    econInstallationCost: document.getElementById('econ-installation-cost'),
+    econMaintenanceCost: document.getElementById('econ-maintenance-cost'),
+    econTariff: document.getElementById('econ-tariff'),
+    econDiscountRate: document.getElementById('econ-discount-rate'),
+    econLifetime: document.getElementById('econ-lifetime'),
+    economicsStatus: document.getElementById('economics-status'),
+    economicsTableBody: document.getElementById('economics-table-body'),
+    windStatsSummary: document.getElementById('wind-stats-summary'),
+    windRose: document.getElementById('wind-rose'),
+    speedHistogram: document.getElementById('speed-histogram'),
+    verticalHistogram: document.getElementById('vertical-histogram'),
+    turbulenceChart: document.getElementById('turbulence-chart'),
+    sectorTableHead: document.getElementById('sector-table-head'),
+    sectorTableBody: document.getElementById('sector-table-body'),
+    batchExportCsvBtn: document.getElementById('batch-export-csv-btn'),
+    batchExportJsonBtn: document.getElementById('batch-export-json-btn'),
+    timestep: document.getElementById('timestep'),
+    playbackSpeed: document.getElementById('playback-speed'),
+    fastForwardHours: document.getElementById('fast-forward-hours'),
+    fastForwardBtn: document.getElementById('fast-forward-btn'),
+    clockStatus: document.getElementById('clock-status'),
+    dayCycle: document.getElementById('day-cycle'),
+    startDay: document.getElementById('start-day'),
+    startTime: document.getElementById('start-time'),
+    dayOfYear: document.getElementById('day-of-year'),
+    latitude: document.getElementById('latitude'),
+    runHours: document.getElementById('run-hours'),
+    climateStatus: document.getElementById('climate-status'),
+    dailyChart: document.getElementById('daily-chart'),
+    exportCsvBtn: document.getElementById('export-csv-btn'),
+    exportJsonBtn: document.getElementById('export-json-btn'),
+    runStatus: document.getElementById('run-status'),
+    exportStatus: document.getElementById('export-status'),
 
     // Swarm turbine
+    swarmTitle: document.getElementById('swarm-title'),
     swarmCanvas: document.getElementById('adaptive-canvas'),
     swarmAngle: document.getElementById('adaptive-angle'),
     swarmEnergy: document.getElementById('adaptive-energy'),
@@ -77,6 +197,8 @@ const elements = {
     windIndicatorSwarm: document.getElementById('wind-indicator-adaptive'),
 
     // Baseline turbine
+    baselineTitle: document.getElementById('baseline-title'),
+    baselineBadge: document.getElementById('baseline-badge'),
     baselineCanvas: document.getElementById('baseline-canvas'),
     baselineAngle: document.getElementById('baseline-angle'),
     baselineEnergy: document.getElementById('baseline-energy'),
@@ -84,18 +206,76 @@ const elements = {
     windIndicatorBaseline: document.getElementById('wind-indicator-baseline'),
 
     // Metrics
+    totalGrossBar: document.getElementById('total-gross-bar'),
+    totalGrossValue: document.getElementById('total-gross-value'),
+    totalActuationBar: document.getElementById('total-actuation-bar'),
+    totalActuationValue: document.getElementById('total-actuation-value'),
     totalAdaptiveBar: document.getElementById('total-adaptive-bar'),
     totalAdaptiveValue: document.getElementById('total-adaptive-value'),
-    totalBaselineBar: document.getElementById('total-baseline-bar'),
-    totalBaselineValue: document.getElementById('total-baseline-value'),
+    totalBaselineRows: document.getElementById('total-baseline-rows'),
     avgAdaptiveBar: document.getElementById('avg-adaptive-bar'),
     avgAdaptiveValue: document.getElementById('avg-adaptive-value'),
-    avgBaselineBar: document.getElementById('avg-baseline-bar'),
-    avgBaselineValue: document.getElementById('avg-baseline-value'),
+    avgBaselineRows: document.getElementById('avg-baseline-rows'),
     improvementPercentage: document.getElementById('improvement-percentage'),
+    improvementText: document.getElementById('improvement-text'),
+    improvementBreakdown: document.getElementById('improvement-breakdown'),
+
+    // Faults
+    faultType: document.getElementById('fault-type'),
+    faultTarget: document.getElementById('fault-target'),
+    faultAt: document.getElementById('fault-at'),
+    faultDuration: document.getElementById('fault-duration'),
+    faultAddBtn: document.getElementById('fault-add-btn'),
+    faultList: document.getElementById('fault-list'),
+    faultRate: document.getElementById('fault-rate'),
+    faultRepairHours: document.getElementById('fault-repair-hours'),
+    faultStatus: document.getElementById('fault-status'),
+    faultSummary: document.getElementById('fault-summary'),
+
+    // Turbine inspector
+    turbineInspector: document.getElementById('turbine-inspector'),
+    inspectorTitle: document.getElementById('inspector-title'),
+    inspectorCloseBtn: document.getElementById('inspector-close-btn'),
+    inspectorAngle: document.getElementById('inspector-angle'),
+    inspectorTargetAngle: document.getElementById('inspector-target-angle'),
+    inspectorTilt: document.getElementById('inspector-tilt'),
+    inspectorTargetTilt: document.getElementById('inspector-target-tilt'),
+    inspectorEnergy: document.getElementById('inspector-energy'),
+    inspectorEfficiency: document.getElementById('inspector-efficiency'),
+    inspectorWind: document.getElementById('inspector-wind'),
+    inspectorEstimatedWind: document.getElementById('inspector-estimated-wind'),
+    inspectorEstimateError: document.getElementById('inspector-estimate-error'),
+    inspectorSparkline: document.getElementById('inspector-sparkline'),
+    inspectorPinAngle: document.getElementById('inspector-pin-angle'),
+    inspectorPinAngleValue: document.getElementById('inspector-pin-angle-value'),
+    inspectorPinTilt: document.getElementById('inspector-pin-tilt'),
+    inspectorPinTiltValue: document.getElementById('inspector-pin-tilt-value'),
+    inspectorDisabled: document.getElementById('inspector-disabled'),
+    inspectorHint: document.getElementById('inspector-hint'),
+
+    // Turbine views
+    viewTopBtn: document.getElementById('view-top-btn'),
+    viewElevationBtn: document.getElementById('view-elevation-btn'),
+
+    // Timeline
+    timelineBackBtn: document.getElementById('timeline-back-btn'),
+    timelinePlayBtn: document.getElementById('timeline-play-btn'),
+    timelineForwardBtn: document.getElementById('timeline-forward-btn'),
+    timelineSpeed: document.getElementById('timeline-speed'),
+    timelineScrubber: document.getElementById('timeline-scrubber'),
+    timelineLiveBtn: document.getElementById('timeline-live-btn'),
+    timelineBranchBtn: document.getElementById('timeline-branch-btn'),
+    timelineStatus: document.getElementById('timeline-status'),
 
     // Chart
-    energyChart: document.getElementById('energy-chart')
+    energyChart: document.getElementById('energy-chart'),
+    chartShowTurbines: document.getElementById('chart-show-turbines'),
+    chartShowWindSpeed: document.getElementById('chart-show-wind-speed'),
+    chartShowVertical: document.getElementById('chart-show-vertical'),
+    chartShowEfficiency: document.getElementById('chart-show-efficiency'),
+    chartShowEstimate: document.getElementById('chart-show-estimate'),
+    chartShowBuilding: document.getElementById('chart-show-building'),
+    chartFitBtn: document.getElementById('chart-fit-btn')
 };
 
 // Canvas contexts
@@ -105,251 +285,999 @@ const ctx = {
     chart: elements.energyChart.getContext('2d')
 };
 
+// Strategy dropdown lists every registered controller
+listControllers().forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    elements.controller.appendChild(option);
+});
+
+// Wind estimator dropdown
+listEstimators().forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    elements.estimator.appendChild(option);
+});
+
+// Building load dropdown
+listLoadProfiles().forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    elements.loadProfile.appendChild(option);
+});
+
+// Turbine model dropdowns list every preset
+[elements.swarmTurbine, elements.baselineTurbine].forEach((select) => {
+    listTurbines().forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+});
+elements.swarmTurbine.value = 'micro-3kw';
+elements.baselineTurbine.value = 'rooftop-6kw';
+
+// One checkbox per baseline comparator
+const baselineChecks = listBaselines().map(({ id, name }) => {
+    const label = document.createElement('label');
+    label.className = 'control-check';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = id;
+    input.checked = id === 'fixed';
+    label.appendChild(input);
+    label.append(` ${name}`);
+    elements.baselineOptions.appendChild(label);
+    return input;
+});
+
 // ===========================
 // EVENT LISTENERS
 // ===========================
+elements.controller.addEventListener('change', (e) => {
+    app.sim.setConfig({ controller: e.target.value });
+});
+
 elements.learningRate.addEventListener('input', (e) => {
-    state.learningRate = parseFloat(e.target.value);
-    elements.learningRateValue.textContent = state.learningRate.toFixed(1);
+    const learningRate = parseFloat(e.target.value);
+    app.sim.setConfig({ learningRate });
+    elements.learningRateValue.textContent = learningRate.toFixed(1);
 });
 
 elements.windSpeed.addEventListener('input', (e) => {
-    state.windSpeed = parseFloat(e.target.value);
-    elements.windSpeedValue.textContent = state.windSpeed;
+    const windSpeed = parseFloat(e.target.value);
+    app.sim.setConfig({ windSpeed });
+    elements.windSpeedValue.textContent = windSpeed;
 });
 
+// Recorded wind can't be stepped without data, so the run waits for a file
+function needsRecordedData() {
+    return elements.windPattern.value === 'recorded' && !app.recordedWind;
+}
+
+function pauseForData() {
+    if (app.fastForwardTo !== null) {
+        toggleFastForward();
+    }
+    if (app.isRunning) {
+        toggleSimulation();
+    }
+}
+
 elements.windPattern.addEventListener('change', (e) => {
-    state.windPattern = e.target.value;
+    if (needsRecordedData()) {
+        pauseForData();
+        showRecordedStatus('Load a wind file to run on recorded data');
+    }
+    app.sim.setConfig({ windPattern: e.target.value });
+    elements.recordedControls.hidden = e.target.value !== 'recorded';
+    updateStartButton();
 });
 
-elements.startBtn.addEventListener('click', toggleSimulation);
-elements.resetBtn.addEventListener('click', resetSimulation);
+// Recorded wind data
+function formatDuration(seconds) {
+    if (seconds < 120) return `${Math.round(seconds)} s`;
+    if (seconds < 7200) return `${Math.round(seconds / 60)} min`;
+    return `${(seconds / 3600).toFixed(1)} h`;
+}
 
-// ===========================
-// WIND SIMULATION
-// ===========================
-function updateWind() {
-    const t = state.time;
+function showRecordedStatus(message, isError = false) {
+    elements.recordedStatus.textContent = message;
+    elements.recordedStatus.classList.toggle('error', isError);
+}
 
-    switch (state.windPattern) {
-        case 'steady':
-            state.windAngle = 90; // East
-            state.windVertical = 0;
-            break;
+elements.recordedFile.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        const series = Object.assign({ name: file.name }, parseWindFile(file.name, await file.text()));
+        app.recordedWind = series;
+        app.sim.setConfig({ recordedWind: series });
+        showRecordedStatus(`Loaded ${series.samples.length} rows covering ${formatDuration(series.duration)} from ${file.name}`);
+    } catch (error) {
+        app.recordedWind = null;
+        if (needsRecordedData()) {
+            pauseForData();
+        }
+        app.sim.setConfig({ recordedWind: null });
+        showRecordedStatus(`Could not load ${file.name}:\n${error.message}`, true);
+    }
+    updateStartButton();
+});
 
-        case 'gusty':
-            state.windAngle = 90 + Math.sin(t / 30) * 45;
-            state.windSpeed = parseFloat(elements.windSpeed.value) * (0.7 + Math.random() * 0.6);
-            state.windVertical = Math.sin(t / 20) * 3;
-            break;
+elements.recordedLoop.addEventListener('change', (e) => {
+    app.sim.setConfig({ recordedLoop: e.target.checked });
+});
 
-        case 'rotating':
-            state.windAngle = (t * 2) % 360;
-            state.windVertical = Math.sin(t / 40) * 2;
-            break;
 
-        case 'urban':
-            // Realistic urban wind with building effects
-            const baseSpeed = parseFloat(elements.windSpeed.value);
+// Swarm layout and turbine geometry
+function readLayout() {
+    const value = elements.swarmLayout.value;
+    if (value.startsWith('hex-')) {
+        return { type: 'hex', rings: parseInt(value.slice(4), 10) };
+    }
+    if (value === 'grid') {
+        return {
+            type: 'grid',
+            rows: Math.max(1, parseInt(elements.gridRows.value, 10) || 1),
+            cols: Math.max(1, parseInt(elements.gridCols.value, 10) || 1)
+        };
+    }
+    if (value === 'custom') {
+        return { type: 'custom', positions: parseCustomPositions(elements.customLayout.value) };
+    }
+    return { type: 'honeycomb' };
+}
 
-            // Horizontal wind with channeling effects (Venturi)
-            state.windAngle = 90 +
-                Math.sin(t / 50) * 40 +      // Slow direction change
-                Math.sin(t / 13) * 15 +      // Building channeling
-                (Math.random() - 0.5) * 8;   // Turbulence
+// A new layout changes the turbine count, so it always starts a fresh run
+function applyLayout() {
+    elements.gridControls.hidden = elements.swarmLayout.value !== 'grid';
+    elements.customLayoutControls.hidden = elements.swarmLayout.value !== 'custom';
+
+    try {
+        applyRotorChange({ layout: readLayout() });
+    } catch (error) {
+        elements.customLayoutStatus.textContent = error.message;
+        elements.customLayoutStatus.classList.add('error');
+        return;
+    }
+    elements.customLayoutStatus.textContent = 'One "x, y" per line; 1 unit = neighbour spacing';
+    elements.customLayoutStatus.classList.remove('error');
+    resetSimulation();
+}
 
-            // Variable speed with gusts
-            state.windSpeed = baseSpeed * (
-                0.75 +
-                Math.sin(t / 35) * 0.25 +    // Periodic variation
-                Math.random() * 0.15         // Gusts
-            );
+elements.swarmLayout.addEventListener('change', applyLayout);
+elements.gridRows.addEventListener('change', applyLayout);
+elements.gridCols.addEventListener('change', applyLayout);
+elements.customLayout.addEventListener('change', applyLayout);
 
-            // Vertical wind (updrafts from heated buildings, downdrafts from wind shear)
-            state.windVertical =
-                Math.sin(t / 45) * 4 +        // Thermal updrafts
-                Math.sin(t / 17) * 2 +        // Building wake effects
-                Math.cos(t / 29) * 1.5 +      // Wind shear
-                (Math.random() - 0.5) * 1;    // Turbulent eddies
-            break;
+// Baselines
+function readBaselines() {
+    return baselineChecks.filter(input => input.checked).map(input => input.value);
+}
 
-        case 'variable':
-        default:
-            // Realistic wind with multiple frequencies
-            state.windAngle = 90 +
-                Math.sin(t / 50) * 30 +
-                Math.sin(t / 23) * 15 +
-                Math.cos(t / 37) * 10;
+baselineChecks.forEach((input) => {
+    input.addEventListener('change', () => {
+        const ids = readBaselines();
+        if (ids.length === 0) {
+            input.checked = true; // Keep at least one comparator
+            return;
+        }
+        applyRotorChange({ baselines: ids });
+        resetSimulation();
+    });
+});
 
-            const baseSpeed2 = parseFloat(elements.windSpeed.value);
-            state.windSpeed = baseSpeed2 * (0.8 + Math.sin(t / 40) * 0.2 + Math.random() * 0.1);
-            state.windVertical = Math.sin(t / 30) * 2;
-            break;
-    }
+// Turbine models
+function showTurbineModels() {
+    const swarm = resolveTurbine(elements.swarmTurbine.value, { rotorDiameter: parseFloat(elements.swarmRotorDiameter.value) });
+    elements.swarmTurbineStatus.textContent = describeTurbine(swarm);
+    elements.baselineTurbineStatus.textContent = describeTurbine(resolveTurbine(elements.baselineTurbine.value));
+    elements.swarmRotorDiameterValue.textContent = `${swarm.rotorDiameter.toFixed(1)} m`;
 }
 
-// ===========================
-// ENERGY CALCULATION
-// ===========================
-function calculateEnergy(turbineAngle, turbineTilt, windAngle, windSpeed, windVertical, isSmallTurbine = false) {
-    // Calculate horizontal angle difference
-    let angleDiff = Math.abs(windAngle - turbineAngle);
+elements.swarmTurbine.addEventListener('change', (e) => {
+    // A new model starts at its own rotor size
+    const rotorDiameter = resolveTurbine(e.target.value).rotorDiameter;
+    elements.swarmRotorDiameter.value = rotorDiameter;
+    app.sim.setConfig({ swarmTurbine: e.target.value, swarmRotorDiameter: rotorDiameter });
+    showTurbineModels();
+    if (!app.isRunning) render();
+});
 
-    // Normalize to 0-180
-    if (angleDiff > 180) {
-        angleDiff = 360 - angleDiff;
-    }
+elements.swarmRotorDiameter.addEventListener('input', (e) => {
+    app.sim.setConfig({ swarmRotorDiameter: parseFloat(e.target.value) });
+    showTurbineModels();
+    if (!app.isRunning) render();
+});
+
+elements.baselineTurbine.addEventListener('change', (e) => {
+    app.sim.setConfig({ baselineTurbine: e.target.value });
+    showTurbineModels();
+    if (!app.isRunning) render();
+});
 
-    // Horizontal alignment factor
-    const horizontalAlignment = Math.cos(angleDiff * Math.PI / 180);
+elements.airDensity.addEventListener('input', (e) => {
+    const airDensity = parseFloat(e.target.value);
+    app.sim.setConfig({ airDensity });
+    elements.airDensityValue.textContent = `${airDensity.toFixed(3)} kg/m³`;
+});
 
-    // Vertical alignment factor (tilt vs vertical wind)
-    // Positive tilt = angled up, positive windVertical = updraft
-    const optimalTilt = Math.atan2(windVertical, windSpeed) * 180 / Math.PI;
-    const tiltDiff = Math.abs(turbineTilt - optimalTilt);
-    const verticalAlignment = Math.cos(tiltDiff * Math.PI / 180);
+// Simulation clock
+function readTimestep() {
+    const timestep = parseFloat(elements.timestep.value);
+    return timestep > 0 ? Math.min(timestep, 3600) : 60;
+}
 
-    // Combined alignment
-    const totalAlignment = Math.max(0, horizontalAlignment * 0.7 + verticalAlignment * 0.3);
+elements.timestep.addEventListener('change', () => {
+    const timestep = readTimestep();
+    elements.timestep.value = timestep;
+    app.sim.setConfig({ timestep });
+});
 
-    // Effective wind speed considering vertical component
-    const effectiveWind = Math.sqrt(windSpeed * windSpeed + windVertical * windVertical);
+elements.playbackSpeed.addEventListener('change', sendPlayback);
 
-    // Wind turbine power formula (simplified): P = 0.5 * ρ * A * v^3 * Cp
-    // Small turbines have 60% blade radius = 36% swept area
-    const sizeMultiplier = isSmallTurbine ? 0.36 : 1.0;
-    const energy = 0.5 * totalAlignment * Math.pow(effectiveWind / 10, 3) * 100 * sizeMultiplier;
+// Day and season cycle. The clock counts from Monday 00:00; a new start
+// time moves the whole run, so it restarts
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
 
+function readClimate() {
+    const time = parseFloat(elements.startTime.value);
+    const dayOfYear = Math.round(parseFloat(elements.dayOfYear.value));
+    const latitude = parseFloat(elements.latitude.value);
     return {
-        energy: Math.max(0, energy),
-        efficiency: totalAlignment * 100,
-        optimalTilt: optimalTilt
+        dayCycle: elements.dayCycle.checked,
+        startHour: (parseInt(elements.startDay.value, 10) || 0) * 24 +
+            (Number.isFinite(time) ? Math.max(0, Math.min(23.75, time)) : 0),
+        dayOfYear: dayOfYear >= 1 && dayOfYear <= 365 ? dayOfYear : DEFAULT_CLIMATE.dayOfYear,
+        latitude: Number.isFinite(latitude) ? Math.max(-90, Math.min(90, latitude)) : DEFAULT_CLIMATE.latitude
     };
 }
 
-// ===========================
-// SWARM TURBINE INTELLIGENCE
-// ===========================
-function updateSwarmTurbines() {
-    let totalEnergy = 0;
-    let totalEfficiency = 0;
+// Day of the year as a date, e.g. "21 Jun"
+function formatDayOfYear(dayOfYear) {
+    const date = new Date(Date.UTC(2021, 0, Math.floor(dayOfYear)));
+    return `${date.getUTCDate()} ${date.toLocaleString('en-GB', { month: 'short', timeZone: 'UTC' })}`;
+}
 
-    state.swarm.turbines.forEach((turbine, index) => {
-        // Each turbine independently optimizes
-        const currentResult = calculateEnergy(
-            turbine.angle,
-            turbine.tilt,
-            state.windAngle,
-            state.windSpeed,
-            state.windVertical,
-            true // Small turbine
-        );
+// Clock time after Monday 00:00, e.g. "Tue 14:05"
+function formatWeekClock(clockSeconds) {
+    const day = WEEKDAYS[Math.floor(clockSeconds / 86400) % 7];
+    return `${day} ${new Date(Math.round(clockSeconds % 86400) * 1000).toISOString().slice(11, 16)}`;
+}
 
-        // Gradient-based learning for horizontal angle
-        const delta = 5;
-        const leftResult = calculateEnergy(
-            turbine.angle - delta,
-            turbine.tilt,
-            state.windAngle,
-            state.windSpeed,
-            state.windVertical,
-            true
-        );
-        const rightResult = calculateEnergy(
-            turbine.angle + delta,
-            turbine.tilt,
-            state.windAngle,
-            state.windSpeed,
-            state.windVertical,
-            true
-        );
+function updateClimateControls() {
+    const climate = readClimate();
+    [elements.dayOfYear, elements.latitude].forEach((input) => {
+        input.disabled = !climate.dayCycle;
+    });
+    elements.climateStatus.textContent = climate.dayCycle ?
+        `Starts ${formatWeekClock(climate.startHour * 3600)} on ${formatDayOfYear(climate.dayOfYear)}, ` +
+        `${Math.abs(climate.latitude)}°${climate.latitude < 0 ? 'S' : 'N'}; recorded wind ignores the cycle` :
+        'The clock also drives the building load; a new start time restarts the run';
+}
 
-        // Update target horizontal angle
-        if (leftResult.energy > currentResult.energy && leftResult.energy >= rightResult.energy) {
-            turbine.targetAngle = turbine.angle - delta * state.learningRate;
-        } else if (rightResult.energy > currentResult.energy) {
-            turbine.targetAngle = turbine.angle + delta * state.learningRate;
-        } else {
-            turbine.targetAngle = state.windAngle;
-        }
+[elements.dayCycle, elements.dayOfYear, elements.latitude].forEach((input) => {
+    input.addEventListener('change', () => {
+        app.sim.setConfig(readClimate());
+        updateClimateControls();
+        if (!app.isRunning) render();
+    });
+});
+
+[elements.startDay, elements.startTime].forEach((input) => {
+    input.addEventListener('change', () => {
+        app.sim.setConfig(readClimate());
+        updateClimateControls();
+        resetSimulation();
+    });
+});
 
-        // Update target tilt angle (optimize for vertical wind)
-        turbine.targetTilt = Math.max(-30, Math.min(30, currentResult.optimalTilt * state.learningRate));
+elements.runHours.addEventListener('change', () => {
+    app.sim.setConfig({ runHours: parseFloat(elements.runHours.value) || 0 });
+    render();
+    updateStartButton();
+});
 
-        // Smooth movement toward targets
-        const angleError = turbine.targetAngle - turbine.angle;
-        turbine.angle += angleError * 0.1 * state.learningRate;
-        turbine.angle = (turbine.angle + 360) % 360;
+// Fault injection: the schedule lives in the engine config; any change restarts the run
+listFaultTypes().forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    elements.faultType.appendChild(option);
+});
 
-        const tiltError = turbine.targetTilt - turbine.tilt;
-        turbine.tilt += tiltError * 0.08 * state.learningRate;
-        turbine.tilt = Math.max(-30, Math.min(30, turbine.tilt));
+function showFaultStatus(message, isError = false) {
+    elements.faultStatus.textContent = message;
+    elements.faultStatus.classList.toggle('error', isError);
+}
 
-        // Calculate final energy
-        const result = calculateEnergy(
-            turbine.angle,
-            turbine.tilt,
-            state.windAngle,
-            state.windSpeed,
-            state.windVertical,
-            true
-        );
+function applyFaults(changes) {
+    try {
+        app.sim.setConfig(changes);
+    } catch (error) {
+        showFaultStatus(error.message, true);
+        return;
+    }
+    showFaultStatus('Every rotor, swarm and baseline alike, fails at the same random rate; changes restart the run');
+    showScheduledFaults();
+    resetSimulation();
+}
+
+// A layout or baseline change takes the scheduled faults on rotors it
+// removes with it, and says so
+function applyRotorChange(changes) {
+    const config = Object.assign({}, app.sim.getConfig(), changes);
+    const kept = faultsOnRotors(config.faults, rotorCounts(config));
+    const dropped = config.faults.length - kept.length;
+    app.sim.setConfig(dropped > 0 ? Object.assign({ faults: kept }, changes) : changes);
+    if (dropped > 0) {
+        showFaultStatus(`Removed ${dropped} scheduled fault${dropped > 1 ? 's' : ''} on rotors that are no longer there`, true);
+        showScheduledFaults();
+    }
+}
+
+// Rotor choices follow the layout and the largest chosen baseline
+function updateFaultTargets() {
+    const snapshot = app.sim.getSnapshot();
+    const selected = elements.faultTarget.value;
+    const baselineRotors = Math.max(...snapshot.baselines.map(b => b.turbines.length));
+    const options = snapshot.swarm.turbines.map((t, i) => [`swarm:${i}`, `Swarm turbine ${i + 1}`]);
+    for (let i = 0; i < baselineRotors; i++) {
+        options.push([`baseline:${i}`, baselineRotors > 1 ? `Baseline rotor ${i + 1}` : 'Baseline turbine']);
+    }
+
+    elements.faultTarget.replaceChildren(...options.map(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        return option;
+    }));
+    if (options.some(([value]) => value === selected)) {
+        elements.faultTarget.value = selected;
+    }
+}
+
+function describeScheduledFault(fault) {
+    const rotor = fault.target === 'swarm' ? `swarm turbine ${fault.turbine + 1}` : `baseline rotor ${fault.turbine + 1}`;
+    const hours = seconds => `${Number((seconds / 3600).toFixed(2))} h`;
+    const until = fault.duration === null ? 'to the end' : `for ${hours(fault.duration)}`;
+    return `${FAULT_TYPES[fault.type].name}: ${rotor} at ${hours(fault.at)}, ${until}`;
+}
+
+function showScheduledFaults() {
+    const scheduled = app.sim.getConfig().faults;
+    elements.faultList.replaceChildren(...scheduled.map((fault, index) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = describeScheduledFault(fault);
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove this fault';
+        remove.addEventListener('click', () => {
+            applyFaults({ faults: scheduled.filter((f, i) => i !== index) });
+        });
+        item.append(text, remove);
+        return item;
+    }));
+}
+
+elements.faultAddBtn.addEventListener('click', () => {
+    const [target, turbine] = elements.faultTarget.value.split(':');
+    const duration = parseFloat(elements.faultDuration.value);
+    const fault = {
+        type: elements.faultType.value,
+        target,
+        turbine: parseInt(turbine, 10),
+        at: Math.max(0, parseFloat(elements.faultAt.value) || 0) * 3600,
+        duration: duration > 0 ? duration * 3600 : null
+    };
+    applyFaults({ faults: app.sim.getConfig().faults.concat([fault]) });
+});
+
+[elements.faultRate, elements.faultRepairHours].forEach((input) => {
+    input.addEventListener('change', () => {
+        applyFaults({
+            faultRate: Math.max(0, parseFloat(elements.faultRate.value) || 0),
+            faultRepairHours: parseFloat(elements.faultRepairHours.value)
+        });
+    });
+});
+
+elements.turbineSpacing.addEventListener('input', (e) => {
+    const spacing = parseFloat(e.target.value);
+    app.sim.setConfig({ spacing });
+    elements.turbineSpacingValue.textContent = spacing.toFixed(1);
+    if (!app.isRunning) render();
+});
+
+// Interaction between swarm turbines
+elements.swarmInteraction.addEventListener('change', (e) => {
+    app.sim.setConfig({ swarmInteraction: e.target.value });
+});
+
+elements.showWakes.addEventListener('change', (e) => {
+    app.showWakes = e.target.checked;
+    if (!app.isRunning) render();
+});
+
+elements.wakeDecay.addEventListener('input', (e) => {
+    const wakeDecay = parseFloat(e.target.value);
+    app.sim.setConfig({ wakeDecay });
+    elements.wakeDecayValue.textContent = wakeDecay.toFixed(3);
+    if (!app.isRunning) render();
+});
+
+// Actuator limits: input id -> config key
+const actuatorInputs = [
+    ['maxYawRate', 'maxYawRate'],
+    ['maxTiltRate', 'maxTiltRate'],
+    ['yawDeadband', 'yawDeadband'],
+    ['tiltDeadband', 'tiltDeadband'],
+    ['yawEnergy', 'yawEnergyPerDegree'],
+    ['tiltEnergy', 'tiltEnergyPerDegree']
+];
+
+function readActuator() {
+    const settings = {};
+    actuatorInputs.forEach(([element, key]) => {
+        const input = elements[element];
+        const value = parseFloat(input.value);
+        settings[key] = Number.isFinite(value) ? Math.max(parseFloat(input.min) || 0, value) : DEFAULT_ACTUATOR[key];
+    });
+    return settings;
+}
+
+actuatorInputs.forEach(([element]) => {
+    elements[element].addEventListener('change', () => {
+        app.sim.setConfig(readActuator());
+    });
+});
+
+// Sensors: input id -> config key, with the factor from the input's unit
+// and whether a negative value (a bias) makes sense
+const sensorInputs = [
+    ['sensorAngleNoise', 'sensorAngleNoise', 1, false],
+    ['sensorAngleBias', 'sensorAngleBias', 1, true],
+    ['sensorSpeedNoise', 'sensorSpeedNoise', 1, false],
+    ['sensorSpeedBias', 'sensorSpeedBias', 1, true],
+    ['sensorVerticalNoise', 'sensorVerticalNoise', 1, false],
+    ['sensorPowerNoise', 'sensorPowerNoise', 0.01, false], // Percent in the UI
+    ['sensorLatency', 'sensorLatency', 1, false],
+    ['sensorSampleSeconds', 'sensorSampleSeconds', 1, false],
+    ['estimatorTimeConstant', 'estimatorTimeConstant', 1, false]
+];
+
+function readSensors() {
+    const settings = { estimator: elements.estimator.value || DEFAULT_SENSORS.estimator };
+    sensorInputs.forEach(([element, key, scale, signed]) => {
+        const input = elements[element];
+        const value = parseFloat(input.value);
+        settings[key] = Number.isFinite(value) ?
+            (signed ? value : Math.max(parseFloat(input.min) || 0, value)) * scale :
+            DEFAULT_SENSORS[key];
+    });
+    return settings;
+}
+
+sensorInputs.map(([element]) => elements[element]).concat(elements.estimator).forEach((input) => {
+    input.addEventListener('change', () => {
+        app.sim.setConfig(readSensors());
+        elements.estimatorTimeConstant.disabled = elements.estimator.value !== 'exponential';
+    });
+});
+
+// How far the swarm's wind estimate is from the truth
+function updateSensorStatus(estimate) {
+    elements.sensorStatus.textContent =
+        `Estimate error now ${estimate.angleError.toFixed(1)}° · ${estimate.speedError.toFixed(2)} m/s ` +
+        `(run RMS ${estimate.rmsAngleError.toFixed(1)}° · ${estimate.rmsSpeedError.toFixed(2)} m/s)`;
+}
+
+// Building load and battery: input id -> config key, with the factor from
+// the input's unit
+const buildingInputs = [
+    ['loadPeak', 'loadPeak', 1],
+    ['batteryCapacity', 'batteryCapacity', 1],
+    ['batteryEfficiency', 'batteryEfficiency', 0.01], // Percent in the UI
+    ['batteryChargePower', 'batteryChargePower', 1],
+    ['batteryDischargePower', 'batteryDischargePower', 1],
+    ['batteryInitialCharge', 'batteryInitialCharge', 0.01]
+];
+
+function readBuilding() {
+    const settings = { loadProfile: elements.loadProfile.value || DEFAULT_BUILDING.loadProfile, loadData: app.loadData };
+    buildingInputs.forEach(([element, key, scale]) => {
+        const input = elements[element];
+        const value = parseFloat(input.value);
+        settings[key] = Number.isFinite(value) ?
+            Math.min(parseFloat(input.max) || Infinity, Math.max(parseFloat(input.min) || 0, value)) * scale :
+            DEFAULT_BUILDING[key];
+    });
+    return settings;
+}
+
+function showLoadStatus(message, isError = false) {
+    elements.loadStatus.textContent = message;
+    elements.loadStatus.classList.toggle('error', isError);
+}
 
-        turbine.energy = result.energy;
-        turbine.efficiency = result.efficiency;
-        turbine.rotation = (turbine.rotation + result.energy * 0.5) % 360;
+// The file picker only matters for the custom profile, the peak only for presets
+function updateLoadControls() {
+    const profile = elements.loadProfile.value;
+    elements.loadFile.hidden = profile !== 'custom';
+    elements.loadPeak.disabled = profile === 'custom' || profile === 'none';
+    if (profile === 'custom' && !app.loadData) {
+        showLoadStatus('Choose a CSV of time (hours or HH:MM) and load (kW); until then the building draws nothing');
+    } else if (profile !== 'custom') {
+        showLoadStatus('Presets start at midnight on a Monday');
+    }
+}
 
-        totalEnergy += result.energy;
-        totalEfficiency += result.efficiency;
+buildingInputs.map(([element]) => elements[element]).concat(elements.loadProfile).forEach((input) => {
+    input.addEventListener('change', () => {
+        app.sim.setConfig(readBuilding());
+        updateLoadControls();
+        if (!app.isRunning) render();
     });
+});
+
+elements.loadFile.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        app.loadData = Object.assign({ name: file.name }, parseLoadCsv(await file.text()));
+        const days = app.loadData.period / 24;
+        showLoadStatus(`Loaded ${app.loadData.samples.length} rows from ${file.name}, repeating every ${days === 1 ? 'day' : `${days} days`}`);
+    } catch (error) {
+        app.loadData = null;
+        showLoadStatus(`Could not load ${file.name}:\n${error.message}`, true);
+    }
+    app.sim.setConfig({ loadData: app.loadData });
+    if (!app.isRunning) render();
+});
+
+// Spatial wind field
+elements.windField.addEventListener('change', (e) => {
+    app.sim.setConfig({ windField: e.target.value });
+    if (!app.isRunning) render();
+});
+
+elements.showWindField.addEventListener('change', (e) => {
+    app.showWindField = e.target.checked;
+    if (!app.isRunning) render();
+});
 
-    // Swarm synergy bonus (when turbines align well together)
-    const avgAngle = state.swarm.turbines.reduce((sum, t) => sum + t.angle, 0) / 6;
-    const angleVariance = state.swarm.turbines.reduce((sum, t) => {
-        const diff = Math.abs(t.angle - avgAngle);
-        return sum + (diff > 180 ? 360 - diff : diff);
-    }, 0) / 6;
-    const synergyBonus = 1 + (1 - angleVariance / 180) * 0.15; // Up to 15% bonus for alignment
+elements.windFieldIntensity.addEventListener('input', (e) => {
+    const windFieldIntensity = parseFloat(e.target.value);
+    app.sim.setConfig({ windFieldIntensity });
+    elements.windFieldIntensityValue.textContent = windFieldIntensity.toFixed(1);
+    if (!app.isRunning) render();
+});
 
-    state.swarm.totalEnergy += (totalEnergy * synergyBonus) / 60; // Convert to kWh
-    state.swarm.totalEfficiency = totalEfficiency / 6;
-    state.swarm.currentEnergy = totalEnergy * synergyBonus;
+// A new seed applies straight away if the run hasn't started, else on Reset
+function applySeed(seed) {
+    elements.seed.value = seed;
+    app.sim.setConfig({ seed });
+    if (!app.isRunning && app.snapshot && app.snapshot.time === 0) {
+        resetSimulation();
+    }
 }
 
+elements.seed.addEventListener('change', (e) => {
+    applySeed(normalizeSeed(e.target.value));
+});
+
+elements.seedRandomizeBtn.addEventListener('click', () => {
+    applySeed(randomSeed());
+});
+
 // ===========================
-// BASELINE TURBINE
+// SCENARIOS
 // ===========================
-function updateBaselineTurbine() {
-    // Fixed angle turbine (single, large)
-    const result = calculateEnergy(
-        state.baseline.angle,
-        state.baseline.tilt,
-        state.windAngle,
-        state.windSpeed,
-        state.windVertical,
-        false // Large turbine
-    );
-    state.baseline.energy = result.energy;
-    state.baseline.efficiency = result.efficiency;
-    state.baseline.totalEnergy += result.energy / 60; // Convert to kWh
+// Named configurations: built-in presets, saved ones in localStorage, JSON
+// files and links carrying the scenario in the URL hash
+const SCENARIO_STORAGE_KEY = 'swarm-turbine-scenarios';
+
+function showScenarioStatus(message, isError = false) {
+    elements.scenarioStatus.textContent = message;
+    elements.scenarioStatus.classList.toggle('error', isError);
+}
+
+// Saved scenarios by name; unreadable storage counts as empty
+function loadSavedScenarios() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || '{}');
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function storeSavedScenarios(saved) {
+    localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(saved));
+}
+
+function showScenarioList(selected) {
+    const group = (label, entries) => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = label;
+        optgroup.append(...entries.map(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            return option;
+        }));
+        return optgroup;
+    };
+    const saved = Object.keys(loadSavedScenarios()).sort();
+    const groups = [group('Built-in presets', listPresets().map(p => [`preset:${p.id}`, p.name]))];
+    if (saved.length > 0) {
+        groups.push(group('Saved in this browser', saved.map(name => [`saved:${name}`, name])));
+    }
+    elements.scenarioSelect.replaceChildren(...groups);
+    if (selected) {
+        elements.scenarioSelect.value = selected;
+    }
+    elements.scenarioDeleteBtn.disabled = !elements.scenarioSelect.value.startsWith('saved:');
+}
+
+// The scenario behind the dropdown's current entry
+function selectedScenario() {
+    const value = elements.scenarioSelect.value;
+    if (value.startsWith('preset:')) {
+        return getPreset(value.slice('preset:'.length));
+    }
+    const stored = loadSavedScenarios()[value.slice('saved:'.length)];
+    if (!stored) {
+        throw new Error('Pick a scenario first');
+    }
+    return parseScenario(stored);
+}
+
+function currentScenario() {
+    return createScenario(elements.scenarioName.value.trim() || 'Untitled scenario', app.sim.getConfig(), readEconomics());
+}
+
+// Sets every control to show `config` (see scenarioConfig)
+function writeControls(config) {
+    elements.windPattern.value = config.windPattern;
+    elements.recordedControls.hidden = config.windPattern !== 'recorded';
+    elements.recordedLoop.checked = config.recordedLoop;
+    elements.controller.value = config.controller;
+    elements.learningRate.value = config.learningRate;
+    elements.learningRateValue.textContent = config.learningRate.toFixed(1);
+    elements.windSpeed.value = config.windSpeed;
+    elements.windSpeedValue.textContent = config.windSpeed;
+    elements.windField.value = config.windField;
+    elements.windFieldIntensity.value = config.windFieldIntensity;
+    elements.windFieldIntensityValue.textContent = config.windFieldIntensity.toFixed(1);
+
+    const layout = config.layout;
+    if (layout.type === 'hex') {
+        elements.swarmLayout.value = `hex-${layout.rings}`;
+    } else if (layout.type === 'grid') {
+        elements.swarmLayout.value = 'grid';
+        elements.gridRows.value = layout.rows;
+        elements.gridCols.value = layout.cols;
+    } else if (layout.type === 'custom') {
+        elements.swarmLayout.value = 'custom';
+        elements.customLayout.value = layout.positions.map(p => `${p.x}, ${p.y}`).join('\n');
+    } else {
+        elements.swarmLayout.value = 'honeycomb';
+    }
+    elements.gridControls.hidden = elements.swarmLayout.value !== 'grid';
+    elements.customLayoutControls.hidden = elements.swarmLayout.value !== 'custom';
+
+    // Model objects (rather than preset ids) have no entry in the dropdowns
+    if (typeof config.swarmTurbine === 'string') {
+        elements.swarmTurbine.value = config.swarmTurbine;
+    }
+    if (typeof config.baselineTurbine === 'string') {
+        elements.baselineTurbine.value = config.baselineTurbine;
+    }
+    elements.swarmRotorDiameter.value = config.swarmRotorDiameter !== null ? config.swarmRotorDiameter :
+        resolveTurbine(config.swarmTurbine).rotorDiameter;
+    showTurbineModels();
+    baselineChecks.forEach((input) => {
+        input.checked = config.baselines.indexOf(input.value) !== -1;
+    });
+    elements.airDensity.value = config.airDensity;
+    elements.airDensityValue.textContent = `${config.airDensity.toFixed(3)} kg/m³`;
+    elements.turbineSpacing.value = config.spacing;
+    elements.turbineSpacingValue.textContent = config.spacing.toFixed(1);
+    elements.swarmInteraction.value = config.swarmInteraction;
+    elements.wakeDecay.value = config.wakeDecay;
+    elements.wakeDecayValue.textContent = config.wakeDecay.toFixed(3);
+
+    actuatorInputs.forEach(([element, key]) => {
+        elements[element].value = config[key];
+    });
+    sensorInputs.forEach(([element, key, scale]) => {
+        elements[element].value = Number((config[key] / scale).toFixed(6));
+    });
+    elements.estimator.value = config.estimator;
+    elements.estimatorTimeConstant.disabled = config.estimator !== 'exponential';
+    buildingInputs.forEach(([element, key, scale]) => {
+        elements[element].value = Number((config[key] / scale).toFixed(6));
+    });
+    elements.loadProfile.value = config.loadProfile;
+    updateLoadControls();
+    elements.dayCycle.checked = config.dayCycle;
+    elements.startDay.value = String(Math.floor(config.startHour / 24) % 7);
+    elements.startTime.value = config.startHour % 24;
+    elements.dayOfYear.value = config.dayOfYear;
+    elements.latitude.value = config.latitude;
+    updateClimateControls();
+    if (![...elements.runHours.options].some(option => Number(option.value) === config.runHours)) {
+        const option = document.createElement('option');
+        option.value = config.runHours;
+        option.textContent = `${config.runHours} hours`;
+        elements.runHours.appendChild(option);
+    }
+    elements.runHours.value = String(config.runHours);
+
+    elements.seed.value = config.seed;
+    elements.timestep.value = config.timestep;
+    elements.faultRate.value = config.faultRate;
+    elements.faultRepairHours.value = config.faultRepairHours;
+}
+
+// Replaces the whole configuration and starts a fresh run
+function applyScenario(scenario) {
+    const config = scenarioConfig(scenario);
+    app.sim.setConfig(Object.assign({}, config, { recordedWind: app.recordedWind, loadData: app.loadData }));
+    writeControls(config);
+    writeEconomics(scenarioEconomics(scenario));
+    showScheduledFaults();
+    elements.scenarioName.value = scenario.name;
+    resetSimulation();
+
+    const needsData = config.windPattern === 'recorded' && !app.recordedWind;
+    const needsLoad = config.loadProfile === 'custom' && !app.loadData;
+    showScenarioStatus(`Loaded "${scenario.name}"` + (needsData ? '\nLoad a recorded wind file to run it' : '') +
+        (needsLoad ? '\nLoad a building load file for its custom profile' : ''));
+}
+
+elements.scenarioSelect.addEventListener('change', () => {
+    const value = elements.scenarioSelect.value;
+    elements.scenarioDeleteBtn.disabled = !value.startsWith('saved:');
+    const preset = listPresets().find(p => `preset:${p.id}` === value);
+    showScenarioStatus(preset ? preset.description : 'Load to apply it; the current run restarts');
+});
+
+elements.scenarioLoadBtn.addEventListener('click', () => {
+    try {
+        applyScenario(selectedScenario());
+    } catch (error) {
+        showScenarioStatus(error.message, true);
+    }
+});
+
+elements.scenarioSaveBtn.addEventListener('click', () => {
+    const name = elements.scenarioName.value.trim();
+    if (!name) {
+        showScenarioStatus('Give the scenario a name to save it', true);
+        return;
+    }
+    const saved = loadSavedScenarios();
+    saved[name] = currentScenario();
+    try {
+        storeSavedScenarios(saved);
+    } catch (error) {
+        showScenarioStatus(`Could not save: ${error.message}`, true);
+        return;
+    }
+    showScenarioList(`saved:${name}`);
+    showScenarioStatus(`Saved "${name}" in this browser`);
+});
+
+elements.scenarioDeleteBtn.addEventListener('click', () => {
+    const value = elements.scenarioSelect.value;
+    if (!value.startsWith('saved:')) return;
+    const name = value.slice('saved:'.length);
+    const saved = loadSavedScenarios();
+    delete saved[name];
+    try {
+        storeSavedScenarios(saved);
+    } catch (error) {
+        showScenarioStatus(`Could not delete: ${error.message}`, true);
+        return;
+    }
+    showScenarioList();
+    showScenarioStatus(`Deleted "${name}"`);
+});
+
+elements.scenarioExportBtn.addEventListener('click', () => {
+    const scenario = currentScenario();
+    const slug = scenario.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scenario';
+    downloadFile(`swarm-scenario-${slug}.json`, scenarioToJson(scenario), 'application/json');
+});
+
+// Imported scenarios are applied and kept with the saved ones
+elements.scenarioImportFile.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = ''; // Importing the same file again still fires
+
+    let scenario;
+    try {
+        scenario = parseScenario(await file.text());
+    } catch (error) {
+        showScenarioStatus(`Could not import ${file.name}:\n${error.message}`, true);
+        return;
+    }
+    const saved = loadSavedScenarios();
+    saved[scenario.name] = scenario;
+    try {
+        storeSavedScenarios(saved);
+        showScenarioList(`saved:${scenario.name}`);
+    } catch (error) {
+        // Still worth applying when storage is unavailable
+    }
+    applyScenario(scenario);
+});
+
+elements.scenarioLinkBtn.addEventListener('click', async () => {
+    history.replaceState(null, '', scenarioToHash(currentScenario()));
+    try {
+        await navigator.clipboard.writeText(location.href);
+        showScenarioStatus('Link copied: it opens the simulator with these settings');
+    } catch (error) {
+        showScenarioStatus('The page address now holds these settings; copy it from the address bar');
+    }
+});
+
+// A scenario link opens pre-configured (also when pasted into an open page)
+function loadScenarioFromHash() {
+    try {
+        const scenario = scenarioFromHash(location.hash);
+        if (scenario) {
+            applyScenario(scenario);
+        }
+    } catch (error) {
+        showScenarioStatus(`Could not open the linked scenario:\n${error.message}`, true);
+    }
+}
+
+window.addEventListener('hashchange', loadScenarioFromHash);
+
+elements.startBtn.addEventListener('click', toggleSimulation);
+elements.fastForwardBtn.addEventListener('click', toggleFastForward);
+elements.resetBtn.addEventListener('click', resetSimulation);
+elements.exportCsvBtn.addEventListener('click', () => exportRun('csv'));
+elements.batchRunBtn.addEventListener('click', toggleBatch);
+elements.batchExportCsvBtn.addEventListener('click', () => exportBatch('csv'));
+elements.batchExportJsonBtn.addEventListener('click', () => exportBatch('json'));
+elements.exportJsonBtn.addEventListener('click', () => exportRun('json'));
+
+// Turbine inspector
+elements.swarmCanvas.addEventListener('click', (e) => {
+    const index = turbineAt(e);
+    if (index !== null) {
+        inspectTurbine(index);
+    }
+});
+elements.inspectorCloseBtn.addEventListener('click', () => inspectTurbine(null));
+
+// Plan or side elevation for both turbine canvases
+function setView(view) {
+    app.view = view;
+    [[elements.viewTopBtn, 'top'], [elements.viewElevationBtn, 'elevation']].forEach(([button, id]) => {
+        button.classList.toggle('active', id === view);
+        button.setAttribute('aria-pressed', String(id === view));
+    });
+    if (!app.isRunning) render();
 }
 
+elements.viewTopBtn.addEventListener('click', () => setView('top'));
+elements.viewElevationBtn.addEventListener('click', () => setView('elevation'));
+[elements.inspectorPinAngle, elements.inspectorPinAngleValue, elements.inspectorPinTilt,
+    elements.inspectorPinTiltValue, elements.inspectorDisabled]
+    .forEach(input => input.addEventListener('change', applyTurbineOverride));
+
+// Chart zoom, pan, crosshair and series toggles
+elements.energyChart.addEventListener('wheel', zoomChart, { passive: false });
+elements.energyChart.addEventListener('pointerdown', startChartPan);
+elements.energyChart.addEventListener('pointermove', moveChartPointer);
+elements.energyChart.addEventListener('pointerup', endChartPan);
+elements.energyChart.addEventListener('pointercancel', endChartPan);
+elements.energyChart.addEventListener('pointerleave', () => {
+    app.chart.hoverX = null;
+    redrawChart();
+});
+elements.energyChart.addEventListener('dblclick', fitChart);
+elements.chartFitBtn.addEventListener('click', fitChart);
+[elements.chartShowTurbines, elements.chartShowWindSpeed, elements.chartShowVertical, elements.chartShowEfficiency,
+    elements.chartShowEstimate, elements.chartShowBuilding]
+    .forEach(toggle => toggle.addEventListener('change', redrawChart));
+
 // ===========================
 // RENDERING
 // ===========================
-function drawSwarmTurbines(context) {
+// Auto-fits any layout: pixels per layout unit, drawn turbine size and the
+// honeycomb cell radius. Rotor radius in layout units is 1 / (2 * spacing).
+function swarmGeometry(canvas, swarm) {
+    const { extent, minSpacing } = measureLayout(swarm.turbines);
+    const rotorRadius = 1 / (2 * swarm.spacing);
+    const cellRadius = minSpacing / Math.sqrt(3);
+    const available = Math.min(canvas.width, canvas.height) / 2 - 40; // Room for labels
+    const unit = available / (extent + Math.max(rotorRadius, cellRadius));
+
+    return {
+        unit,
+        turbineSize: rotorRadius * unit / 1.3, // Blades reach 1.3× turbineSize
+        cellRadius: cellRadius * unit * 0.95
+    };
+}
+
+// Faint arrows sampling the local wind across the roof: length follows
+// speed, warm colours mark updrafts and cool ones downdrafts
+function drawWindField(context, snapshot, centerX, centerY, unit) {
+    const field = snapshot.windField;
+    const half = field.roofHalfSize;
+    const freeStream = { angle: snapshot.windAngle, speed: snapshot.windSpeed, vertical: snapshot.windVertical };
+    const steps = 9;
+    const cell = (2 * half) / steps;
+
+    // Roof outline
+    context.strokeStyle = 'rgba(184, 193, 236, 0.15)';
+    context.lineWidth = 1;
+    context.setLineDash([4, 4]);
+    context.strokeRect(centerX - half * unit, centerY - half * unit, 2 * half * unit, 2 * half * unit);
+    context.setLineDash([]);
+
+    context.lineWidth = 1.5;
+    for (let i = 0; i < steps; i++) {
+        for (let j = 0; j < steps; j++) {
+            const x = -half + cell * (i + 0.5);
+            const y = -half + cell * (j + 0.5);
+            const local = sampleWindField(field, freeStream, x, y, snapshot.time, field.intensity);
+            const flow = flowDirection(local.angle);
+            const length = cell * unit * 0.4 * Math.min(2, local.speed / Math.max(freeStream.speed, 0.1));
+            const alpha = Math.min(0.5, 0.12 + Math.abs(local.vertical) / 20);
+            context.strokeStyle = local.vertical > 0 ?
+                `rgba(255, 200, 100, ${alpha})` :
+                `rgba(100, 200, 255, ${alpha})`;
+
+            const px = centerX + x * unit;
+            const py = centerY + y * unit;
+            const tipX = px + flow.x * length;
+            const tipY = py + flow.y * length;
+            context.beginPath();
+            context.moveTo(px - flow.x * length, py - flow.y * length);
+            context.lineTo(tipX, tipY);
+            context.lineTo(tipX - flow.x * 4 - flow.y * 3, tipY - flow.y * 4 + flow.x * 3);
+            context.moveTo(tipX, tipY);
+            context.lineTo(tipX - flow.x * 4 + flow.y * 3, tipY - flow.y * 4 - flow.x * 3);
+            context.stroke();
+        }
+    }
+}
+
+function drawSwarmTurbines(context, snapshot) {
     const canvas = context.canvas;
     const centerX = canvas.width / 2;
     const centerY = canvas.height / 2;
-    const spacing = 50; // Distance between turbines
-    const turbineSize = 25; // Smaller turbines
+    const turbines = snapshot.swarm.turbines;
+    const { unit, turbineSize, cellRadius } = swarmGeometry(canvas, snapshot.swarm);
 
     context.clearRect(0, 0, canvas.width, canvas.height);
 
+    if (app.showWindField && snapshot.windField) {
+        drawWindField(context, snapshot, centerX, centerY, unit);
+    }
+
     // Draw wind direction indicator (horizontal)
     context.save();
     context.translate(centerX, centerY);
-    context.rotate((state.windAngle - 90) * Math.PI / 180);
+    context.rotate((snapshot.windAngle - 90) * Math.PI / 180);
 
     context.strokeStyle = 'rgba(74, 172, 254, 0.4)';
     context.lineWidth = 2;
@@ -363,8 +1291,8 @@ function drawSwarmTurbines(context) {
     context.restore();
 
     // Draw vertical wind indicator
-    const verticalStrength = Math.abs(state.windVertical) / 10;
-    const verticalColor = state.windVertical > 0 ?
+    const verticalStrength = Math.abs(snapshot.windVertical) / 10;
+    const verticalColor = snapshot.windVertical > 0 ?
         `rgba(255, 200, 100, ${verticalStrength})` :
         `rgba(100, 200, 255, ${verticalStrength})`;
 
@@ -372,10 +1300,10 @@ function drawSwarmTurbines(context) {
     context.fillRect(10, 10, 8, 60);
 
     // Arrow for updraft/downdraft
-    context.fillStyle = state.windVertical > 0 ?
+    context.fillStyle = snapshot.windVertical > 0 ?
         'rgba(255, 200, 100, 0.8)' :
         'rgba(100, 200, 255, 0.8)';
-    if (state.windVertical > 0) {
+    if (snapshot.windVertical > 0) {
         // Up arrow
         context.beginPath();
         context.moveTo(14, 10);
@@ -391,19 +1319,42 @@ function drawSwarmTurbines(context) {
         context.fill();
     }
 
+    // Wake cones behind each rotor, long enough to cross the whole array
+    if (app.showWakes && snapshot.swarm.interaction === 'wake') {
+        const { spacing, wakeDecay } = snapshot.swarm;
+        const length = (measureLayout(turbines).extent * 2 + 1) * spacing;
+
+        context.fillStyle = 'rgba(74, 172, 254, 0.07)';
+        context.strokeStyle = 'rgba(74, 172, 254, 0.15)';
+        context.lineWidth = 1;
+        turbines.filter(t => !t.disabled).forEach((turbine) => {
+            const outline = wakeConeOutline(turbine, snapshot.windAngle, { spacing, wakeDecay }, length);
+            context.beginPath();
+            outline.forEach((p, i) => {
+                const x = centerX + p.x * unit;
+                const y = centerY + p.y * unit;
+                if (i === 0) context.moveTo(x, y);
+                else context.lineTo(x, y);
+            });
+            context.closePath();
+            context.fill();
+            context.stroke();
+        });
+    }
+
     // Draw honeycomb structure
     context.strokeStyle = 'rgba(74, 172, 254, 0.2)';
     context.lineWidth = 2;
-    state.swarm.turbines.forEach((turbine) => {
-        const tx = centerX + turbine.x * spacing;
-        const ty = centerY + turbine.y * spacing;
+    turbines.forEach((turbine) => {
+        const tx = centerX + turbine.x * unit;
+        const ty = centerY + turbine.y * unit;
 
         // Hexagon around each turbine
         context.beginPath();
         for (let i = 0; i < 6; i++) {
-            const angle = (i * 60 - 30) * Math.PI / 180;
-            const x = tx + Math.cos(angle) * (turbineSize * 1.2);
-            const y = ty + Math.sin(angle) * (turbineSize * 1.2);
+            const angle = (i * 60) * Math.PI / 180;
+            const x = tx + Math.cos(angle) * cellRadius;
+            const y = ty + Math.sin(angle) * cellRadius;
             if (i === 0) context.moveTo(x, y);
             else context.lineTo(x, y);
         }
@@ -412,12 +1363,36 @@ function drawSwarmTurbines(context) {
     });
 
     // Draw each turbine
-    state.swarm.turbines.forEach((turbine) => {
-        const tx = centerX + turbine.x * spacing;
-        const ty = centerY + turbine.y * spacing;
+    turbines.forEach((turbine, index) => {
+        const tx = centerX + turbine.x * unit;
+        const ty = centerY + turbine.y * unit;
+
+        // Inspected turbine ring and manual override tag
+        if (index === app.inspected) {
+            context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            context.lineWidth = 2;
+            context.setLineDash([4, 3]);
+            context.beginPath();
+            context.arc(tx, ty, turbineSize * 1.45, 0, Math.PI * 2);
+            context.stroke();
+            context.setLineDash([]);
+        }
+        const tag = turbine.disabled ? 'parked' :
+            [turbine.pinnedAngle !== null ? 'H' : '', turbine.pinnedTilt !== null ? 'T' : ''].join('');
+        if (tag) {
+            context.fillStyle = '#fee140';
+            context.font = '11px Inter';
+            context.textAlign = 'center';
+            context.fillText(turbine.disabled ? tag : `📌 ${tag}`, tx, ty - turbineSize * 1.55);
+        }
+
+        drawFaultMarker(context, tx, ty, turbineSize * 1.35, turbine.faults);
 
         context.save();
         context.translate(tx, ty);
+        if (turbine.parked) {
+            context.globalAlpha = 0.3;
+        }
 
         // Tilt visualization (skew the turbine)
         const tiltFactor = turbine.tilt / 100; // -0.3 to 0.3
@@ -428,7 +1403,7 @@ function drawSwarmTurbines(context) {
 
         // Turbine pole
         context.fillStyle = 'rgba(74, 172, 254, 0.6)';
-        context.fillRect(-3, 0, 6, 40);
+        context.fillRect(-turbineSize * 0.12, 0, turbineSize * 0.24, turbineSize * 1.6);
 
         // Hub
         const gradient = context.createRadialGradient(0, 0, 0, 0, 0, turbineSize / 2);
@@ -467,15 +1442,73 @@ function drawSwarmTurbines(context) {
     context.fillStyle = '#ffffff';
     context.font = '12px Inter';
     context.textAlign = 'center';
-    context.fillText(`Wind: ${Math.round(state.windAngle)}° H, ${state.windVertical.toFixed(1)} V`, centerX, canvas.height - 35);
-    context.fillText(`Avg Tilt: ${(state.swarm.turbines.reduce((s, t) => s + t.tilt, 0) / 6).toFixed(1)}°`, centerX, canvas.height - 20);
+    context.fillText(`Wind: ${Math.round(snapshot.windAngle)}° H, ${snapshot.windVertical.toFixed(1)} V`, centerX, canvas.height - 35);
+    const avgTiltText = `Avg Tilt: ${(turbines.reduce((s, t) => s + t.tilt, 0) / turbines.length).toFixed(1)}°`;
+    const wakeText = snapshot.swarm.interaction === 'wake' ? ` · Wake loss: ${(snapshot.swarm.wakeLoss * 100).toFixed(1)}%` : '';
+    context.fillText(avgTiltText + wakeText, centerX, canvas.height - 20);
+}
+
+// Red ring and short labels around a rotor with active faults
+function drawFaultMarker(context, x, y, radius, faults) {
+    if (!faults || faults.length === 0) return;
+
+    context.strokeStyle = 'rgba(245, 87, 108, 0.9)';
+    context.lineWidth = 2;
+    context.setLineDash([3, 3]);
+    context.beginPath();
+    context.arc(x, y, radius, 0, Math.PI * 2);
+    context.stroke();
+    context.setLineDash([]);
+
+    context.fillStyle = '#f5576c';
+    context.font = 'bold 11px Inter';
+    context.textAlign = 'center';
+    context.fillText(`⚠ ${faults.map(type => FAULT_TYPES[type].label).join(' ')}`, x, y + radius + 12);
+}
+
+// Swarm turbine under a click on the swarm canvas, or null
+function turbineAt(e) {
+    const canvas = elements.swarmCanvas;
+    const swarm = app.shown.swarm;
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    // Pointer position in the drawing's coordinates (the context is scaled by dpr)
+    const x = (e.clientX - rect.left) * (canvas.width / dpr) / rect.width;
+    const y = (e.clientY - rect.top) * (canvas.height / dpr) / rect.height;
+    if (app.view === 'elevation') {
+        const style = swarmElevationStyle(app.shown);
+        const geometry = elevationGeometry(canvas, app.shown.windAngle, swarm.turbines, style.diameter, style.roofHalfSize);
+        const reach = style.diameter / 2 * geometry.unit;
+        // Near rotors are drawn on top, so they win ties
+        const hits = geometry.rotors
+            .map((rotor, index) => ({ index, across: rotor.across, distance: Math.hypot(rotor.hub.x - x, rotor.hub.y - y) }))
+            .filter(hit => hit.distance <= reach)
+            .sort((a, b) => a.across - b.across);
+        return hits.length > 0 ? hits[0].index : null;
+    }
+    const { unit, turbineSize } = swarmGeometry(canvas, swarm);
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    swarm.turbines.forEach((turbine, index) => {
+        const distance = Math.hypot(canvas.width / 2 + turbine.x * unit - x, canvas.height / 2 + turbine.y * unit - y);
+        if (distance < nearestDistance) {
+            nearest = index;
+            nearestDistance = distance;
+        }
+    });
+    return nearestDistance <= turbineSize * 1.5 ? nearest : null;
 }
 
-function drawTurbine(context, angle, tilt, windAngle, isBaseline = false) {
+// Draws the first chosen baseline; arrays get one smaller rotor per turbine
+function drawTurbine(context, snapshot) {
+    const { angle, turbines } = snapshot.baseline;
+    const windAngle = snapshot.windAngle;
     const canvas = context.canvas;
     const centerX = canvas.width / 2;
     const centerY = canvas.height / 2;
-    const size = 80;
+    const size = 80 / Math.sqrt(turbines.length);
+    const unit = 110;
 
     context.clearRect(0, 0, canvas.width, canvas.height);
 
@@ -497,303 +1530,2173 @@ function drawTurbine(context, angle, tilt, windAngle, isBaseline = false) {
     context.restore();
 
     // Draw vertical wind indicator
-    const verticalStrength = Math.abs(state.windVertical) / 10;
-    const verticalColor = state.windVertical > 0 ?
+    const verticalStrength = Math.abs(snapshot.windVertical) / 10;
+    const verticalColor = snapshot.windVertical > 0 ?
         `rgba(255, 200, 100, ${verticalStrength})` :
         `rgba(100, 200, 255, ${verticalStrength})`;
 
     context.fillStyle = verticalColor;
     context.fillRect(10, 10, 10, 80);
 
-    // Draw turbine
-    context.save();
-    context.translate(centerX, centerY);
-    context.rotate((angle - 90) * Math.PI / 180);
-
-    // Turbine base (pole)
-    context.fillStyle = 'rgba(245, 87, 108, 0.8)';
-    context.fillRect(-8, 0, 16, 120);
+    // Draw turbines (a rotor that is out of service stands still)
+    const bladeRotation = (snapshot.time * 2) % 360;
 
-    // Turbine hub
-    const gradient = context.createRadialGradient(0, 0, 0, 0, 0, size / 2);
-    gradient.addColorStop(0, '#f093fb');
-    gradient.addColorStop(1, '#f5576c');
+    turbines.forEach((turbine) => {
+        const tx = centerX + turbine.x * unit;
+        const ty = centerY + turbine.y * unit;
+        drawFaultMarker(context, tx, ty, size * 1.7, turbine.faults);
 
-    context.fillStyle = gradient;
+        context.save();
+        context.translate(tx, ty);
+        context.rotate((turbine.angle - 90) * Math.PI / 180);
+        if (turbine.parked) {
+            context.globalAlpha = 0.3;
+        }
+
+        // Turbine base (pole)
+        context.fillStyle = 'rgba(245, 87, 108, 0.8)';
+        context.fillRect(-size * 0.1, 0, size * 0.2, size * 1.5);
+
+        // Turbine hub
+        const gradient = context.createRadialGradient(0, 0, 0, 0, 0, size / 2);
+        gradient.addColorStop(0, '#f093fb');
+        gradient.addColorStop(1, '#f5576c');
+
+        context.fillStyle = gradient;
+        context.beginPath();
+        context.arc(0, 0, size / 2, 0, Math.PI * 2);
+        context.fill();
+
+        // Turbine blades (3 blades)
+        for (let i = 0; i < 3; i++) {
+            context.save();
+            context.rotate(((turbine.parked ? 0 : bladeRotation) + (i * 120)) * Math.PI / 180);
+
+            const bladeGradient = context.createLinearGradient(0, 0, size * 1.5, 0);
+            bladeGradient.addColorStop(0, 'rgba(245, 87, 108, 1)');
+            bladeGradient.addColorStop(1, 'rgba(240, 147, 251, 0.3)');
+
+            context.fillStyle = bladeGradient;
+            context.beginPath();
+            context.ellipse(size * 0.8, 0, size * 0.8, size * 0.2, 0, 0, Math.PI * 2);
+            context.fill();
+
+            context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+            context.lineWidth = turbines.length > 1 ? 1 : 2;
+            context.stroke();
+
+            context.restore();
+        }
+
+        context.restore();
+    });
+
+    // Draw angle indicator text
+    context.fillStyle = '#ffffff';
+    context.font = '14px Inter';
+    context.textAlign = 'center';
+    context.fillText(`Turbine: ${Math.round(angle)}°`, centerX, canvas.height - 40);
+    context.fillText(`Wind: ${Math.round(windAngle)}°`, centerX, canvas.height - 20);
+}
+
+// ===========================
+// ELEVATION VIEW
+// ===========================
+// Oblique side view looking across the wind: the flow runs left to right,
+// cross-wind depth recedes up and to the right, and height is true to
+// scale, so a rotor's tilt can be read against the wind's vertical
+// component. Positions are layout units (see layout.js).
+const ELEVATION_DEPTH = { x: 0.45, y: 0.3 }; // Screen shift per unit of depth
+const MAST_HEIGHT = 1.3;                     // Hub height in rotor diameters
+
+// 3D point (along the flow, across it, up) to canvas coordinates
+function elevationGeometry(canvas, windAngle, rotors, diameter, roofHalfSize) {
+    const flow = flowDirection(windAngle);
+    const toWind = p => ({ along: p.x * flow.x + p.y * flow.y, across: p.y * flow.x - p.x * flow.y });
+    const project = (along, across, up) => ({ x: along + across * ELEVATION_DEPTH.x, y: -across * ELEVATION_DEPTH.y - up });
+
+    // Fit the roof and the tallest rotor tip into the canvas, leaving room for labels
+    const top = diameter * (MAST_HEIGHT + 0.5);
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, y]) => toWind({ x: x * roofHalfSize, y: y * roofHalfSize }));
+    const outline = [].concat(...corners.map(c => [project(c.along, c.across, 0), project(c.along, c.across, top)]));
+    const minX = Math.min(...outline.map(p => p.x));
+    const maxX = Math.max(...outline.map(p => p.x));
+    const minY = Math.min(...outline.map(p => p.y));
+    const maxY = Math.max(...outline.map(p => p.y));
+    const unit = Math.min((canvas.width - 60) / (maxX - minX), (canvas.height - 130) / (maxY - minY));
+    const offsetX = canvas.width / 2 - (minX + maxX) / 2 * unit;
+    const offsetY = canvas.height / 2 + 10 - (minY + maxY) / 2 * unit;
+
+    const point = (along, across, up) => {
+        const p = project(along, across, up);
+        return { x: offsetX + p.x * unit, y: offsetY + p.y * unit };
+    };
+    return {
+        unit,
+        roof: corners.map(c => point(c.along, c.across, 0)),
+        rotors: rotors.map((rotor) => {
+            const position = toWind(rotor);
+            return Object.assign(position, {
+                base: point(position.along, position.across, 0),
+                hub: point(position.along, position.across, diameter * MAST_HEIGHT)
+            });
+        }),
+        point
+    };
+}
+
+// Convex hull of 2D points (monotone chain), for the swarm's footprint
+function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const half = (list) => {
+        const hull = [];
+        list.forEach((p) => {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+            hull.push(p);
+        });
+        hull.pop();
+        return hull;
+    };
+    return half(sorted).concat(half(sorted.slice().reverse()));
+}
+
+function tracePolygon(context, points) {
     context.beginPath();
-    context.arc(0, 0, size / 2, 0, Math.PI * 2);
+    points.forEach((p, i) => {
+        if (i === 0) context.moveTo(p.x, p.y);
+        else context.lineTo(p.x, p.y);
+    });
+    context.closePath();
+}
+
+// Tilt that faces the wind head-on (see physics.js)
+function windElevation(wind) {
+    return Math.atan2(wind.vertical, wind.speed) * 180 / Math.PI;
+}
+
+// Draws `rotors` ({ x, y, angle, tilt, rotation, parked, faults, wind })
+// side-on. `style` holds colours, the rotor diameter and roof size in
+// layout units and the index of a highlighted rotor.
+function drawElevation(context, snapshot, rotors, style) {
+    const canvas = context.canvas;
+    const windAngle = snapshot.windAngle;
+    const geometry = elevationGeometry(canvas, windAngle, rotors, style.diameter, style.roofHalfSize);
+    const { unit, point } = geometry;
+    const radius = style.diameter / 2;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Free-stream wind in the vertical plane (direction to scale, length by speed)
+    const freeStream = { speed: snapshot.windSpeed, vertical: snapshot.windVertical };
+    const elevation = windElevation(freeStream) * Math.PI / 180;
+    const arrow = 30 + Math.min(60, Math.hypot(freeStream.speed, freeStream.vertical) * 3);
+    const tipX = 20 + arrow * Math.cos(elevation);
+    const tipY = 50 - arrow * Math.sin(elevation);
+    context.strokeStyle = snapshot.windVertical > 0 ? 'rgba(255, 200, 100, 0.9)' : 'rgba(100, 200, 255, 0.9)';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(20, 50);
+    context.lineTo(tipX, tipY);
+    context.lineTo(tipX - 8 * Math.cos(elevation - 0.4), tipY + 8 * Math.sin(elevation - 0.4));
+    context.moveTo(tipX, tipY);
+    context.lineTo(tipX - 8 * Math.cos(elevation + 0.4), tipY + 8 * Math.sin(elevation + 0.4));
+    context.stroke();
+    context.fillStyle = '#ffffff';
+    context.font = '12px Inter';
+    context.textAlign = 'left';
+    context.fillText(`Wind ${snapshot.windSpeed.toFixed(1)} m/s, ${snapshot.windVertical >= 0 ? '+' : ''}` +
+        `${snapshot.windVertical.toFixed(1)} m/s vertical (${windElevation(freeStream).toFixed(1)}°)`, 20, 22);
+
+    // Rooftop plane and the footprint the rotors stand on
+    context.fillStyle = 'rgba(184, 193, 236, 0.06)';
+    context.strokeStyle = 'rgba(184, 193, 236, 0.3)';
+    context.lineWidth = 1;
+    context.setLineDash([4, 4]);
+    tracePolygon(context, geometry.roof);
     context.fill();
+    context.stroke();
+    context.setLineDash([]);
+
+    const footprint = convexHull(geometry.rotors.map(r => r.base));
+    if (footprint.length >= 3) {
+        context.fillStyle = style.footprint;
+        context.strokeStyle = style.mast;
+        tracePolygon(context, footprint);
+        context.fill();
+        context.stroke();
+    }
+
+    // Far rotors first so near ones are drawn over them
+    const order = rotors.map((rotor, index) => index)
+        .sort((a, b) => geometry.rotors[b].across - geometry.rotors[a].across);
+    order.forEach((index) => {
+        const rotor = rotors[index];
+        const { base, hub, along, across } = geometry.rotors[index];
+        const hubHeight = style.diameter * MAST_HEIGHT;
+
+        // Shadow and mast
+        context.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        context.beginPath();
+        context.ellipse(base.x, base.y, radius * unit * 0.5, radius * unit * 0.5 * ELEVATION_DEPTH.y, 0, 0, Math.PI * 2);
+        context.fill();
+        context.strokeStyle = style.mast;
+        context.lineWidth = 3;
+        context.beginPath();
+        context.moveTo(base.x, base.y);
+        context.lineTo(hub.x, hub.y);
+        context.stroke();
+
+        if (index === style.highlight) {
+            context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            context.lineWidth = 2;
+            context.setLineDash([4, 3]);
+            context.beginPath();
+            context.arc(hub.x, hub.y, radius * unit * 1.25, 0, Math.PI * 2);
+            context.stroke();
+            context.setLineDash([]);
+        }
 
-    // Turbine blades (3 blades)
-    const bladeRotation = (state.time * 2) % 360;
+        // Local wind arriving at the hub, tilted by its vertical component
+        const wind = rotor.wind;
+        const windHeading = angleDelta(windAngle, wind.angle) * Math.PI / 180;
+        const windRise = windElevation(wind) * Math.PI / 180;
+        const reach = style.diameter * 0.9;
+        const tail = point(
+            along - reach * Math.cos(windRise) * Math.cos(windHeading),
+            across - reach * Math.cos(windRise) * Math.sin(windHeading),
+            hubHeight - reach * Math.sin(windRise)
+        );
+        context.strokeStyle = wind.vertical > 0 ? 'rgba(255, 200, 100, 0.7)' : 'rgba(100, 200, 255, 0.7)';
+        context.lineWidth = 1.5;
+        context.beginPath();
+        context.moveTo(tail.x, tail.y);
+        context.lineTo(hub.x, hub.y);
+        context.stroke();
 
-    for (let i = 0; i < 3; i++) {
         context.save();
-        context.rotate((bladeRotation + (i * 120)) * Math.PI / 180);
+        if (rotor.parked) {
+            context.globalAlpha = 0.3;
+        }
 
-        const bladeGradient = context.createLinearGradient(0, 0, size * 1.5, 0);
-        bladeGradient.addColorStop(0, 'rgba(245, 87, 108, 1)');
-        bladeGradient.addColorStop(1, 'rgba(240, 147, 251, 0.3)');
+        // Rotor axis and disc from the heading (relative to the view) and tilt
+        const yaw = angleDelta(windAngle, rotor.angle) * Math.PI / 180;
+        const tilt = rotor.tilt * Math.PI / 180;
+        const axis = [Math.cos(tilt) * Math.cos(yaw), Math.cos(tilt) * Math.sin(yaw), Math.sin(tilt)];
+        const up = [-Math.sin(tilt) * Math.cos(yaw), -Math.sin(tilt) * Math.sin(yaw), Math.cos(tilt)];
+        const side = [-Math.sin(yaw), Math.cos(yaw), 0];
+        const onDisc = (theta, r) => point(
+            along + r * (Math.cos(theta) * up[0] + Math.sin(theta) * side[0]),
+            across + r * (Math.cos(theta) * up[1] + Math.sin(theta) * side[1]),
+            hubHeight + r * (Math.cos(theta) * up[2] + Math.sin(theta) * side[2])
+        );
 
-        context.fillStyle = bladeGradient;
+        const nacelle = point(along + axis[0] * radius * 0.5, across + axis[1] * radius * 0.5,
+            hubHeight + axis[2] * radius * 0.5);
+        context.strokeStyle = style.hub;
+        context.lineWidth = 4;
         context.beginPath();
-        context.ellipse(size * 0.8, 0, size * 0.8, size * 0.2, 0, 0, Math.PI * 2);
+        context.moveTo(hub.x, hub.y);
+        context.lineTo(nacelle.x, nacelle.y);
+        context.stroke();
+
+        const rim = [];
+        for (let i = 0; i < 32; i++) {
+            rim.push(onDisc(i * Math.PI / 16, radius));
+        }
+        context.fillStyle = style.disc;
+        context.strokeStyle = style.rim;
+        context.lineWidth = 1;
+        tracePolygon(context, rim);
         context.fill();
+        context.stroke();
+
+        context.strokeStyle = style.hub;
+        context.lineWidth = 2;
+        for (let i = 0; i < 3; i++) {
+            const tip = onDisc((rotor.rotation + i * 120) * Math.PI / 180, radius);
+            context.beginPath();
+            context.moveTo(hub.x, hub.y);
+            context.lineTo(tip.x, tip.y);
+            context.stroke();
+        }
+        context.restore();
+
+        // Tilt against the ideal one, when there is room to label each rotor
+        if (rotors.length <= 7 || index === style.highlight) {
+            context.fillStyle = '#ffffff';
+            context.font = '11px Inter';
+            context.textAlign = 'center';
+            context.fillText(`${rotor.tilt.toFixed(0)}° / ${windElevation(wind).toFixed(0)}°`,
+                hub.x, hub.y - radius * unit - 6);
+        }
+        if (rotor.tag) {
+            context.fillStyle = '#fee140';
+            context.font = '11px Inter';
+            context.textAlign = 'center';
+            context.fillText(rotor.tag, hub.x, hub.y - radius * unit - 19);
+        }
+        drawFaultMarker(context, hub.x, hub.y, radius * unit * 1.1, rotor.faults);
+    });
+
+    const meanTilt = rotors.reduce((sum, r) => sum + r.tilt, 0) / rotors.length;
+    const meanIdeal = rotors.reduce((sum, r) => sum + windElevation(r.wind), 0) / rotors.length;
+    context.fillStyle = '#ffffff';
+    context.font = '12px Inter';
+    context.textAlign = 'center';
+    context.fillText(`Avg tilt ${meanTilt.toFixed(1)}° · wind arrives at ${meanIdeal.toFixed(1)}°`,
+        canvas.width / 2, canvas.height - 35);
+    context.fillText('Labels: rotor tilt / wind elevation · view across the wind', canvas.width / 2, canvas.height - 20);
+}
+
+// Swarm rotors as drawElevation() expects them
+function swarmElevationRotors(snapshot) {
+    return snapshot.swarm.turbines.map((turbine) => {
+        const pins = [turbine.pinnedAngle !== null ? 'H' : '', turbine.pinnedTilt !== null ? 'T' : ''].join('');
+        return Object.assign({}, turbine, {
+            wind: turbine.localWind ? {
+                angle: turbine.localWind.angle,
+                speed: turbine.localWind.speed * (1 - turbine.wakeDeficit),
+                vertical: turbine.localWind.vertical
+            } : { angle: snapshot.windAngle, speed: snapshot.windSpeed, vertical: snapshot.windVertical },
+            tag: turbine.disabled ? 'parked' : (pins ? `📌 ${pins}` : '')
+        });
+    });
+}
+
+function swarmElevationStyle(snapshot) {
+    const { extent } = measureLayout(snapshot.swarm.turbines);
+    const diameter = 1 / snapshot.swarm.spacing;
+    return {
+        diameter,
+        roofHalfSize: Math.max(extent + diameter, snapshot.windField ? snapshot.windField.roofHalfSize : 0),
+        mast: 'rgba(74, 172, 254, 0.6)',
+        footprint: 'rgba(74, 172, 254, 0.08)',
+        disc: 'rgba(74, 172, 254, 0.25)',
+        rim: 'rgba(0, 242, 254, 0.8)',
+        hub: '#4facfe',
+        highlight: app.inspected
+    };
+}
+
+function drawSwarmElevation(context, snapshot) {
+    drawElevation(context, snapshot, swarmElevationRotors(snapshot), swarmElevationStyle(snapshot));
+}
+
+// The first chosen baseline, which sees the free-stream wind at hub height
+function drawBaselineElevation(context, snapshot) {
+    const { turbines } = snapshot.baseline;
+    const wind = { angle: snapshot.windAngle, speed: snapshot.windSpeed, vertical: snapshot.windVertical };
+    const diameter = turbines.length > 1 ? 0.6 : 1;
+    const rotation = (snapshot.time * 2) % 360;
+    drawElevation(context, snapshot, turbines.map(turbine => Object.assign({}, turbine, {
+        wind,
+        rotation: turbine.parked ? 0 : rotation
+    })), {
+        diameter,
+        roofHalfSize: measureLayout(turbines).extent + diameter * 1.5,
+        mast: 'rgba(245, 87, 108, 0.8)',
+        footprint: 'rgba(245, 87, 108, 0.08)',
+        disc: 'rgba(245, 87, 108, 0.25)',
+        rim: 'rgba(240, 147, 251, 0.8)',
+        hub: '#f5576c',
+        highlight: null
+    });
+}
+
+function updateDisplay(snapshot) {
+    // Update swarm stats
+    const turbines = snapshot.swarm.turbines;
+    const avgAngle = turbines.reduce((s, t) => s + t.angle, 0) / turbines.length;
+    const avgTilt = turbines.reduce((s, t) => s + t.tilt, 0) / turbines.length;
+
+    elements.swarmTitle.textContent = `🎯 Swarm Turbines (${turbines.length}x)`;
+
+    // Simulated clock
+    const target = app.fastForwardTo !== null ? ` → ${formatClock(app.fastForwardTo)}` : '';
+    const climate = snapshot.climate;
+    elements.clockStatus.textContent = `Simulated ${formatClock(snapshot.seconds)}${target} · ${snapshot.time} steps` +
+        (climate ? `\n${formatWeekClock(snapshot.clockSeconds)}, ${formatDayOfYear(climate.dayOfYear)} · ` +
+            `sun ${climate.sunElevation.toFixed(0)}° · thermals ${climate.updraft >= 0 ? '+' : ''}${climate.updraft.toFixed(1)} m/s` : '');
+    updateSensorStatus(snapshot.swarm.windEstimate);
+
+    elements.swarmAngle.textContent = `${Math.round(avgAngle)}° ∠${Math.round(avgTilt)}°`;
+    elements.swarmEnergy.textContent = `${snapshot.swarm.currentEnergy.toFixed(1)} kW`;
+    elements.swarmEfficiency.textContent = `${snapshot.swarm.totalEfficiency.toFixed(1)}%`;
+
+    // Update baseline stats (the first chosen baseline is drawn)
+    elements.baselineTitle.textContent = `📍 ${snapshot.baseline.label} Baseline`;
+    elements.baselineBadge.textContent = snapshot.baseline.tracking ? 'Tracking' : 'Static';
+    elements.baselineAngle.textContent = `${Math.round(snapshot.baseline.angle)}°`;
+    elements.baselineEnergy.textContent = `${snapshot.baseline.energy.toFixed(1)} kW`;
+    elements.baselineEfficiency.textContent = `${snapshot.baseline.efficiency.toFixed(1)}%`;
+
+    // Update wind indicators
+    const windText = `💨 ${snapshot.windSpeed.toFixed(1)} m/s ${snapshot.windVertical > 0 ? '⬆' : '⬇'}${Math.abs(snapshot.windVertical).toFixed(1)}`;
+    elements.windIndicatorSwarm.textContent = windText;
+    elements.windIndicatorBaseline.textContent = windText;
+
+    // Update total energy bars
+    const baselines = snapshot.baselines;
+    const rows = baselineMetricRows(baselines);
+    const maxEnergy = Math.max(snapshot.swarm.grossEnergy, ...baselines.map(b => b.totalEnergy), 1);
+
+    elements.totalGrossBar.style.width = `${(snapshot.swarm.grossEnergy / maxEnergy) * 100}%`;
+    elements.totalGrossValue.textContent = `${snapshot.swarm.grossEnergy.toFixed(2)} kWh`;
+
+    elements.totalActuationBar.style.width = `${(snapshot.swarm.actuationEnergy / maxEnergy) * 100}%`;
+    elements.totalActuationValue.textContent = `${snapshot.swarm.actuationEnergy.toFixed(3)} kWh`;
+
+    elements.totalAdaptiveBar.style.width = `${(snapshot.swarm.totalEnergy / maxEnergy) * 100}%`;
+    elements.totalAdaptiveValue.textContent = `${snapshot.swarm.totalEnergy.toFixed(2)} kWh`;
+
+    baselines.forEach((baseline, i) => {
+        rows[i].total.bar.style.width = `${(baseline.totalEnergy / maxEnergy) * 100}%`;
+        rows[i].total.value.textContent = `${baseline.totalEnergy.toFixed(2)} kWh`;
+    });
+
+    // Update average power bars
+    const averagePower = energy => (energy > 0 ? energy / (snapshot.seconds / 3600) : 0);
+    const avgSwarm = averagePower(snapshot.swarm.totalEnergy);
+    const avgBaselines = baselines.map(b => averagePower(b.totalEnergy));
+    const maxAvg = Math.max(avgSwarm, ...avgBaselines, 1);
+
+    elements.avgAdaptiveBar.style.width = `${(avgSwarm / maxAvg) * 100}%`;
+    elements.avgAdaptiveValue.textContent = `${avgSwarm.toFixed(2)} kW`;
+
+    avgBaselines.forEach((avg, i) => {
+        rows[i].avg.bar.style.width = `${(avg / maxAvg) * 100}%`;
+        rows[i].avg.value.textContent = `${avg.toFixed(2)} kW`;
+    });
+
+    // Update improvement percentage (headline against the first baseline)
+    const improvements = baselines.map(b => (b.totalEnergy > 0 ?
+        ((snapshot.swarm.totalEnergy - b.totalEnergy) / b.totalEnergy) * 100 : 0));
+    const formatImprovement = value => (value >= 0 ? `+${value.toFixed(1)}%` : `${value.toFixed(1)}%`);
+
+    elements.improvementPercentage.textContent = formatImprovement(improvements[0]);
+    elements.improvementText.textContent = `More energy than the ${baselines[0].label} baseline`;
+    rows.forEach((row, i) => {
+        row.improvement.textContent = `vs ${baselines[i].label}: ${formatImprovement(improvements[i])}`;
+        row.improvement.hidden = baselines.length < 2;
+    });
+
+    // Fault resilience: time in service and energy the faults cost
+    const faultLines = [['Swarm', snapshot.swarm.faultStats]]
+        .concat(baselines.map(b => [b.label, b.faultStats]))
+        .map(([label, stats]) => `${label}: ${(stats.availability * 100).toFixed(1)}% available · ` +
+            `${stats.lostEnergy.toFixed(2)} kWh lost · ${stats.faultCount} fault${stats.faultCount === 1 ? '' : 's'}`);
+    if (elements.faultSummary.children.length !== faultLines.length) {
+        elements.faultSummary.replaceChildren(...faultLines.map(() => document.createElement('li')));
+    }
+    faultLines.forEach((line, i) => {
+        elements.faultSummary.children[i].textContent = line;
+    });
+}
+
+function createMetricBar(label, color) {
+    const row = document.createElement('div');
+    row.className = 'metric-bar';
+    const name = document.createElement('span');
+    name.className = 'bar-label';
+    name.textContent = label;
+    const container = document.createElement('div');
+    container.className = 'bar-container';
+    const bar = document.createElement('div');
+    bar.className = 'bar-fill';
+    bar.style.background = color;
+    container.appendChild(bar);
+    const value = document.createElement('span');
+    value.className = 'bar-value';
+    row.append(name, container, value);
+    return { row, bar, value };
+}
+
+// Metric rows for the chosen baselines, rebuilt when the selection changes
+function baselineMetricRows(baselines) {
+    const key = baselines.map(b => b.id).join(',');
+    if (app.baselineRows && app.baselineRows.key === key) {
+        return app.baselineRows.rows;
+    }
+
+    const rows = baselines.map((baseline) => {
+        const color = BASELINE_COLORS[baseline.id] || '#f5576c';
+        const improvement = document.createElement('li');
+        improvement.style.color = color;
+        return {
+            total: createMetricBar(baseline.label, color),
+            avg: createMetricBar(baseline.label, color),
+            improvement
+        };
+    });
+    elements.totalBaselineRows.replaceChildren(...rows.map(r => r.total.row));
+    elements.avgBaselineRows.replaceChildren(...rows.map(r => r.avg.row));
+    elements.improvementBreakdown.replaceChildren(...rows.map(r => r.improvement));
+
+    app.baselineRows = { key, rows };
+    return rows;
+}
+
+// ===========================
+// TURBINE INSPECTOR
+// ===========================
+const SPARKLINE_SAMPLES = 120; // Steps of recent output in the sparkline
+
+// Opens the inspector on a swarm turbine (null closes it)
+function inspectTurbine(index) {
+    app.inspected = index;
+    elements.turbineInspector.hidden = index === null;
+    if (index !== null) {
+        syncInspectorControls();
+    }
+    if (app.shown) {
+        drawSwarmTurbines(ctx.swarm, app.shown);
+        updateInspector(app.shown);
+    }
+}
+
+// Override inputs follow the engine when a turbine is picked or the run resets
+function syncInspectorControls() {
+    const turbine = app.sim.getSnapshot().swarm.turbines[app.inspected];
+    if (!turbine) {
+        inspectTurbine(null);
+        return;
+    }
+    elements.inspectorPinAngle.checked = turbine.pinnedAngle !== null;
+    elements.inspectorPinAngleValue.value = Math.round(turbine.pinnedAngle !== null ? turbine.pinnedAngle : turbine.angle);
+    elements.inspectorPinTilt.checked = turbine.pinnedTilt !== null;
+    elements.inspectorPinTiltValue.value = Math.round(turbine.pinnedTilt !== null ? turbine.pinnedTilt : turbine.tilt);
+    elements.inspectorDisabled.checked = turbine.disabled;
+    showInspectorHint('Click another turbine to inspect it. Overrides clear on Reset.');
+}
+
+function showInspectorHint(message, isError = false) {
+    elements.inspectorHint.textContent = message;
+    elements.inspectorHint.classList.toggle('error', isError);
+}
+
+function applyTurbineOverride() {
+    const pinnedAngle = parseFloat(elements.inspectorPinAngleValue.value);
+    const pinnedTilt = parseFloat(elements.inspectorPinTiltValue.value);
+    try {
+        app.sim.setTurbineOverride(app.inspected, {
+            pinnedAngle: elements.inspectorPinAngle.checked ? pinnedAngle : null,
+            pinnedTilt: elements.inspectorPinTilt.checked ? pinnedTilt : null,
+            disabled: elements.inspectorDisabled.checked
+        });
+        showInspectorHint('Click another turbine to inspect it. Overrides clear on Reset.');
+    } catch (error) {
+        showInspectorHint(error.message, true);
+    }
+    render();
+}
+
+function updateInspector(snapshot) {
+    const turbine = app.inspected !== null ? snapshot.swarm.turbines[app.inspected] : null;
+    if (!turbine) return;
+
+    const pinned = axis => (axis !== null ? ' 📌' : '');
+    const faultNames = turbine.faults.map(type => FAULT_TYPES[type].name.toLowerCase()).join(', ');
+    elements.inspectorTitle.textContent = `Turbine ${app.inspected + 1}${turbine.disabled ? ' (parked)' : ''}` +
+        (faultNames ? ` ⚠ ${faultNames}` : '');
+    elements.inspectorAngle.textContent = `${Math.round(turbine.angle)}°`;
+    elements.inspectorTargetAngle.textContent = `${Math.round(((turbine.targetAngle % 360) + 360) % 360)}°${pinned(turbine.pinnedAngle)}`;
+    elements.inspectorTilt.textContent = `${turbine.tilt.toFixed(1)}°`;
+    elements.inspectorTargetTilt.textContent = `${turbine.targetTilt.toFixed(1)}°${pinned(turbine.pinnedTilt)}`;
+    elements.inspectorEnergy.textContent = `${turbine.energy.toFixed(2)} kW`;
+    elements.inspectorEfficiency.textContent = `${turbine.efficiency.toFixed(1)}%`;
+    const describeWind = wind => (wind ? `${wind.speed.toFixed(1)} m/s → ${Math.round(((wind.angle % 360) + 360) % 360)}°` : '—');
+    const trueWind = turbine.localWind ?
+        Object.assign({}, turbine.localWind, { speed: turbine.localWind.speed * (1 - turbine.wakeDeficit) }) : null;
+    elements.inspectorWind.textContent = describeWind(trueWind);
+    elements.inspectorEstimatedWind.textContent = describeWind(turbine.estimatedWind);
+    elements.inspectorEstimateError.textContent = trueWind && turbine.estimatedWind ?
+        `${Math.abs(angleDelta(trueWind.angle, turbine.estimatedWind.angle)).toFixed(1)}° · ` +
+        `${(turbine.estimatedWind.speed - trueWind.speed).toFixed(2)} m/s` : '—';
+    drawSparkline(snapshot);
+}
+
+// Recent output of the inspected turbine against the swarm's per-turbine mean
+function drawSparkline(snapshot) {
+    const canvas = elements.inspectorSparkline;
+    const dpr = window.devicePixelRatio || 1;
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    const context = canvas.getContext('2d');
+    context.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    const width = rect.width;
+    const height = rect.height;
+    context.clearRect(0, 0, width, height);
+
+    // Up to the step shown (history sample i is step i + 1)
+    const history = app.sim.getHistory();
+    const end = history ? Math.min(history.length, snapshot.time) : 0;
+    if (end < 2) return;
+    const start = Math.max(0, end - SPARKLINE_SAMPLES);
+    const own = history.series[`turbine:${app.inspected}`].slice(start, end);
+    const count = snapshot.swarm.turbines.length;
+    const mean = own.map(() => 0);
+    for (let i = 0; i < count; i++) {
+        history.series[`turbine:${i}`].slice(start, end).forEach((v, j) => {
+            mean[j] += v / count;
+        });
+    }
+    const max = Math.max(...own, ...mean, 0.01);
+    const xFor = i => (i / (SPARKLINE_SAMPLES - 1)) * width;
+    const yFor = v => height - 4 - (v / max) * (height - 16);
+
+    const line = (values, color, dashed) => {
+        context.strokeStyle = color;
+        context.lineWidth = dashed ? 1 : 2;
+        context.setLineDash(dashed ? [3, 3] : []);
+        context.beginPath();
+        values.forEach((v, i) => {
+            if (i === 0) context.moveTo(xFor(i), yFor(v));
+            else context.lineTo(xFor(i), yFor(v));
+        });
+        context.stroke();
+    };
+    line(mean, 'rgba(184, 193, 236, 0.5)', true);
+    line(own, '#4facfe', false);
+    context.setLineDash([]);
+
+    context.fillStyle = '#7780a1';
+    context.font = '11px Inter';
+    context.textAlign = 'left';
+    context.fillText(`Last ${own.length} steps · peak ${max.toFixed(2)} kW · dashed: swarm average`, 2, 10);
+}
+
+// ===========================
+// ENERGY CHART
+// ===========================
+// Time series of the whole run from the engine's history. The view is a
+// window of simulated seconds; `null` shows everything. A view that ends
+// at the latest step follows the run as it grows.
+const CHART_PADDING = { left: 56, right: 56, top: 16, bottom: 34 };
+const CHART_MIN_STEPS = 5;       // Narrowest zoom, in timesteps
+const CHART_ZOOM_FACTOR = 1.25;  // Per wheel notch
+const SWARM_COLOR = '#4facfe';
+
+// Extra series behind the chart toggles; `axis` picks the scale they use
+// ('power' shares the kW axis). `perBaseline` series repeat for every
+// baseline as `<key>:<id>`; `needsBattery` ones only show with a battery.
+const CHART_EXTRAS = [
+    { toggle: 'chartShowWindSpeed', key: 'windSpeed', label: 'Wind speed', color: '#c3cbe6', axis: 'wind', unit: 'm/s' },
+    { toggle: 'chartShowVertical', key: 'windVertical', label: 'Vertical wind', color: '#38f9d7', axis: 'wind', unit: 'm/s' },
+    { toggle: 'chartShowEfficiency', key: 'efficiency', label: 'Efficiency', color: '#fa709a', axis: 'percent', unit: '%' },
+    { toggle: 'chartShowEstimate', key: 'rotorWindSpeed', label: 'Wind at rotors', color: '#e0e0e0', axis: 'wind', unit: 'm/s' },
+    { toggle: 'chartShowEstimate', key: 'estimatedWindSpeed', label: 'Estimated wind', color: '#ffb74d', axis: 'wind', unit: 'm/s' },
+    { toggle: 'chartShowBuilding', key: 'load', label: 'Building load', color: '#ffffff', axis: 'power', unit: 'kW' },
+    { toggle: 'chartShowBuilding', key: 'soc', label: 'Swarm battery', color: SWARM_COLOR, axis: 'percent', unit: '%', needsBattery: true },
+    { toggle: 'chartShowBuilding', key: 'soc', label: 'battery', axis: 'percent', unit: '%', needsBattery: true, perBaseline: true }
+];
+
+// The extras switched on, with per-baseline entries expanded
+function activeChartExtras(snapshot) {
+    const active = CHART_EXTRAS.filter(extra => elements[extra.toggle].checked &&
+        !(extra.needsBattery && snapshot.building.batteryCapacity === 0));
+    return [].concat(...active.map(extra => (!extra.perBaseline ? [extra] : snapshot.baselines.map(b => Object.assign({}, extra, {
+        key: `${extra.key}:${b.id}`,
+        label: `${b.label} ${extra.label}`,
+        color: BASELINE_COLORS[b.id] || '#f5576c'
+    })))));
+}
+
+// Tick spacings for the time axis, in seconds
+const TIME_TICKS = [1, 5, 10, 30, 60, 300, 600, 1800, 3600, 7200, 10800, 21600, 43200, 86400, 172800, 604800];
+
+function turbineColor(index, count) {
+    return `hsla(${200 + index * 140 / Math.max(1, count)}, 80%, 70%, 0.55)`;
+}
+
+function chartLayout() {
+    const canvas = elements.energyChart;
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.width / dpr;
+    const height = canvas.height / dpr;
+    return {
+        width,
+        height,
+        left: CHART_PADDING.left,
+        top: CHART_PADDING.top,
+        plotWidth: Math.max(1, width - CHART_PADDING.left - CHART_PADDING.right),
+        plotHeight: Math.max(1, height - CHART_PADDING.top - CHART_PADDING.bottom)
+    };
+}
+
+function historyEnd(history) {
+    return history && history.length > 0 ? history.series.seconds[history.length - 1] : 0;
+}
+
+// Simulated-seconds window the chart shows right now
+function chartWindow(history) {
+    const end = historyEnd(history);
+    const view = app.chart.view;
+    if (!view) {
+        return { from: 0, to: Math.max(end, 1) };
+    }
+    if (app.chart.follow) {
+        const span = view.to - view.from;
+        app.chart.view = { from: Math.max(0, end - span), to: Math.max(end, span) };
+    }
+    return app.chart.view;
+}
+
+// Keeps a requested window inside the run; the whole run resets the view
+function setChartWindow(from, to) {
+    const history = app.sim.getHistory();
+    const end = historyEnd(history);
+    const minSpan = CHART_MIN_STEPS * app.snapshot.timestep;
+    let span = Math.max(minSpan, to - from);
+
+    if (span >= end) {
+        app.chart.view = null;
+        app.chart.follow = true;
+        return;
+    }
+    from = Math.max(0, Math.min(from, end - span));
+    app.chart.view = { from, to: from + span };
+    app.chart.follow = from + span >= end;
+}
+
+// Elapsed time, or clock time (seconds since Monday 00:00) in day-cycle runs
+function formatChartTime(seconds, tickSpacing, clockOffset) {
+    if (clockOffset !== null) {
+        const clock = seconds + clockOffset;
+        return tickSpacing >= 86400 ? WEEKDAYS[Math.floor(clock / 86400) % 7] : formatWeekClock(clock);
+    }
+    const text = formatClock(seconds);
+    return tickSpacing >= 60 && seconds % 60 === 0 ? text.slice(0, -3) : text;
+}
+
+// Smallest round number (1, 2, 2.5 or 5 × 10^n) at or above `value`
+function niceMax(value) {
+    if (!(value > 0)) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    return [1, 2, 2.5, 5, 10].find(m => m * magnitude >= value) * magnitude;
+}
+
+function drawPolyline(context, points, xFor, yFor) {
+    context.beginPath();
+    points.seconds.forEach((seconds, i) => {
+        const x = xFor(seconds);
+        const y = yFor(points.values[i]);
+        if (i === 0) {
+            context.moveTo(x, y);
+        } else {
+            context.lineTo(x, y);
+        }
+    });
+    context.stroke();
+}
+
+function drawChart(snapshot) {
+    const context = ctx.chart;
+    const layout = chartLayout();
+    const { width, height, left, top, plotWidth, plotHeight } = layout;
+    const history = app.sim.getHistory();
+
+    context.clearRect(0, 0, width, height);
+    if (!history || history.length < 2) {
+        context.fillStyle = '#7780a1';
+        context.font = '14px Inter';
+        context.textAlign = 'center';
+        context.fillText('Start the simulation to chart its output', width / 2, height / 2);
+        return;
+    }
+
+    const { from, to } = chartWindow(history);
+    const buckets = Math.max(50, Math.floor(plotWidth));
+    const xFor = seconds => left + (seconds - from) / (to - from) * plotWidth;
+
+    // Power series share the left (kW) axis
+    const powerSeries = [{ key: 'swarm', label: 'Swarm Turbines', color: SWARM_COLOR, lineWidth: 3 }];
+    snapshot.baselines.forEach((b) => {
+        powerSeries.push({
+            key: `baseline:${b.id}`,
+            label: `Baseline: ${b.label}`,
+            color: BASELINE_COLORS[b.id] || '#f5576c',
+            lineWidth: snapshot.baselines.length > 1 ? 2 : 3
+        });
+    });
+    if (elements.chartShowTurbines.checked) {
+        const count = snapshot.swarm.turbines.length;
+        for (let i = 0; i < count; i++) {
+            powerSeries.unshift({ key: `turbine:${i}`, label: `Turbine ${i + 1}`, color: turbineColor(i, count), lineWidth: 1 });
+        }
+    }
+    powerSeries.forEach((series) => {
+        series.points = history.downsample(series.key, from, to, buckets);
+    });
+
+    const extras = activeChartExtras(snapshot).map(extra =>
+        Object.assign({ points: history.downsample(extra.key, from, to, buckets) }, extra));
+
+    // Axes
+    const maxPower = niceMax(Math.max(...powerSeries.concat(extras.filter(e => e.axis === 'power'))
+        .map(s => Math.max(...s.points.values))));
+    const yPower = value => top + plotHeight - (value / maxPower) * plotHeight;
+
+    const windValues = [].concat(...extras.filter(e => e.axis === 'wind').map(e => e.points.values));
+    const lowestWind = windValues.length > 0 ? Math.min(...windValues) : 0;
+    const windMin = lowestWind < 0 ? -niceMax(-lowestWind) : 0;
+    const windMax = windValues.length > 0 ? niceMax(Math.max(...windValues)) : 1;
+    const yWind = value => top + plotHeight - (value - windMin) / (windMax - windMin) * plotHeight;
+    const yPercent = value => top + plotHeight - (value / 100) * plotHeight;
+    const rightAxis = windValues.length > 0 ? 'wind' : (extras.some(e => e.axis === 'percent') ? 'percent' : null);
+    const yExtra = { power: yPower, wind: yWind, percent: yPercent };
+
+    context.lineWidth = 1;
+    context.font = '12px Inter';
+    for (let i = 0; i <= 5; i++) {
+        const y = top + (plotHeight / 5) * i;
+        context.strokeStyle = 'rgba(102, 126, 234, 0.1)';
+        context.beginPath();
+        context.moveTo(left, y);
+        context.lineTo(left + plotWidth, y);
+        context.stroke();
+
+        context.fillStyle = '#7780a1';
+        context.textAlign = 'right';
+        const power = maxPower * (1 - i / 5);
+        context.fillText(`${power.toFixed(maxPower < 10 ? 1 : 0)} kW`, left - 8, y + 4);
+
+        if (rightAxis) {
+            context.textAlign = 'left';
+            const label = rightAxis === 'wind' ?
+                `${(windMax - (windMax - windMin) * i / 5).toFixed(1)} m/s` :
+                `${(100 - 20 * i).toFixed(0)}%`;
+            context.fillText(label, left + plotWidth + 8, y + 4);
+        }
+    }
+
+    // Day-cycle runs put their ticks on round clock times
+    const tickSpacing = TIME_TICKS.find(s => (to - from) / s <= 6) || TIME_TICKS[TIME_TICKS.length - 1];
+    const clockOffset = snapshot.climate ? snapshot.clockSeconds - snapshot.seconds : null;
+    const offset = clockOffset || 0;
+    context.textAlign = 'center';
+    for (let clock = Math.ceil((from + offset) / tickSpacing) * tickSpacing; clock <= to + offset; clock += tickSpacing) {
+        const t = clock - offset;
+        const x = xFor(t);
+        context.strokeStyle = 'rgba(102, 126, 234, 0.1)';
+        context.beginPath();
+        context.moveTo(x, top);
+        context.lineTo(x, top + plotHeight);
+        context.stroke();
+        context.fillStyle = '#7780a1';
+        context.fillText(formatChartTime(t, tickSpacing, clockOffset), x, top + plotHeight + 18);
+    }
+
+    // Series, clipped to the plot area
+    context.save();
+    context.beginPath();
+    context.rect(left, top, plotWidth, plotHeight);
+    context.clip();
+
+    extras.forEach((extra) => {
+        context.strokeStyle = extra.color;
+        context.lineWidth = 1.5;
+        context.setLineDash([4, 3]);
+        drawPolyline(context, extra.points, xFor, yExtra[extra.axis]);
+    });
+    context.setLineDash([]);
+
+    // Baselines under the swarm, which is drawn last
+    powerSeries.slice().reverse().forEach((series) => {
+        context.strokeStyle = series.color;
+        context.lineWidth = series.lineWidth;
+        drawPolyline(context, series.points, xFor, yPower);
+    });
+
+    // The step shown from the timeline, with the steps after it dimmed
+    if (app.review !== null) {
+        const x = xFor(snapshot.seconds);
+        context.fillStyle = 'rgba(15, 18, 36, 0.55)';
+        context.fillRect(x, top, left + plotWidth - x, plotHeight);
+        context.strokeStyle = '#fee140';
+        context.lineWidth = 2;
+        context.beginPath();
+        context.moveTo(x, top);
+        context.lineTo(x, top + plotHeight);
+        context.stroke();
+    }
+    context.restore();
+
+    // Legend along the top, wrapping if it runs out of room
+    const legend = powerSeries.filter(s => !s.key.startsWith('turbine:'));
+    if (elements.chartShowTurbines.checked) {
+        legend.push({ label: `Each turbine (${snapshot.swarm.turbines.length})`, color: turbineColor(0, 1) });
+    }
+    extras.forEach((extra) => {
+        const scale = extra.axis === rightAxis || extra.axis === 'power' ? '' : ' (0–100%)';
+        legend.push({ label: `${extra.label}${scale}`, color: extra.color, dashed: true });
+    });
+    context.font = '12px Inter';
+    context.textAlign = 'left';
+    let legendX = left + 8;
+    let legendY = top + 12;
+    legend.forEach((item) => {
+        const itemWidth = 28 + context.measureText(item.label).width + 16;
+        if (legendX + itemWidth > left + plotWidth && legendX > left + 8) {
+            legendX = left + 8;
+            legendY += 16;
+        }
+        context.fillStyle = item.color;
+        context.fillRect(legendX, legendY - 4, item.dashed ? 8 : 20, 3);
+        if (item.dashed) context.fillRect(legendX + 12, legendY - 4, 8, 3);
+        context.fillText(item.label, legendX + 26, legendY);
+        legendX += itemWidth;
+    });
+
+    drawChartTooltip(context, layout, history, { from, to, xFor, yExtra, powerSeries, extras }, snapshot);
+}
+
+// Crosshair at the step under the pointer with its exact values
+function drawChartTooltip(context, layout, history, chart, snapshot) {
+    const hoverX = app.chart.hoverX;
+    if (hoverX === null || hoverX < layout.left || hoverX > layout.left + layout.plotWidth) return;
+
+    const series = history.series;
+    const index = history.indexAt(chart.from + (hoverX - layout.left) / layout.plotWidth * (chart.to - chart.from));
+    const seconds = series.seconds[index];
+    const x = chart.xFor(seconds);
+
+    context.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(x, layout.top);
+    context.lineTo(x, layout.top + layout.plotHeight);
+    context.stroke();
+
+    const dot = (y, color) => {
+        context.fillStyle = color;
+        context.beginPath();
+        context.arc(x, y, 3.5, 0, Math.PI * 2);
+        context.fill();
+    };
+    chart.powerSeries.forEach(s => dot(chart.yExtra.power(series[s.key][index]), s.color));
+    chart.extras.forEach(e => dot(chart.yExtra[e.axis](series[e.key][index]), e.color));
+
+    const lines = [
+        {
+            text: (snapshot.climate ? `${formatWeekClock(seconds + snapshot.clockSeconds - snapshot.seconds)} · ` : '') +
+                `${formatClock(seconds)} · step ${index + 1}`,
+            color: '#e2e8f0'
+        },
+        { text: `Swarm: ${series.swarm[index].toFixed(2)} kW`, color: SWARM_COLOR }
+    ];
+    snapshot.baselines.forEach((b) => {
+        const key = `baseline:${b.id}`;
+        if (series[key]) {
+            lines.push({ text: `${b.label}: ${series[key][index].toFixed(2)} kW`, color: BASELINE_COLORS[b.id] || '#f5576c' });
+        }
+    });
+    if (elements.chartShowTurbines.checked) {
+        const outputs = snapshot.swarm.turbines.map((_, i) => series[`turbine:${i}`][index]);
+        lines.push({
+            text: `Turbines: ${Math.min(...outputs).toFixed(2)}–${Math.max(...outputs).toFixed(2)} kW`,
+            color: turbineColor(0, 1)
+        });
+    }
+    lines.push({
+        text: `Wind: ${series.windSpeed[index].toFixed(1)} m/s at ${series.windAngle[index].toFixed(0)}°`,
+        color: '#c3cbe6'
+    });
+    lines.push({ text: `Vertical: ${series.windVertical[index].toFixed(2)} m/s`, color: '#38f9d7' });
+    if (elements.chartShowEfficiency.checked) {
+        lines.push({ text: `Efficiency: ${series.efficiency[index].toFixed(1)}%`, color: '#fa709a' });
+    }
+    if (elements.chartShowBuilding.checked) {
+        const grid = series.grid[index];
+        lines.push({
+            text: `Load: ${series.load[index].toFixed(2)} kW · swarm ${grid >= 0 ? 'imports' : 'exports'} ${Math.abs(grid).toFixed(2)} kW` +
+                (snapshot.building.batteryCapacity > 0 ? ` · battery ${series.soc[index].toFixed(0)}%` : ''),
+            color: '#ffffff'
+        });
+    }
+
+    context.font = '12px Inter';
+    context.textAlign = 'left';
+    const boxWidth = Math.max(...lines.map(l => context.measureText(l.text).width)) + 16;
+    const boxHeight = lines.length * 16 + 10;
+    const boxX = x + 12 + boxWidth > layout.left + layout.plotWidth ? x - 12 - boxWidth : x + 12;
+    const boxY = layout.top + 4;
+
+    context.fillStyle = 'rgba(15, 18, 36, 0.9)';
+    context.strokeStyle = 'rgba(102, 126, 234, 0.4)';
+    context.fillRect(boxX, boxY, boxWidth, boxHeight);
+    context.strokeRect(boxX, boxY, boxWidth, boxHeight);
+    lines.forEach((line, i) => {
+        context.fillStyle = line.color;
+        context.fillText(line.text, boxX + 8, boxY + 18 + i * 16);
+    });
+}
+
+// ---------------------------
+// Chart interaction
+// ---------------------------
+function chartPointerX(e) {
+    return e.clientX - elements.energyChart.getBoundingClientRect().left;
+}
+
+// Simulated seconds under a pointer position in the current window
+function chartSecondsAt(x) {
+    const layout = chartLayout();
+    const { from, to } = chartWindow(app.sim.getHistory());
+    const fraction = Math.max(0, Math.min(1, (x - layout.left) / layout.plotWidth));
+    return from + fraction * (to - from);
+}
+
+function redrawChart() {
+    if (app.shown) {
+        drawChart(app.shown);
+    }
+}
+
+function zoomChart(e) {
+    e.preventDefault();
+    const history = app.sim.getHistory();
+    if (!history || history.length < 2) return;
+
+    const { from, to } = chartWindow(history);
+    const anchor = chartSecondsAt(chartPointerX(e));
+    const factor = e.deltaY > 0 ? CHART_ZOOM_FACTOR : 1 / CHART_ZOOM_FACTOR;
+    setChartWindow(anchor - (anchor - from) * factor, anchor + (to - anchor) * factor);
+    redrawChart();
+}
+
+function startChartPan(e) {
+    const history = app.sim.getHistory();
+    if (!history || history.length < 2) return;
+    app.chart.drag = { x: chartPointerX(e), window: Object.assign({}, chartWindow(history)) };
+    elements.energyChart.setPointerCapture(e.pointerId);
+    elements.energyChart.classList.add('panning');
+}
+
+function moveChartPointer(e) {
+    const x = chartPointerX(e);
+    app.chart.hoverX = x;
+
+    const drag = app.chart.drag;
+    if (drag) {
+        const span = drag.window.to - drag.window.from;
+        const shift = (x - drag.x) / chartLayout().plotWidth * span;
+        // A zoomed-out view has nowhere to pan to
+        if (app.chart.view) {
+            setChartWindow(drag.window.from - shift, drag.window.to - shift);
+        }
+    }
+    redrawChart();
+}
+
+function endChartPan(e) {
+    if (!app.chart.drag) return;
+    app.chart.drag = null;
+    elements.energyChart.releasePointerCapture(e.pointerId);
+    elements.energyChart.classList.remove('panning');
+}
+
+function fitChart() {
+    app.chart.view = null;
+    app.chart.follow = true;
+    redrawChart();
+}
+
+// ===========================
+// DAILY ENERGY
+// ===========================
+// Grouped bars per clock day: the swarm, then each baseline. The most
+// recent days are shown when the run has more than fit.
+const DAILY_GROUP_MIN_WIDTH = 36; // px per day
+
+function drawDailyEnergy(snapshot) {
+    const { context, width, height } = prepareCanvas(elements.dailyChart);
+    const days = snapshot.dailyEnergy;
+    if (days.length === 0) {
+        drawNoData(context, width, height);
+        return;
+    }
+
+    const padding = { left: 50, right: 10, top: 26, bottom: 24 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const shown = days.slice(-Math.max(1, Math.floor(chartWidth / DAILY_GROUP_MIN_WIDTH)));
+    const systems = [{ label: 'Swarm', color: SWARM_COLOR, energy: day => day.swarmEnergy }]
+        .concat(snapshot.baselines.map(b => ({
+            label: b.label,
+            color: BASELINE_COLORS[b.id] || '#f5576c',
+            energy: day => day.baselineEnergy[b.id]
+        })));
+    const maxEnergy = niceMax(Math.max(...shown.map(day => Math.max(...systems.map(system => system.energy(day))))));
+    const groupWidth = Math.min(chartWidth / shown.length, 160);
+    const barWidth = (groupWidth - 8) / systems.length;
+    const yFor = energy => padding.top + chartHeight - energy / maxEnergy * chartHeight;
+
+    context.strokeStyle = 'rgba(102, 126, 234, 0.1)';
+    context.fillStyle = '#7780a1';
+    context.textAlign = 'right';
+    [0, 0.5, 1].forEach((share) => {
+        const y = yFor(maxEnergy * share);
+        context.beginPath();
+        context.moveTo(padding.left, y);
+        context.lineTo(padding.left + chartWidth, y);
+        context.stroke();
+        context.fillText(`${(maxEnergy * share).toFixed(maxEnergy < 10 ? 1 : 0)} kWh`, padding.left - 4, y + 4);
+    });
+
+    shown.forEach((day, i) => {
+        const x = padding.left + i * groupWidth + 4;
+        const partial = day.hours < 24 - 1e-6;
+        context.globalAlpha = partial ? 0.45 : 1;
+        systems.forEach((system, j) => {
+            const y = yFor(system.energy(day));
+            context.fillStyle = system.color;
+            context.fillRect(x + j * barWidth, y, Math.max(1, barWidth - 1), padding.top + chartHeight - y);
+        });
+        context.globalAlpha = 1;
+
+        context.fillStyle = '#b8c1ec';
+        context.textAlign = 'center';
+        const week = Math.floor(day.day / 7);
+        context.fillText(`${WEEKDAYS[day.day % 7]}${week > 0 ? ` wk${week + 1}` : ''}`, x + (groupWidth - 8) / 2,
+            padding.top + chartHeight + 14);
+        if (groupWidth >= 60) {
+            context.fillStyle = SWARM_COLOR;
+            context.fillText(day.swarmEnergy.toFixed(1), x + barWidth / 2, yFor(day.swarmEnergy) - 4);
+        }
+    });
+
+    // Legend
+    context.textAlign = 'left';
+    let legendX = padding.left;
+    systems.forEach((system) => {
+        context.fillStyle = system.color;
+        context.fillRect(legendX, 8, 10, 10);
+        context.fillStyle = '#b8c1ec';
+        context.fillText(system.label, legendX + 14, 17);
+        legendX += 24 + context.measureText(system.label).width;
+    });
+}
 
-        context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        context.lineWidth = 2;
-        context.stroke();
+// ===========================
+// BUILDING SUPPLY
+// ===========================
+// How well each system, with its battery, serves the building's load
+function formatShareOf(value) {
+    return `${(value * 100).toFixed(0)}%`;
+}
 
-        context.restore();
+function updateBuildingSupply(snapshot) {
+    const building = snapshot.building;
+    const site = building.swarm;
+    if (building.profile === 'none' && building.batteryCapacity === 0) {
+        elements.buildingSummary.textContent = 'Choose a building load profile to see how much of the output the building uses';
+    } else {
+        elements.buildingSummary.textContent = `Load now ${building.load.toFixed(1)} kW · ` +
+            `${site.loadEnergy.toFixed(1)} kWh demanded so far`;
     }
 
-    context.restore();
-
-    // Draw angle indicator text
-    context.fillStyle = '#ffffff';
-    context.font = '14px Inter';
-    context.textAlign = 'center';
-    context.fillText(`Turbine: ${Math.round(angle)}°`, centerX, canvas.height - 40);
-    context.fillText(`Wind: ${Math.round(windAngle)}°`, centerX, canvas.height - 20);
+    const systems = [Object.assign({ label: 'Swarm', color: SWARM_COLOR }, site)]
+        .concat(snapshot.baselines.map(b => Object.assign({ label: b.label, color: BASELINE_COLORS[b.id] || '#f5576c' },
+            building.baselines[b.id])));
+    const rows = systems.map((system) => {
+        const row = document.createElement('tr');
+        const battery = building.batteryCapacity > 0 ?
+            `${formatShareOf(system.stateOfCharge)} (${system.charge.toFixed(1)} kWh)` : '–';
+        [
+            system.label,
+            formatShareOf(system.selfConsumption),
+            formatShareOf(system.selfSufficiency),
+            system.importEnergy.toFixed(1),
+            system.exportEnergy.toFixed(1),
+            battery,
+            building.batteryCapacity > 0 ? system.batteryLosses.toFixed(1) : '–'
+        ].forEach((text, i) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (i === 0) cell.style.color = system.color;
+            row.appendChild(cell);
+        });
+        return row;
+    });
+    elements.buildingTableBody.replaceChildren(...rows);
 }
 
-function updateDisplay() {
-    // Update swarm stats
-    const avgAngle = state.swarm.turbines.reduce((s, t) => s + t.angle, 0) / 6;
-    const avgTilt = state.swarm.turbines.reduce((s, t) => s + t.tilt, 0) / 6;
-
-    elements.swarmAngle.textContent = `${Math.round(avgAngle)}° ∠${Math.round(avgTilt)}°`;
-    elements.swarmEnergy.textContent = `${(state.swarm.currentEnergy || 0).toFixed(1)} kW`;
-    elements.swarmEfficiency.textContent = `${state.swarm.totalEfficiency.toFixed(1)}%`;
+// ===========================
+// PROJECT ECONOMICS
+// ===========================
+// Cost figures for the swarm and each baseline, extrapolated from the run so
+// far to a year. Settings here only price the energy; they never restart the run.
+const economicsInputs = [
+    ['econSwarmCost', 'swarmTurbineCost', 1],
+    ['econBaselineCost', 'baselineTurbineCost', 1],
+    ['econInstallationCost', 'installationCost', 1],
+    ['econMaintenanceCost', 'maintenanceCost', 1],
+    ['econTariff', 'tariff', 1],
+    ['econDiscountRate', 'discountRate', 0.01], // Percent in the UI
+    ['econLifetime', 'lifetime', 1]
+];
+
+function readEconomics() {
+    const settings = {};
+    economicsInputs.forEach(([element, key, scale]) => {
+        const value = parseFloat(elements[element].value);
+        settings[key] = Number.isFinite(value) ? value * scale : DEFAULT_ECONOMICS[key];
+    });
+    return settings;
+}
 
-    // Update baseline stats
-    elements.baselineAngle.textContent = `${Math.round(state.baseline.angle)}°`;
-    elements.baselineEnergy.textContent = `${state.baseline.energy.toFixed(1)} kW`;
-    elements.baselineEfficiency.textContent = `${state.baseline.efficiency.toFixed(1)}%`;
+function writeEconomics(settings) {
+    economicsInputs.forEach(([element, key, scale]) => {
+        elements[element].value = Number((settings[key] / scale).toFixed(6));
+    });
+}
 
-    // Update wind indicators
-    const windText = `💨 ${state.windSpeed.toFixed(1)} m/s ${state.windVertical > 0 ? '⬆' : '⬇'}${Math.abs(state.windVertical).toFixed(1)}`;
-    elements.windIndicatorSwarm.textContent = windText;
-    elements.windIndicatorBaseline.textContent = windText;
+function showEconomicsStatus(message, isError = false) {
+    elements.economicsStatus.textContent = message;
+    elements.economicsStatus.classList.toggle('error', isError);
+}
 
-    // Update total energy bars
-    const maxEnergy = Math.max(state.swarm.totalEnergy, state.baseline.totalEnergy, 1);
+function formatMoney(value) {
+    return Math.round(value).toLocaleString('en-US');
+}
 
-    elements.totalAdaptiveBar.style.width = `${(state.swarm.totalEnergy / maxEnergy) * 100}%`;
-    elements.totalAdaptiveValue.textContent = `${state.swarm.totalEnergy.toFixed(2)} kWh`;
+function formatPayback(years, lifetime) {
+    if (years === null) return 'never';
+    return years > lifetime ? `${years.toFixed(1)} yr (past lifetime)` : `${years.toFixed(1)} yr`;
+}
 
-    elements.totalBaselineBar.style.width = `${(state.baseline.totalEnergy / maxEnergy) * 100}%`;
-    elements.totalBaselineValue.textContent = `${state.baseline.totalEnergy.toFixed(2)} kWh`;
+function updateEconomics(snapshot) {
+    const settings = readEconomics();
+    try {
+        checkEconomics(settings);
+    } catch (error) {
+        showEconomicsStatus(error.message, true);
+        elements.economicsTableBody.replaceChildren();
+        return;
+    }
+    if (snapshot.seconds === 0) {
+        showEconomicsStatus('Start the simulation: the yield is extrapolated from the simulated time to a year');
+        elements.economicsTableBody.replaceChildren();
+        return;
+    }
 
-    // Update average power bars
-    const avgSwarm = state.swarm.totalEnergy > 0 ?
-        (state.swarm.totalEnergy / (state.time / 60)) : 0;
-    const avgBaseline = state.baseline.totalEnergy > 0 ?
-        (state.baseline.totalEnergy / (state.time / 60)) : 0;
-    const maxAvg = Math.max(avgSwarm, avgBaseline, 1);
+    const hours = snapshot.seconds / 3600;
+    showEconomicsStatus(`Extrapolated from ${hours.toFixed(1)} simulated hours to a year` +
+        (hours < 24 ? ' (less than a day: a rough guide only)' : ''));
+
+    const result = evaluateEconomics(snapshot, settings, resolveTurbine(app.sim.getConfig().baselineTurbine));
+    const systems = [Object.assign({ label: 'Swarm', color: '#4facfe' }, result.swarm)]
+        .concat(result.baselines.map(b => Object.assign({ color: BASELINE_COLORS[b.id] || '#f5576c' }, b)));
+    const rows = systems.map((system) => {
+        const row = document.createElement('tr');
+        [
+            system.label,
+            system.rotors,
+            formatMoney(system.rotorCost),
+            Math.round(system.annualEnergy).toLocaleString('en-US'),
+            formatMoney(system.capex),
+            system.lcoe === null ? '–' : system.lcoe.toFixed(3),
+            formatPayback(system.paybackYears, settings.lifetime),
+            formatMoney(system.npv)
+        ].forEach((text, i) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (i === 0) cell.style.color = system.color;
+            if (i === 7) cell.className = system.npv >= 0 ? 'gain' : 'loss';
+            row.appendChild(cell);
+        });
+        return row;
+    });
+    elements.economicsTableBody.replaceChildren(...rows);
+}
 
-    elements.avgAdaptiveBar.style.width = `${(avgSwarm / maxAvg) * 100}%`;
-    elements.avgAdaptiveValue.textContent = `${avgSwarm.toFixed(2)} kW`;
+economicsInputs.forEach(([element]) => {
+    elements[element].addEventListener('change', () => {
+        updateEconomics(app.snapshot);
+    });
+});
 
-    elements.avgBaselineBar.style.width = `${(avgBaseline / maxAvg) * 100}%`;
-    elements.avgBaselineValue.textContent = `${avgBaseline.toFixed(2)} kW`;
+// ===========================
+// WIND STATISTICS
+// ===========================
+// Wind regime of the run so far and the energy captured per direction
+// sector. Redrawn only when simulated time has moved on.
+const ROSE_COLORS = ['#4facfe', '#43e97b', '#fee140', '#fa709a', '#f5576c', '#b388ff'];
 
-    // Update improvement percentage
-    const improvement = state.baseline.totalEnergy > 0 ?
-        ((state.swarm.totalEnergy - state.baseline.totalEnergy) / state.baseline.totalEnergy) * 100 : 0;
+// Sizes a canvas for the device pixel ratio; returns its context and CSS size
+function prepareCanvas(canvas) {
+    const dpr = window.devicePixelRatio || 1;
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    const context = canvas.getContext('2d');
+    context.setTransform(dpr, 0, 0, dpr, 0, 0);
+    context.clearRect(0, 0, rect.width, rect.height);
+    context.font = '11px Inter';
+    return { context, width: rect.width, height: rect.height };
+}
 
-    elements.improvementPercentage.textContent = improvement >= 0 ?
-        `+${improvement.toFixed(1)}%` : `${improvement.toFixed(1)}%`;
+function drawNoData(context, width, height) {
+    context.fillStyle = '#7780a1';
+    context.textAlign = 'center';
+    context.fillText('Start the simulation to collect wind data', width / 2, height / 2);
 }
 
-function drawChart() {
-    const canvas = elements.energyChart;
-    const context = ctx.chart;
-    const width = canvas.width;
-    const height = canvas.height;
+// Stacked polar bars: hours per sector, split into speed bands
+function drawWindRose(stats) {
+    const { context, width, height } = prepareCanvas(elements.windRose);
+    if (stats.hours === 0) {
+        drawNoData(context, width, height);
+        return;
+    }
+    const legendWidth = 70;
+    const cx = (width - legendWidth) / 2;
+    const cy = height / 2;
+    const radius = Math.min(cx, cy) - 16;
+    const maxShare = Math.max(...stats.sectors.map(s => s.hours)) / stats.hours;
+    const halfWidth = Math.PI / stats.sectors.length * 0.85;
+
+    // Rings at round percentages of the time
+    const ringStep = maxShare > 0.4 ? 0.2 : maxShare > 0.2 ? 0.1 : 0.05;
+    context.strokeStyle = 'rgba(102, 126, 234, 0.2)';
+    context.fillStyle = '#7780a1';
+    context.textAlign = 'left';
+    for (let share = ringStep; share <= maxShare + 1e-9; share += ringStep) {
+        const r = share / maxShare * radius;
+        context.beginPath();
+        context.arc(cx, cy, r, 0, Math.PI * 2);
+        context.stroke();
+        context.fillText(`${Math.round(share * 100)}%`, cx + 3, cy - r - 2);
+    }
 
-    context.clearRect(0, 0, width, height);
+    // Sector angles are clockwise from up (north on the roof plan)
+    stats.sectors.forEach((sector) => {
+        const centre = sector.from * Math.PI / 180 - Math.PI / 2;
+        let inner = 0;
+        sector.bandHours.forEach((hours, band) => {
+            if (hours === 0) return;
+            const outer = inner + hours / stats.hours / maxShare * radius;
+            context.fillStyle = ROSE_COLORS[band];
+            context.beginPath();
+            context.arc(cx, cy, outer, centre - halfWidth, centre + halfWidth);
+            context.arc(cx, cy, inner, centre + halfWidth, centre - halfWidth, true);
+            context.closePath();
+            context.fill();
+            inner = outer;
+        });
+    });
 
-    // Get data
-    const maxPoints = 200;
-    const swarmData = state.swarm.energyHistory.slice(-maxPoints);
-    const baselineData = state.baseline.energyHistory.slice(-maxPoints);
+    context.fillStyle = '#b8c1ec';
+    context.textAlign = 'center';
+    ['N', 'E', 'S', 'W'].forEach((label, i) => {
+        const angle = i * Math.PI / 2;
+        context.fillText(label, cx + Math.sin(angle) * (radius + 9), cy - Math.cos(angle) * (radius + 9) + 4);
+    });
 
-    if (swarmData.length < 2) return;
+    // Speed band legend
+    context.textAlign = 'left';
+    const bounds = [0].concat(stats.roseSpeeds);
+    bounds.forEach((low, band) => {
+        const y = 16 + band * 16;
+        const label = band < stats.roseSpeeds.length ? `${low}–${stats.roseSpeeds[band]}` : `≥ ${low}`;
+        context.fillStyle = ROSE_COLORS[band];
+        context.fillRect(width - legendWidth, y - 8, 10, 10);
+        context.fillStyle = '#b8c1ec';
+        context.fillText(`${label} m/s`, width - legendWidth + 14, y + 1);
+    });
+}
 
-    const maxEnergy = Math.max(
-        ...swarmData,
-        ...baselineData,
-        1
-    );
+// Bars of a histogram in hours, drawn as a share of the time; returns
+// the x and y mappings so curves can be laid over it
+function drawHistogramBars(context, width, height, histogram, colorFor) {
+    const padding = { left: 36, right: 10, top: 22, bottom: 24 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const total = histogram.hours.reduce((sum, hours) => sum + hours, 0);
+    const shares = histogram.hours.map(hours => hours / total);
+    const maxShare = Math.max(...shares);
+    const low = histogram.min || 0;
+    const high = low + histogram.hours.length * histogram.binWidth;
+    const xFor = value => padding.left + (value - low) / (high - low) * chartWidth;
+    const yFor = share => padding.top + chartHeight - share / maxShare * chartHeight;
+
+    shares.forEach((share, i) => {
+        const from = low + i * histogram.binWidth;
+        const x = xFor(from);
+        context.fillStyle = colorFor(from + histogram.binWidth / 2);
+        context.fillRect(x + 1, yFor(share), Math.max(1, xFor(from + histogram.binWidth) - x - 2), padding.top + chartHeight - yFor(share));
+    });
 
-    const padding = 40;
-    const chartWidth = width - padding * 2;
-    const chartHeight = height - padding * 2;
+    context.fillStyle = '#7780a1';
+    context.textAlign = 'center';
+    [low, (low + high) / 2, high].forEach((value) => {
+        context.fillText(`${Math.round(value)}`, xFor(value), height - padding.bottom + 14);
+    });
+    context.textAlign = 'right';
+    context.fillText(`${(maxShare * 100).toFixed(0)}%`, padding.left - 4, padding.top + 4);
+    context.fillText('0', padding.left - 4, padding.top + chartHeight);
+    return { xFor, yFor, low, high, padding, chartHeight };
+}
 
-    // Draw grid
-    context.strokeStyle = 'rgba(102, 126, 234, 0.1)';
-    context.lineWidth = 1;
+function drawSpeedHistogram(stats) {
+    const { context, width, height } = prepareCanvas(elements.speedHistogram);
+    if (stats.hours === 0) {
+        drawNoData(context, width, height);
+        return;
+    }
+    const histogram = stats.speedHistogram;
+    const { xFor, yFor, low, high, padding } = drawHistogramBars(context, width, height, histogram, () => 'rgba(79, 172, 254, 0.6)');
 
-    for (let i = 0; i <= 5; i++) {
-        const y = padding + (chartHeight / 5) * i;
+    // Weibull density scaled to the share of time per bin
+    if (stats.weibull) {
+        context.strokeStyle = '#fee140';
+        context.lineWidth = 2;
         context.beginPath();
-        context.moveTo(padding, y);
-        context.lineTo(width - padding, y);
+        for (let v = low; v <= high; v += (high - low) / 100) {
+            const share = weibullDensity(stats.weibull, v) * histogram.binWidth;
+            const y = Math.max(padding.top - 10, yFor(share));
+            if (v === low) context.moveTo(xFor(v), y);
+            else context.lineTo(xFor(v), y);
+        }
         context.stroke();
+    }
 
-        // Y-axis labels
-        context.fillStyle = '#7780a1';
-        context.font = '12px Inter';
-        context.textAlign = 'right';
-        const value = maxEnergy * (1 - i / 5);
-        context.fillText(`${value.toFixed(0)} kW`, padding - 10, y + 4);
+    context.fillStyle = '#b8c1ec';
+    context.textAlign = 'left';
+    const fit = stats.weibull ? `Weibull k = ${stats.weibull.k.toFixed(2)}, c = ${stats.weibull.c.toFixed(1)} m/s` : 'No spread to fit';
+    context.fillText(fit, padding.left, 12);
+    context.textAlign = 'right';
+    context.fillText('m/s', width - padding.right, height - 4);
+}
+
+function drawVerticalHistogram(stats) {
+    const { context, width, height } = prepareCanvas(elements.verticalHistogram);
+    if (stats.hours === 0) {
+        drawNoData(context, width, height);
+        return;
     }
+    const { xFor, padding, chartHeight } = drawHistogramBars(context, width, height, stats.verticalHistogram,
+        centre => (centre > 0 ? 'rgba(250, 112, 154, 0.7)' : 'rgba(79, 172, 254, 0.7)'));
 
-    // Draw swarm line
-    context.strokeStyle = '#4facfe';
-    context.lineWidth = 3;
+    context.strokeStyle = '#b8c1ec';
+    context.setLineDash([3, 3]);
     context.beginPath();
+    context.moveTo(xFor(0), padding.top);
+    context.lineTo(xFor(0), padding.top + chartHeight);
+    context.stroke();
+    context.setLineDash([]);
 
-    swarmData.forEach((energy, index) => {
-        const x = padding + (chartWidth / (swarmData.length - 1)) * index;
-        const y = padding + chartHeight - (energy / maxEnergy) * chartHeight;
-
-        if (index === 0) {
-            context.moveTo(x, y);
-        } else {
-            context.lineTo(x, y);
-        }
-    });
+    context.fillStyle = '#b8c1ec';
+    context.textAlign = 'left';
+    context.fillText(`Mean ${stats.meanVertical.toFixed(2)} m/s · σ ${stats.verticalStd.toFixed(2)} m/s`, padding.left, 12);
+    context.textAlign = 'right';
+    context.fillText('m/s', width - 10, height - 4);
+}
 
+function drawTurbulenceChart(stats) {
+    const { context, width, height } = prepareCanvas(elements.turbulenceChart);
+    const blocks = stats.turbulenceBlocks;
+    if (blocks.length === 0) {
+        context.fillStyle = '#7780a1';
+        context.textAlign = 'center';
+        context.fillText(`Needs ${TURBULENCE_BLOCK / 60} minutes of wind`, width / 2, height / 2);
+        return;
+    }
+    const padding = { left: 36, right: 10, top: 22, bottom: 24 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const maxIntensity = Math.max(0.05, stats.turbulenceIntensity, ...blocks.map(b => b.intensity)) * 1.1;
+    const lastSeconds = blocks[blocks.length - 1].seconds;
+    const xFor = seconds => padding.left + (blocks.length === 1 ? chartWidth / 2 : seconds / lastSeconds * chartWidth);
+    const yFor = intensity => padding.top + chartHeight - intensity / maxIntensity * chartHeight;
+
+    // Whole-run intensity
+    context.strokeStyle = '#fee140';
+    context.setLineDash([5, 4]);
+    context.beginPath();
+    context.moveTo(padding.left, yFor(stats.turbulenceIntensity));
+    context.lineTo(padding.left + chartWidth, yFor(stats.turbulenceIntensity));
     context.stroke();
+    context.setLineDash([]);
 
-    // Draw baseline line
-    context.strokeStyle = '#f5576c';
-    context.lineWidth = 3;
+    context.strokeStyle = '#fa709a';
+    context.fillStyle = '#fa709a';
+    context.lineWidth = 2;
     context.beginPath();
-
-    baselineData.forEach((energy, index) => {
-        const x = padding + (chartWidth / (baselineData.length - 1)) * index;
-        const y = padding + chartHeight - (energy / maxEnergy) * chartHeight;
-
-        if (index === 0) {
-            context.moveTo(x, y);
-        } else {
-            context.lineTo(x, y);
-        }
+    blocks.forEach((block, i) => {
+        if (i === 0) context.moveTo(xFor(block.seconds), yFor(block.intensity));
+        else context.lineTo(xFor(block.seconds), yFor(block.intensity));
     });
-
     context.stroke();
+    if (blocks.length === 1) {
+        context.fillRect(xFor(blocks[0].seconds) - 2, yFor(blocks[0].intensity) - 2, 4, 4);
+    }
 
-    // Legend
-    context.font = '14px Inter';
+    context.fillStyle = '#7780a1';
+    context.textAlign = 'right';
+    context.fillText(`${Math.round(maxIntensity * 100)}%`, padding.left - 4, padding.top + 4);
+    context.fillText('0', padding.left - 4, padding.top + chartHeight);
+    context.fillText(`${(lastSeconds / 3600).toFixed(1)} h`, width - padding.right, height - 6);
+    context.fillStyle = '#b8c1ec';
     context.textAlign = 'left';
+    context.fillText(`Whole run ${(stats.turbulenceIntensity * 100).toFixed(0)}% (dashed)`, padding.left, 12);
+}
 
-    context.fillStyle = '#4facfe';
-    context.fillRect(width - 180, 20, 20, 3);
-    context.fillText('Swarm Turbines', width - 155, 25);
+function formatShare(value, total) {
+    return total > 0 ? `${(value / total * 100).toFixed(0)}%` : '–';
+}
 
-    context.fillStyle = '#f5576c';
-    context.fillRect(width - 180, 40, 20, 3);
-    context.fillText('Baseline Turbine', width - 155, 45);
+function showWindStatsSummary(stats) {
+    const lines = stats.hours === 0 ? ['No wind recorded yet'] : [
+        `Mean speed ${stats.meanSpeed.toFixed(1)} m/s (σ ${stats.speedStd.toFixed(1)} m/s)` +
+            (stats.weibull ? ` · Weibull k = ${stats.weibull.k.toFixed(2)}, c = ${stats.weibull.c.toFixed(1)} m/s` : ''),
+        `Turbulence intensity ${(stats.turbulenceIntensity * 100).toFixed(0)}% · ` +
+            `updrafts ${(stats.updraftShare * 100).toFixed(0)}% of the time`
+    ];
+    elements.windStatsSummary.replaceChildren(...lines.map((text) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        return item;
+    }));
+}
+
+// One row per sector the wind has come from
+function showSectorTable(stats, baselines) {
+    const first = baselines[0];
+    const headings = ['From', 'Time', 'Swarm kWh']
+        .concat(baselines.map(b => `${b.label} kWh`))
+        .concat(first ? [`vs ${first.label}`] : []);
+    elements.sectorTableHead.replaceChildren(...headings.map((text) => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        return cell;
+    }));
+
+    const totalSwarm = stats.sectors.reduce((sum, s) => sum + s.swarmEnergy, 0);
+    const rows = stats.sectors.filter(sector => sector.hours > 0).map((sector) => {
+        const row = document.createElement('tr');
+        const cells = [
+            sector.label,
+            `${sector.hours.toFixed(2)} h (${formatShare(sector.hours, stats.hours)})`,
+            `${sector.swarmEnergy.toFixed(2)} (${formatShare(sector.swarmEnergy, totalSwarm)})`
+        ].concat(baselines.map(b => sector.baselineEnergy[b.id].toFixed(2)));
+        cells.forEach((text) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        if (first) {
+            const cell = document.createElement('td');
+            const reference = sector.baselineEnergy[first.id];
+            if (reference > 0) {
+                const improvement = (sector.swarmEnergy / reference - 1) * 100;
+                cell.textContent = formatPercent(improvement);
+                cell.className = improvement >= 0 ? 'gain' : 'loss';
+            } else {
+                cell.textContent = '–';
+            }
+            row.appendChild(cell);
+        }
+        return row;
+    });
+    elements.sectorTableBody.replaceChildren(...rows);
+}
+
+function updateWindStats(snapshot) {
+    const stats = snapshot.windStats;
+    showWindStatsSummary(stats);
+    drawWindRose(stats);
+    drawSpeedHistogram(stats);
+    drawVerticalHistogram(stats);
+    drawTurbulenceChart(stats);
+    showSectorTable(stats, snapshot.baselines);
 }
 
 // ===========================
 // SIMULATION LOOP
 // ===========================
-function simulationLoop() {
-    if (!state.isRunning) return;
+// Panels below the chart rebuild their tables and plots once per step
+function updatePanels(snapshot) {
+    if (app.panelTime === snapshot.time) return;
+    app.panelTime = snapshot.time;
+    drawDailyEnergy(snapshot);
+    updateBuildingSupply(snapshot);
+    updateEconomics(snapshot);
+    updateWindStats(snapshot);
+}
+
+function render() {
+    const snapshot = app.sim.getSnapshot();
+    app.snapshot = snapshot;
+
+    // A past step while the timeline is reviewed; the panels below the chart
+    // always sum up the live run
+    let shown = snapshot;
+    if (app.review !== null) {
+        const timeline = app.sim.getTimeline();
+        const frame = timeline.frameAt(app.review);
+        if (frame) {
+            shown = frame;
+            if (app.revealStep) {
+                app.revealStep = false;
+                revealInChart(frame.seconds);
+            }
+        } else if (app.review >= timeline.first && app.review <= timeline.last) {
+            shown = app.shown || snapshot; // Its frame is still on the way from the worker
+        } else {
+            app.review = null;
+        }
+    }
+    app.shown = shown;
+
+    if (app.view === 'elevation') {
+        drawSwarmElevation(ctx.swarm, shown);
+        drawBaselineElevation(ctx.baseline, shown);
+    } else {
+        drawSwarmTurbines(ctx.swarm, shown);
+        drawTurbine(ctx.baseline, shown);
+    }
+    updateDisplay(shown);
+    updateInspector(shown);
+    drawChart(shown);
+    updatePanels(snapshot);
+    updateTimeline(snapshot);
+}
+
+// The clock runs in the worker; the page tells it the playback settings and
+// renders on the next animation frame after each update.
+function formatClock(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const rest = new Date(Math.round(seconds % 86400) * 1000).toISOString().slice(11, 19);
+    return days > 0 ? `${days} d ${rest}` : rest;
+}
+
+function sendPlayback() {
+    app.sim.setPlayback({
+        running: app.isRunning,
+        speed: elements.playbackSpeed.value,
+        fastForwardTo: app.fastForwardTo
+    });
+}
+
+function scheduleRender() {
+    if (app.renderFrame === null) {
+        app.renderFrame = requestAnimationFrame(() => {
+            app.renderFrame = null;
+            render();
+        });
+    }
+}
+
+function handleSimulationUpdate(message) {
+    if (message.type !== 'update') {
+        scheduleRender(); // A timeline frame arrived
+        return;
+    }
+    if (message.fastForwardDone !== undefined && message.fastForwardDone === app.fastForwardTo) {
+        finishFastForward();
+    }
+
+    // Non-looping recorded data has run out, or the run is complete
+    if (message.finished) {
+        app.isRunning = false;
+        finishFastForward();
+        const runHours = app.sim.getConfig().runHours;
+        elements.startBtn.innerHTML = runHours > 0 && app.sim.getClock().seconds >= runHours * 3600 ?
+            '<span class="btn-icon">✓</span> Run Complete' : '<span class="btn-icon">■</span> Data Ended';
+        elements.startBtn.classList.remove('active');
+        render();
+        updateStartButton();
+        return;
+    }
+    scheduleRender();
+    updateStartButton();
+}
 
-    // Update simulation
-    state.time++;
-    updateWind();
-    updateSwarmTurbines();
-    updateBaselineTurbine();
+// A step failed in the runner, which stopped its clock; anything else
+// (a setting it refused) is only reported
+function handleSimulationError(message) {
+    showRunError(message.stopped ? `The simulation stopped: ${message.message}` : message.message);
+    if (!message.stopped) return;
+    app.isRunning = false;
+    finishFastForward();
+    elements.startBtn.innerHTML = '<span class="btn-icon">▶</span> Resume';
+    elements.startBtn.classList.remove('active');
+    render();
+    updateStartButton();
+}
+
+function showRunError(message) {
+    elements.runStatus.textContent = message;
+    elements.runStatus.hidden = message === null;
+}
 
-    // Store energy history
-    state.swarm.energyHistory.push(state.swarm.currentEnergy || 0);
-    state.baseline.energyHistory.push(state.baseline.energy);
+// Runs flat out to the target time, then carries on as before (running or paused)
+function toggleFastForward() {
+    if (app.fastForwardTo !== null) {
+        finishFastForward();
+        sendPlayback();
+        return;
+    }
 
-    // Limit history length
-    if (state.swarm.energyHistory.length > 300) {
-        state.swarm.energyHistory.shift();
-        state.baseline.energyHistory.shift();
+    const target = Math.max(0, parseFloat(elements.fastForwardHours.value) || 0) * 3600;
+    if (target <= app.sim.getClock().seconds || app.sim.getClock().finished || needsRecordedData()) return;
+    if (app.review !== null) {
+        returnToLive();
     }
 
-    // Render
-    drawSwarmTurbines(ctx.swarm);
-    drawTurbine(ctx.baseline, state.baseline.angle, state.baseline.tilt, state.windAngle, true);
-    updateDisplay();
-    drawChart();
+    app.fastForwardTo = target;
+    elements.fastForwardBtn.innerHTML = '<span class="btn-icon">■</span> Stop';
+    sendPlayback();
+}
 
-    // Continue loop
-    state.animationFrame = requestAnimationFrame(simulationLoop);
+function finishFastForward() {
+    if (app.fastForwardTo === null) return;
+    app.fastForwardTo = null;
+    elements.fastForwardBtn.innerHTML = '<span class="btn-icon">⏩</span> To hours';
+    scheduleRender();
 }
 
 // ===========================
 // CONTROLS
 // ===========================
+// Can't start without recorded data loaded, or after it has ended
+function updateStartButton() {
+    elements.startBtn.disabled = needsRecordedData() || app.sim.getSnapshot().finished;
+}
+
 function toggleSimulation() {
-    state.isRunning = !state.isRunning;
+    app.isRunning = !app.isRunning;
 
-    if (state.isRunning) {
+    if (app.isRunning) {
+        // Running again shows the live run; carrying on from a past step is a branch
+        if (app.review !== null) {
+            returnToLive();
+        }
         elements.startBtn.innerHTML = '<span class="btn-icon">⏸</span> Pause';
         elements.startBtn.classList.add('active');
-        simulationLoop();
     } else {
         elements.startBtn.innerHTML = '<span class="btn-icon">▶</span> Resume';
         elements.startBtn.classList.remove('active');
-        if (state.animationFrame) {
-            cancelAnimationFrame(state.animationFrame);
-        }
     }
+    sendPlayback();
 }
 
 function resetSimulation() {
     // Stop simulation
-    state.isRunning = false;
-    if (state.animationFrame) {
-        cancelAnimationFrame(state.animationFrame);
-    }
+    app.isRunning = false;
+    finishFastForward();
+    sendPlayback();
 
     // Reset state
-    state.time = 0;
-    state.windAngle = 0;
-    state.windVertical = 0;
-
-    initializeSwarm();
-    state.swarm.totalEnergy = 0;
-    state.swarm.totalEfficiency = 0;
-    state.swarm.energyHistory = [];
-
-    state.baseline.angle = 0;
-    state.baseline.tilt = 0;
-    state.baseline.energy = 0;
-    state.baseline.totalEnergy = 0;
-    state.baseline.efficiency = 0;
-    state.baseline.energyHistory = [];
+    stopReplay();
+    app.review = null;
+    app.chart.view = null;
+    app.chart.follow = true;
 
     // Reset UI
     elements.startBtn.innerHTML = '<span class="btn-icon">▶</span> Start Simulation';
     elements.startBtn.classList.remove('active');
+    showRunError(null);
+
+    app.sim.reset().then(() => {
+        app.panelTime = null;
+        updateFaultTargets();
+        if (app.inspected !== null) {
+            syncInspectorControls();
+        }
+
+        // Redraw (the chart clears itself while it has fewer than two points)
+        render();
+        updateStartButton();
+    }, (error) => {
+        showRunError(`Could not reset: ${error.message}`);
+    });
+}
+
+// ===========================
+// TIMELINE
+// ===========================
+// Every step is kept by the engine, so the canvases, stats and chart can
+// show any past one. Looking back pauses the run; Start goes back to the
+// live run, and Branch carries it on from the step shown instead.
+const REPLAY_INTERVAL_MS = 16;
+
+function updateTimeline(snapshot) {
+    const timeline = app.sim.getTimeline();
+    const recorded = timeline.length > 1;
+    const reviewing = app.review !== null;
+    const current = reviewing ? app.review : timeline.last;
+
+    elements.timelineScrubber.min = timeline.first;
+    elements.timelineScrubber.max = timeline.last;
+    elements.timelineScrubber.value = current;
+    elements.timelineScrubber.disabled = !recorded;
+    elements.timelineBackBtn.disabled = !recorded || current <= timeline.first;
+    elements.timelineForwardBtn.disabled = !reviewing;
+    elements.timelinePlayBtn.disabled = !recorded;
+    elements.timelineLiveBtn.disabled = !reviewing;
+    elements.timelineBranchBtn.disabled = !reviewing || app.review === snapshot.time;
+
+    const dropped = timeline.first > 0 ? `\nSteps before ${timeline.first} were dropped to save memory` : '';
+    elements.timelineStatus.textContent = !recorded ? 'Start the simulation to record its timeline' :
+        (reviewing ? `Step ${app.review} of ${snapshot.time} · ${formatClock(app.shown.seconds)} · the run is paused here` :
+            `Live · step ${snapshot.time} · drag back to replay any recorded step`) + dropped;
+}
+
+// Shows a recorded step, pausing the live run
+function showStep(time) {
+    const timeline = app.sim.getTimeline();
+    if (timeline.length === 0) return;
+    stopReplay();
+    if (app.isRunning) {
+        toggleSimulation();
+    }
+    if (app.fastForwardTo !== null) {
+        toggleFastForward();
+    }
+    app.review = Math.max(timeline.first, Math.min(timeline.last, Math.round(time)));
+    app.revealStep = true;
+    render();
+}
+
+// Pans a zoomed chart so the step shown stays in view
+function revealInChart(seconds) {
+    const view = app.chart.view;
+    if (view && (seconds < view.from || seconds > view.to)) {
+        const span = view.to - view.from;
+        setChartWindow(seconds - span / 2, seconds + span / 2);
+    }
+}
+
+function returnToLive() {
+    stopReplay();
+    app.review = null;
+    render();
+}
+
+// Replays from the step shown (or the start) at the chosen steps per second
+function toggleReplay() {
+    if (app.replayTimer !== null) {
+        stopReplay();
+        return;
+    }
+    const timeline = app.sim.getTimeline();
+    showStep(app.review === null || app.review >= timeline.last ? timeline.first : app.review);
+    app.replayLast = performance.now();
+    app.replayPending = 0;
+    app.replayTimer = setTimeout(replayTick, REPLAY_INTERVAL_MS);
+    elements.timelinePlayBtn.innerHTML = '<span class="btn-icon">⏸</span> Pause';
+    elements.timelinePlayBtn.classList.add('active');
+}
+
+function stopReplay() {
+    if (app.replayTimer === null) return;
+    clearTimeout(app.replayTimer);
+    app.replayTimer = null;
+    elements.timelinePlayBtn.innerHTML = '<span class="btn-icon">▶</span> Replay';
+    elements.timelinePlayBtn.classList.remove('active');
+}
+
+// Replay that reaches the newest step hands over to the live view
+function replayTick() {
+    const now = performance.now();
+    app.replayPending += (now - app.replayLast) / 1000 * parseFloat(elements.timelineSpeed.value);
+    app.replayLast = now;
+    const steps = Math.floor(app.replayPending);
+    app.replayPending -= steps;
+
+    const last = app.sim.getTimeline().last;
+    if (steps > 0) {
+        app.review = Math.min(last, app.review + steps);
+        app.revealStep = true;
+        scheduleRender();
+    }
+    if (app.review >= last) {
+        returnToLive();
+        return;
+    }
+    app.replayTimer = setTimeout(replayTick, REPLAY_INTERVAL_MS);
+}
+
+// Drops the steps after the one shown and carries the run on from there,
+// with the settings it had at that point
+function branchRun() {
+    if (app.review === null) return;
+    const time = app.review;
+    stopReplay();
+    app.sim.branchFrom(time).then(() => {
+        app.review = null;
+        writeControls(app.sim.getConfig());
+        showScheduledFaults();
+        updateFaultTargets();
+        if (app.inspected !== null) {
+            syncInspectorControls();
+        }
+        app.chart.follow = true;
+        app.panelTime = null;
+        elements.startBtn.innerHTML = '<span class="btn-icon">▶</span> Resume';
+        elements.startBtn.classList.remove('active');
+        render();
+        updateStartButton();
+    }, (error) => {
+        elements.timelineStatus.textContent = error.message;
+    });
+}
+
+elements.timelineScrubber.addEventListener('input', () => showStep(parseInt(elements.timelineScrubber.value, 10)));
+elements.timelineBackBtn.addEventListener('click', () =>
+    showStep((app.review !== null ? app.review : app.sim.getTimeline().last) - 1));
+elements.timelineForwardBtn.addEventListener('click', () => {
+    if (app.review !== null) {
+        showStep(app.review + 1);
+    }
+});
+elements.timelinePlayBtn.addEventListener('click', toggleReplay);
+elements.timelineLiveBtn.addEventListener('click', returnToLive);
+elements.timelineBranchBtn.addEventListener('click', branchRun);
+
+// ===========================
+// EXPORT
+// ===========================
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function exportRun(format) {
+    app.sim.getRecording().then((recording) => {
+        if (!recording) {
+            elements.exportStatus.textContent = 'This run is not being recorded';
+            return;
+        }
+        const stamp = recording.exportedAt.replace(/[:.]/g, '-');
+        const name = `swarm-run-seed${recording.config.seed}-${stamp}`;
+
+        if (format === 'csv') {
+            downloadFile(`${name}.csv`, recordingToCsv(recording), 'text/csv');
+        } else {
+            downloadFile(`${name}.json`, recordingToJson(recording), 'application/json');
+        }
+        // Long runs outgrow the recording, which then keeps only the latest steps
+        elements.exportStatus.textContent = recording.droppedSteps > 0 ?
+            `Exported steps ${recording.frames[0].time} to ${recording.frames[recording.frames.length - 1].time}; ` +
+            `the first ${recording.droppedSteps} were dropped to keep the recording under ${recording.config.recordMegabytes} MB` :
+            `Exported all ${recording.steps} steps`;
+    }, (error) => {
+        elements.exportStatus.textContent = `Could not export: ${error.message}`;
+    });
+}
+
+// ===========================
+// MONTE CARLO BATCH
+// ===========================
+function formatPercent(value) {
+    return value >= 0 ? `+${value.toFixed(1)}%` : `${value.toFixed(1)}%`;
+}
+
+function setBatchStatus(text, isError = false) {
+    elements.batchStatus.textContent = text;
+    elements.batchStatus.classList.toggle('error', isError);
+}
+
+// The runs go to the worker with the current settings, so the page keeps
+// drawing the live run while they go
+function toggleBatch() {
+    if (app.batchRunning) {
+        app.sim.stopBatch();
+        return;
+    }
+    if (needsRecordedData()) {
+        setBatchStatus('Load a recorded wind file first', true);
+        return;
+    }
+
+    app.batchRunning = true;
+    elements.batchRunBtn.innerHTML = '<span class="btn-icon">■</span> Stop Batch';
+    setBatchStatus('Starting…');
+    app.sim.runBatch({
+        runs: parseInt(elements.batchRuns.value, 10),
+        steps: parseInt(elements.batchSteps.value, 10)
+    }, (result) => {
+        showBatchProgress(result);
+        setBatchStatus(`Run ${result.completed} of ${result.runs}…`);
+    }).then((result) => {
+        showBatchProgress(result);
+        finishBatch(result.completed < result.runs ?
+            `Stopped after ${result.completed} of ${result.runs} runs` :
+            `Finished ${result.completed} runs of ${result.steps} steps`);
+    }, (error) => {
+        finishBatch(error.message, true);
+    });
+}
+
+function showBatchProgress(result) {
+    app.batchResult = result;
+    showBatchResult(result);
+}
+
+function finishBatch(message, isError = false) {
+    app.batchRunning = false;
+    elements.batchRunBtn.innerHTML = '<span class="btn-icon">🎲</span> Run Batch';
+    setBatchStatus(message, isError);
+}
+
+function showBatchResult(result) {
+    if (result.completed === 0) return;
+    elements.batchResults.hidden = false;
+
+    const items = result.summary.map((s) => {
+        const { mean, std, ci95, count } = s.improvement;
+        const item = document.createElement('li');
+        item.style.color = BASELINE_COLORS[s.id] || '#f5576c';
+        // Runs where the baseline made no energy have no improvement to count
+        const excluded = s.excluded > 0 ? ` · ${s.excluded} left out (no baseline energy)` : '';
+        item.textContent = count === 0 ? `vs ${s.label}: no runs to compare${excluded}` :
+            `vs ${s.label}: mean ${formatPercent(mean)} · σ ${std.toFixed(1)}% · ` +
+            `95% CI [${formatPercent(ci95[0])}, ${formatPercent(ci95[1])}] · n = ${count}${excluded}`;
+        return item;
+    });
+    elements.batchSummary.replaceChildren(...items);
+
+    drawBatchHistogram(result);
+}
+
+// Histogram of improvement over the first baseline, with its mean and 95% CI
+function drawBatchHistogram(result) {
+    const canvas = elements.batchHistogram;
+    const dpr = window.devicePixelRatio || 1;
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    const context = canvas.getContext('2d');
+    context.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    const width = rect.width;
+    const height = rect.height;
+    const summary = result.summary[0];
+    const values = result.rows.map(row => row.baselines[0].improvement).filter(v => v !== null);
+    if (values.length === 0) {
+        context.clearRect(0, 0, width, height);
+        return;
+    }
+    const bins = Math.min(20, Math.max(5, Math.ceil(Math.sqrt(values.length))));
+    const { edges, counts } = histogram(values, bins);
+    const maxCount = Math.max(...counts, 1);
+
+    const padding = 40;
+    const chartWidth = width - padding * 2;
+    const chartHeight = height - padding * 2;
+    const low = edges[0];
+    const high = edges[edges.length - 1];
+    const xFor = value => padding + (value - low) / (high - low) * chartWidth;
+    const color = BASELINE_COLORS[summary.id] || '#f5576c';
+
+    context.clearRect(0, 0, width, height);
+
+    // 95% confidence interval of the mean
+    const [ciLow, ciHigh] = summary.improvement.ci95;
+    context.fillStyle = 'rgba(254, 225, 64, 0.15)';
+    context.fillRect(xFor(ciLow), padding, Math.max(1, xFor(ciHigh) - xFor(ciLow)), chartHeight);
+
+    // Bars
+    context.fillStyle = color;
+    counts.forEach((count, i) => {
+        const x = xFor(edges[i]);
+        const barWidth = xFor(edges[i + 1]) - x;
+        const barHeight = (count / maxCount) * chartHeight;
+        context.fillRect(x + 1, padding + chartHeight - barHeight, Math.max(1, barWidth - 2), barHeight);
+    });
+
+    // Mean
+    context.strokeStyle = '#fee140';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(xFor(summary.improvement.mean), padding - 5);
+    context.lineTo(xFor(summary.improvement.mean), padding + chartHeight);
+    context.stroke();
+
+    // Axis labels
+    context.fillStyle = '#7780a1';
+    context.font = '12px Inter';
+    context.textAlign = 'center';
+    [0, Math.floor(bins / 2), bins].forEach((i) => {
+        context.fillText(formatPercent(edges[i]), xFor(edges[i]), height - padding + 18);
+    });
+    context.textAlign = 'right';
+    context.fillText(`${maxCount} runs`, padding - 6, padding + 4);
+    context.textAlign = 'left';
+    context.fillText(`Improvement vs ${summary.label} (mean and 95% CI in yellow)`, padding, padding - 12);
+}
 
-    // Redraw
-    drawSwarmTurbines(ctx.swarm);
-    drawTurbine(ctx.baseline, 0, 0, 0, true);
-    updateDisplay();
+function exportBatch(format) {
+    const result = app.batchResult;
+    if (!result || result.completed === 0) return;
+    const name = `swarm-batch-seed${result.firstSeed}-n${result.completed}`;
 
-    // Clear chart
-    ctx.chart.clearRect(0, 0, elements.energyChart.width, elements.energyChart.height);
+    if (format === 'csv') {
+        downloadFile(`${name}.csv`, batchToCsv(result), 'text/csv');
+    } else {
+        downloadFile(`${name}.json`, batchToJson(result), 'application/json');
+    }
 }
 
 // ===========================
 // INITIALIZATION
 // ===========================
-function init() {
-    // Initialize swarm
-    initializeSwarm();
+function readControls() {
+    if (elements.seed.value === '') {
+        elements.seed.value = randomSeed();
+    }
+
+    let layout;
+    try {
+        layout = readLayout();
+    } catch (error) {
+        elements.swarmLayout.value = 'honeycomb';
+        layout = { type: 'honeycomb' };
+    }
+
+    return {
+        seed: normalizeSeed(elements.seed.value),
+        layout,
+        swarmTurbine: elements.swarmTurbine.value,
+        swarmRotorDiameter: parseFloat(elements.swarmRotorDiameter.value),
+        baselineTurbine: elements.baselineTurbine.value,
+        baselines: readBaselines(),
+        airDensity: parseFloat(elements.airDensity.value),
+        spacing: parseFloat(elements.turbineSpacing.value),
+        swarmInteraction: elements.swarmInteraction.value,
+        wakeDecay: parseFloat(elements.wakeDecay.value),
+        ...readActuator(),
+        ...readSensors(),
+        ...readBuilding(),
+        ...readClimate(),
+        runHours: parseFloat(elements.runHours.value) || 0,
+        windField: elements.windField.value,
+        windFieldIntensity: parseFloat(elements.windFieldIntensity.value),
+        recordedLoop: elements.recordedLoop.checked,
+        timestep: readTimestep(),
+        faultRate: Math.max(0, parseFloat(elements.faultRate.value) || 0),
+        faultRepairHours: parseFloat(elements.faultRepairHours.value) || 24,
+        windPattern: elements.windPattern.value,
+        controller: elements.controller.value || 'hill-climb',
+        learningRate: parseFloat(elements.learningRate.value),
+        windSpeed: parseFloat(elements.windSpeed.value)
+    };
+}
 
+function init() {
     // Set initial canvas sizes
     const dpr = window.devicePixelRatio || 1;
 
@@ -814,16 +3717,34 @@ function init() {
     elements.energyChart.style.width = chartRect.width + 'px';
     elements.energyChart.style.height = chartRect.height + 'px';
 
-    // Draw initial state
-    drawSwarmTurbines(ctx.swarm);
-    drawTurbine(ctx.baseline, 0, 0, 0, true);
-    updateDisplay();
+    // Draw current state
+    app.panelTime = null;
+    render();
 }
 
+app.sim = createRemoteSimulation(readControls(), {
+    workerUrl: 'sim/worker.js',
+    onUpdate: handleSimulationUpdate,
+    onError: handleSimulationError
+});
+elements.recordedControls.hidden = elements.windPattern.value !== 'recorded';
+elements.gridControls.hidden = elements.swarmLayout.value !== 'grid';
+elements.customLayoutControls.hidden = elements.swarmLayout.value !== 'custom';
+app.showWakes = elements.showWakes.checked;
+app.showWindField = elements.showWindField.checked;
+elements.estimatorTimeConstant.disabled = elements.estimator.value !== 'exponential';
+updateLoadControls();
+updateClimateControls();
+updateStartButton();
+showTurbineModels();
+updateFaultTargets();
+showScenarioList();
+loadScenarioFromHash();
+
 // Start when page loads
 window.addEventListener('load', init);
 
-// Handle window resize
+// Handle window resize (rendering only; the simulation keeps its state)
 window.addEventListener('resize', () => {
     init();
 });
@@ -0,0 +1,83 @@
+// ===========================
+// ACTUATOR DYNAMICS
+// ===========================
+// Moves a rotor towards the controller's yaw/tilt targets the way a real
+// drive would: proportional response, a deadband that ignores tiny
+// corrections, a maximum slew rate, and an energy cost per degree moved.
+//
+// The yaw deadband holds a rotor that already faces the wind it senses to
+// within the deadband; one that doesn't follows even small steps, which
+// is how the controllers creep towards the wind at low learning rates.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.actuator = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_TILT = 30;
+    const GAIN_SECONDS = 60; // The drive gains are the share of the error closed per minute
+
+    const DEFAULT_ACTUATOR = {
+        maxYawRate: 1.0,        // deg/s
+        maxTiltRate: 0.5,       // deg/s
+        yawDeadband: 2,         // deg of error ignored
+        tiltDeadband: 1,        // deg of error ignored
+        yawEnergyPerDegree: 0.05,  // Wh per degree of yaw travel
+        tiltEnergyPerDegree: 0.08  // Wh per degree of tilt travel (lifts the rotor)
+    };
+
+    // Signed shortest turn from heading `from` to `to` in degrees (-180..180]
+    function headingError(from, to) {
+        return ((to - from + 540) % 360) - 180;
+    }
+
+    // Share of the error closed over `stepSeconds` by a drive closing `gain`
+    // of it per GAIN_SECONDS, so the same span of simulated time moves a
+    // rotor as far whatever the timestep
+    function stepGain(gain, stepSeconds) {
+        return 1 - Math.pow(1 - Math.min(gain, 1), stepSeconds / GAIN_SECONDS);
+    }
+
+    // One proportional step towards `error`, rate limited
+    function limitedStep(error, gain, maxStep) {
+        return Math.max(-maxStep, Math.min(maxStep, error * gain));
+    }
+
+    // Moves `turbine` towards its targets over one step of `stepSeconds` and
+    // returns the degrees travelled and the energy that cost (kWh).
+    // `windAngle` is the wind direction the rotor senses, or null if none.
+    function driveTurbine(turbine, settings, learningRate, stepSeconds, windAngle = null) {
+        const yawError = headingError(turbine.angle, turbine.targetAngle);
+        const facesWind = windAngle === null || Math.abs(headingError(turbine.angle, windAngle)) < settings.yawDeadband;
+        const yawStep = facesWind && Math.abs(yawError) < settings.yawDeadband ? 0 : limitedStep(
+            yawError,
+            stepGain(0.1 * learningRate, stepSeconds),
+            settings.maxYawRate * stepSeconds
+        );
+        turbine.angle = (turbine.angle + yawStep + 360) % 360;
+
+        const tiltBefore = turbine.tilt;
+        const tiltError = turbine.targetTilt - turbine.tilt;
+        const tiltStep = Math.abs(tiltError) < settings.tiltDeadband ? 0 : limitedStep(
+            tiltError,
+            stepGain(0.08 * learningRate, stepSeconds),
+            settings.maxTiltRate * stepSeconds
+        );
+        turbine.tilt = Math.max(-MAX_TILT, Math.min(MAX_TILT, turbine.tilt + tiltStep));
+
+        const yawDegrees = Math.abs(yawStep);
+        const tiltDegrees = Math.abs(turbine.tilt - tiltBefore);
+
+        return {
+            yawDegrees,
+            tiltDegrees,
+            energy: (yawDegrees * settings.yawEnergyPerDegree + tiltDegrees * settings.tiltEnergyPerDegree) / 1000
+        };
+    }
+
+    return { DEFAULT_ACTUATOR, driveTurbine };
+}));
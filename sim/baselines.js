@@ -0,0 +1,181 @@
+// ===========================
+// BASELINE COMPARATORS
+// ===========================
+// Conventional installations the swarm is compared against. Each one is a
+// set of rotors on the same roof, all using the baseline turbine model:
+//
+//   {
+//     name: 'Shown in the UI',
+//     label: 'Short name for metric rows',
+//     tracking: true if the rotor yaws,
+//     rotors: how many rotors create() places,
+//     create(context) -> { turbines: [{ x, y, angle, tilt }], model }
+//     steer(baseline, wind, stepSeconds) (optional, tracking baselines)
+//   }
+//
+// The context carries { model, scaleModel(diameter), prevailingAngle() },
+// where prevailingAngle() surveys the configured wind for its energy-weighted
+// mean direction (the heading an installer would pick).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./layout'), require('./controllers'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.baselines = factory(root.SwarmSim.layout, root.SwarmSim.controllers);
+    }
+}(typeof self !== 'undefined' ? self : this, function (layout, controllers) {
+    'use strict';
+
+    const { angleDelta } = controllers;
+
+    // Conventional yaw system: a nacelle vane averaged over ~10 minutes, a
+    // yaw error threshold before the drive engages and a slow slew rate
+    const VANE_TIME_CONSTANT = 600; // s
+    const YAW_START_ERROR = 10;     // deg
+    const YAW_STOP_ERROR = 2;       // deg
+    const YAW_RATE = 0.3;           // deg/s
+
+    const SMALL_ARRAY_COUNT = 6;
+
+    const fixed = {
+        name: 'Fixed at 0° (original)',
+        label: 'Fixed 0°',
+        tracking: false,
+        rotors: 1,
+        create(context) {
+            return { turbines: [{ x: 0, y: 0, angle: 0, tilt: 0 }], model: context.model };
+        }
+    };
+
+    const prevailing = {
+        name: 'Fixed at prevailing wind',
+        label: 'Prevailing',
+        tracking: false,
+        rotors: 1,
+        create(context) {
+            return { turbines: [{ x: 0, y: 0, angle: context.prevailingAngle(), tilt: 0 }], model: context.model };
+        }
+    };
+
+    const yawTracking = {
+        name: 'Yaw-tracking (vane with lag)',
+        label: 'Yaw track',
+        tracking: true,
+        rotors: 1,
+        create(context) {
+            return {
+                turbines: [{ x: 0, y: 0, angle: context.prevailingAngle(), tilt: 0 }],
+                model: context.model,
+                vane: null,     // Averaged wind direction as a unit vector
+                yawing: false
+            };
+        },
+        steer(baseline, wind, stepSeconds) {
+            const rad = wind.angle * Math.PI / 180;
+            if (!baseline.vane) {
+                baseline.vane = { x: Math.sin(rad), y: Math.cos(rad) };
+            } else {
+                const blend = 1 - Math.exp(-stepSeconds / VANE_TIME_CONSTANT);
+                baseline.vane.x += (Math.sin(rad) - baseline.vane.x) * blend;
+                baseline.vane.y += (Math.cos(rad) - baseline.vane.y) * blend;
+            }
+
+            const turbine = baseline.turbines[0];
+            const vaneAngle = Math.atan2(baseline.vane.x, baseline.vane.y) * 180 / Math.PI;
+            const error = angleDelta(turbine.angle, vaneAngle);
+
+            if (Math.abs(error) > YAW_START_ERROR) baseline.yawing = true;
+            if (Math.abs(error) < YAW_STOP_ERROR) baseline.yawing = false;
+            if (baseline.yawing) {
+                const step = Math.sign(error) * Math.min(Math.abs(error), YAW_RATE * stepSeconds);
+                turbine.angle = (turbine.angle + step + 360) % 360;
+            }
+        }
+    };
+
+    // Same total swept area as the single baseline rotor, split over six
+    // fixed rotors on a honeycomb spread wide enough to ignore wakes
+    const smallArray = {
+        name: `${SMALL_ARRAY_COUNT} fixed small turbines (same swept area)`,
+        label: `${SMALL_ARRAY_COUNT}× small`,
+        tracking: false,
+        rotors: SMALL_ARRAY_COUNT,
+        create(context) {
+            const diameter = context.model.rotorDiameter / Math.sqrt(SMALL_ARRAY_COUNT);
+            return {
+                turbines: layout.createLayout({ type: 'honeycomb' }).map(p => ({ x: p.x, y: p.y, angle: 0, tilt: 0 })),
+                model: context.scaleModel(diameter)
+            };
+        }
+    };
+
+    const registry = {
+        fixed,
+        prevailing,
+        'yaw-tracking': yawTracking,
+        'small-array': smallArray
+    };
+
+    function getBaseline(id) {
+        const baseline = Object.prototype.hasOwnProperty.call(registry, id) ? registry[id] : null;
+        if (!baseline) {
+            throw new Error(`Unknown baseline "${id}" (available: ${Object.keys(registry).join(', ')})`);
+        }
+        return baseline;
+    }
+
+    function listBaselines() {
+        return Object.keys(registry).map(id => ({
+            id,
+            name: registry[id].name,
+            label: registry[id].label,
+            tracking: registry[id].tracking,
+            rotors: registry[id].rotors
+        }));
+    }
+
+    // Validates a selection of baseline ids (at least one, no repeats)
+    function checkBaselines(ids) {
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw new Error('Choose at least one baseline');
+        }
+        ids.forEach(getBaseline);
+        if (new Set(ids).size !== ids.length) {
+            throw new Error('Each baseline can only be chosen once');
+        }
+    }
+
+    // Live state for one baseline: its rotors plus running totals
+    function createBaseline(id, context) {
+        const strategy = getBaseline(id);
+        const created = strategy.create(context);
+        return Object.assign(created, {
+            id,
+            name: strategy.name,
+            label: strategy.label,
+            tracking: strategy.tracking,
+            turbines: created.turbines.map(t => Object.assign({ energy: 0, efficiency: 0 }, t)),
+            angle: created.turbines[0].angle,
+            tilt: created.turbines[0].tilt,
+            energy: 0,
+            efficiency: 0,
+            totalEnergy: 0,
+            energyHistory: []
+        });
+    }
+
+    function steerBaseline(baseline, wind, stepSeconds) {
+        const strategy = getBaseline(baseline.id);
+        if (strategy.steer) {
+            strategy.steer(baseline, wind, stepSeconds);
+        }
+    }
+
+    return {
+        getBaseline,
+        listBaselines,
+        checkBaselines,
+        createBaseline,
+        steerBaseline
+    };
+}));
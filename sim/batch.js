@@ -0,0 +1,221 @@
+// ===========================
+// MONTE CARLO BATCH RUNS
+// ===========================
+// Runs the same engine many times with consecutive seeds and summarises
+// how much more energy the swarm captured than each baseline.
+//
+// A run where a baseline made no energy at all (out of service, or wind
+// below its cut-in) has no improvement over it: its cell is null, and the
+// run is left out of that baseline's statistics and counted in `excluded`.
+//
+//   const batch = createBatch(sim.getConfig(), { runs: 30, steps: 600 });
+//   while (batch.next()) {}        // or one run per timer tick in the UI
+//   const result = batch.getResult();
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'), require('./random'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.batch = factory(root.SwarmSim.simulation, root.SwarmSim.random);
+    }
+}(typeof self !== 'undefined' ? self : this, function (simulation, random) {
+    'use strict';
+
+    const FORMAT_VERSION = 2;
+    const MAX_RUNS = 10000;
+
+    // Two-sided 95% Student t critical values for 1..30 degrees of freedom
+    const T_CRITICAL_95 = [
+        12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+        2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+        2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+    ];
+
+    function tCritical(degreesOfFreedom) {
+        if (degreesOfFreedom <= 30) return T_CRITICAL_95[degreesOfFreedom - 1];
+        return 1.96 + 2.4 / degreesOfFreedom; // Within 0.005 of the exact value
+    }
+
+    // Mean, sample standard deviation and 95% confidence interval of the mean
+    function summarize(values) {
+        const count = values.length;
+        if (count === 0) {
+            return { count, mean: NaN, std: NaN, ci95: [NaN, NaN], min: NaN, max: NaN };
+        }
+        const mean = values.reduce((sum, v) => sum + v, 0) / count;
+        const std = count > 1 ?
+            Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (count - 1)) : 0;
+        const margin = count > 1 ? tCritical(count - 1) * std / Math.sqrt(count) : 0;
+        return {
+            count,
+            mean,
+            std,
+            ci95: [mean - margin, mean + margin],
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+    }
+
+    // Equal-width bins spanning the values: { edges: [bins + 1], counts: [bins] }
+    function histogram(values, bins = 12) {
+        if (values.length === 0) return { edges: [], counts: [] };
+        let low = Math.min(...values);
+        let high = Math.max(...values);
+        if (high === low) {
+            low -= 0.5;
+            high += 0.5;
+        }
+        const width = (high - low) / bins;
+        const edges = Array.from({ length: bins + 1 }, (_, i) => low + i * width);
+        const counts = new Array(bins).fill(0);
+        values.forEach((v) => {
+            counts[Math.min(bins - 1, Math.floor((v - low) / width))]++;
+        });
+        return { edges, counts };
+    }
+
+    // Percent, or null when the baseline made nothing to compare with
+    function improvementOver(swarmEnergy, baselineEnergy) {
+        return baselineEnergy > 0 ? (swarmEnergy - baselineEnergy) / baselineEnergy * 100 : null;
+    }
+
+    // One headless run; the row the per-run table is built from
+    function runOnce(config, seed, steps) {
+        const sim = simulation.createSimulation(Object.assign({}, config, { seed, recordRun: false, keepHistory: false, keepTimeline: false }));
+        sim.run(steps);
+        const snapshot = sim.getSnapshot();
+
+        return {
+            seed,
+            steps: snapshot.time,
+            swarmEnergy: snapshot.swarm.totalEnergy,
+            actuationEnergy: snapshot.swarm.actuationEnergy,
+            baselines: snapshot.baselines.map(b => ({
+                id: b.id,
+                label: b.label,
+                energy: b.totalEnergy,
+                improvement: improvementOver(snapshot.swarm.totalEnergy, b.totalEnergy)
+            }))
+        };
+    }
+
+    // `config` is a full engine configuration (e.g. sim.getConfig()); seeds
+    // run from options.firstSeed (default config.seed) upwards
+    function createBatch(config, options = {}) {
+        const runs = Math.floor(options.runs);
+        const steps = Math.floor(options.steps);
+        if (!(runs >= 1 && runs <= MAX_RUNS)) {
+            throw new Error(`Batch runs must be between 1 and ${MAX_RUNS}`);
+        }
+        if (!(steps >= 1)) {
+            throw new Error('Each batch run needs at least one step');
+        }
+        const firstSeed = random.normalizeSeed('firstSeed' in options ? options.firstSeed : config.seed);
+        const baseConfig = Object.assign({}, config);
+        const rows = [];
+
+        // Runs the next simulation; false once every run is done
+        function next() {
+            if (rows.length >= runs) return false;
+            const seed = random.normalizeSeed(firstSeed + rows.length);
+            rows.push(Object.assign({ run: rows.length + 1 }, runOnce(baseConfig, seed, steps)));
+            return rows.length < runs;
+        }
+
+        function getResult() {
+            const baselineIds = rows.length > 0 ? rows[0].baselines.map(b => b.id) : baseConfig.baselines.slice();
+            return {
+                format: 'swarm-turbine-batch',
+                version: FORMAT_VERSION,
+                config: baseConfig,
+                runs,
+                steps,
+                firstSeed,
+                completed: rows.length,
+                rows: rows.slice(),
+                // Improvement (%) of the swarm over each baseline across runs
+                summary: baselineIds.map((id, i) => ({
+                    id,
+                    label: rows.length > 0 ? rows[0].baselines[i].label : id,
+                    improvement: summarize(rows.map(r => r.baselines[i].improvement).filter(v => v !== null)),
+                    excluded: rows.filter(r => r.baselines[i].improvement === null).length,
+                    baselineEnergy: summarize(rows.map(r => r.baselines[i].energy))
+                })),
+                swarmEnergy: summarize(rows.map(r => r.swarmEnergy))
+            };
+        }
+
+        return {
+            next,
+            getResult,
+            get completed() { return rows.length; },
+            get done() { return rows.length >= runs; }
+        };
+    }
+
+    // Runs a whole batch synchronously (Node scripts, tests)
+    function runBatch(config, options) {
+        const batch = createBatch(config, options);
+        while (batch.next()) { /* keep going */ }
+        return batch.getResult();
+    }
+
+    function formatCell(value) {
+        if (value === null) return '';
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+        }
+        return String(value);
+    }
+
+    // Per-run table as CSV with a `#` header block holding the summary
+    function batchToCsv(result) {
+        const lines = [
+            `# format: ${result.format} v${result.version}`,
+            `# runs: ${result.completed} of ${result.runs}, ${result.steps} steps each, seeds from ${result.firstSeed}`,
+            `# windPattern: ${result.config.windPattern}, controller: ${result.config.controller}`
+        ];
+        result.summary.forEach((s) => {
+            const { mean, std, ci95 } = s.improvement;
+            lines.push(`# improvement vs ${s.id}: mean ${mean.toFixed(2)}%, std ${std.toFixed(2)}%, ` +
+                `95% CI [${ci95[0].toFixed(2)}%, ${ci95[1].toFixed(2)}%]` +
+                (s.excluded > 0 ? `, ${s.excluded} runs left out (no baseline energy)` : ''));
+        });
+
+        const ids = result.summary.map(s => s.id.replace(/-/g, '_'));
+        const columns = ['run', 'seed', 'steps', 'swarm_kwh', 'swarm_actuation_kwh'];
+        ids.forEach((id) => {
+            columns.push(`baseline_${id}_kwh`, `improvement_vs_${id}_pct`);
+        });
+        lines.push(columns.join(','));
+
+        result.rows.forEach((row) => {
+            const cells = [row.run, row.seed, row.steps, row.swarmEnergy, row.actuationEnergy];
+            row.baselines.forEach((b) => {
+                cells.push(b.energy, b.improvement);
+            });
+            lines.push(cells.map(formatCell).join(','));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    function batchToJson(result) {
+        // Recorded wind and load series can be large; keep just their names in the config
+        const config = Object.assign({}, result.config, {
+            recordedWind: result.config.recordedWind ? { name: result.config.recordedWind.name || null } : null,
+            loadData: result.config.loadData ? { name: result.config.loadData.name || null } : null
+        });
+        return JSON.stringify(Object.assign({}, result, { config }), null, 2);
+    }
+
+    return {
+        MAX_RUNS,
+        createBatch,
+        runBatch,
+        summarize,
+        histogram,
+        batchToCsv,
+        batchToJson
+    };
+}));
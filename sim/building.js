@@ -0,0 +1,238 @@
+// ===========================
+// BUILDING LOAD & BATTERY
+// ===========================
+// The building under the rotors and an optional battery. Every step each
+// system's output serves the load first, the surplus charges the battery
+// and the rest is exported; a shortfall is covered by the battery, then
+// imported from the grid. The swarm and every baseline get an identical
+// battery of their own.
+//
+// Load profiles are preset daily shapes scaled to `loadPeak`, or a custom
+// series from parseLoadCsv(): { samples: [{ hours, load }], period } with
+// `hours` from midnight and `load` in kW, repeating every `period` hours.
+// Profiles follow the clock of climate.js (seconds since Monday 00:00).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.building = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_BUILDING = {
+        loadProfile: 'none',      // See LOAD_PROFILES, or 'custom' with loadData
+        loadPeak: 10,             // kW at the top of a preset profile
+        loadData: null,           // Series from parseLoadCsv() for the 'custom' profile
+        batteryCapacity: 0,       // kWh; 0 = no battery
+        batteryChargePower: 5,    // kW limit into the battery
+        batteryDischargePower: 5, // kW limit out of it
+        batteryEfficiency: 0.9,   // Round trip, split evenly between charge and discharge
+        batteryInitialCharge: 0.5 // Share of the capacity at the start of a run
+    };
+
+    const MAX_REPORTED_ISSUES = 10;
+
+    // Hourly shapes (share of the peak) for weekdays and weekends
+    const OFFICE_WEEKDAY = [0.25, 0.25, 0.25, 0.25, 0.25, 0.3, 0.45, 0.7, 0.9, 1, 1, 1,
+        0.95, 1, 1, 0.95, 0.9, 0.75, 0.5, 0.35, 0.3, 0.25, 0.25, 0.25];
+    const HOME = [0.3, 0.25, 0.22, 0.2, 0.2, 0.25, 0.45, 0.7, 0.6, 0.4, 0.35, 0.35,
+        0.4, 0.35, 0.35, 0.4, 0.5, 0.75, 0.95, 1, 0.9, 0.7, 0.5, 0.38];
+    const RETAIL = [0.2, 0.2, 0.2, 0.2, 0.2, 0.2, 0.25, 0.4, 0.7, 0.9, 1, 1,
+        1, 1, 1, 1, 1, 1, 0.95, 0.9, 0.6, 0.3, 0.2, 0.2];
+
+    const LOAD_PROFILES = {
+        none: { name: 'No building load' },
+        office: { name: 'Office (weekdays 8–18)', weekday: OFFICE_WEEKDAY, weekend: OFFICE_WEEKDAY.map(() => 0.25) },
+        residential: { name: 'Apartment block (evening peak)', weekday: HOME, weekend: HOME },
+        retail: { name: 'Shop (open 9–21, every day)', weekday: RETAIL, weekend: RETAIL },
+        constant: { name: 'Constant (data centre, plant)', weekday: HOME.map(() => 1), weekend: HOME.map(() => 1) },
+        custom: { name: 'Custom (CSV file)' }
+    };
+
+    function listLoadProfiles() {
+        return Object.keys(LOAD_PROFILES).map(id => ({ id, name: LOAD_PROFILES[id].name }));
+    }
+
+    function checkBuilding(settings) {
+        if (!Object.prototype.hasOwnProperty.call(LOAD_PROFILES, settings.loadProfile)) {
+            throw new Error(`Unknown load profile "${settings.loadProfile}" (available: ${Object.keys(LOAD_PROFILES).join(', ')})`);
+        }
+        ['loadPeak', 'batteryCapacity', 'batteryChargePower', 'batteryDischargePower'].forEach((key) => {
+            if (!(settings[key] >= 0)) {
+                throw new Error(`${key} cannot be negative`);
+            }
+        });
+        if (!(settings.batteryEfficiency > 0 && settings.batteryEfficiency <= 1)) {
+            throw new Error('The battery round-trip efficiency must be above 0% and at most 100%');
+        }
+        if (!(settings.batteryInitialCharge >= 0 && settings.batteryInitialCharge <= 1)) {
+            throw new Error('The battery must start between empty and full');
+        }
+    }
+
+    // ---------------------------
+    // Load profiles
+    // ---------------------------
+    // Time of day as "HH:MM[:SS]", or hours as a number
+    function parseHours(text) {
+        const clock = /^(\d{1,3}):(\d{2})(?::(\d{2}))?$/.exec(text);
+        if (clock) {
+            return Number(clock[1]) + Number(clock[2]) / 60 + Number(clock[3] || 0) / 3600;
+        }
+        return text === '' ? NaN : Number(text);
+    }
+
+    // Two columns: time (hours from midnight, or HH:MM) and load (kW). A
+    // header row is optional. Profiles longer than a day (a week of hourly
+    // readings, say) repeat over whole days.
+    function parseLoadCsv(text) {
+        const lines = String(text).split(/\r?\n/)
+            .map((content, i) => ({ content: content.trim(), line: i + 1 }))
+            .filter(l => l.content !== '' && !l.content.startsWith('#'));
+        if (lines.length === 0) {
+            throw new Error('The file is empty');
+        }
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            lines[0].content.split(d).length > lines[0].content.split(best).length ? d : best, ',');
+        const cellsOf = l => l.content.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+        const hasHeader = !Number.isFinite(parseHours(cellsOf(lines[0])[0]));
+        const rows = hasHeader ? lines.slice(1) : lines;
+
+        const issues = [];
+        const samples = [];
+        rows.forEach((l) => {
+            const cells = cellsOf(l);
+            const hours = parseHours(cells[0]);
+            const load = cells.length > 1 && cells[1] !== '' ? Number(cells[1]) : NaN;
+            if (!(hours >= 0)) {
+                issues.push(`Line ${l.line}: time "${cells[0]}" is not hours or HH:MM`);
+            } else if (!(load >= 0)) {
+                issues.push(`Line ${l.line}: load "${cells[1] === undefined ? '' : cells[1]}" is not a number of kW`);
+            } else if (samples.length > 0 && hours <= samples[samples.length - 1].hours) {
+                issues.push(`Line ${l.line}: time is not after the previous row`);
+            } else {
+                samples.push({ hours, load });
+            }
+        });
+        if (issues.length === 0 && samples.length < 2) {
+            issues.push('At least two rows are needed to interpolate');
+        }
+        if (issues.length > 0) {
+            const more = issues.length - MAX_REPORTED_ISSUES;
+            throw new Error(issues.slice(0, MAX_REPORTED_ISSUES).join('\n') +
+                (more > 0 ? `\n…and ${more} more problem${more === 1 ? '' : 's'}` : ''));
+        }
+        const last = samples[samples.length - 1].hours;
+        return { samples, period: Math.max(1, Math.ceil(last / 24)) * 24 };
+    }
+
+    // kW of a custom series, wrapping from its last row back to its first
+    function sampleLoadData(series, hours) {
+        const samples = series.samples;
+        const time = hours % series.period;
+        const hi = samples.findIndex(s => s.hours > time);
+        if (hi === 0 || hi === -1) {
+            // Between the last row and the first one of the next period
+            const a = samples[samples.length - 1];
+            const b = samples[0];
+            const span = b.hours + series.period - a.hours;
+            const offset = hi === 0 ? time + series.period - a.hours : time - a.hours;
+            return span > 0 ? a.load + (b.load - a.load) * Math.min(1, offset / span) : a.load;
+        }
+        const a = samples[hi - 1];
+        const b = samples[hi];
+        return a.load + (b.load - a.load) * (time - a.hours) / (b.hours - a.hours);
+    }
+
+    // Building demand (kW) at `clockSeconds` after Monday 00:00
+    function loadAt(settings, clockSeconds) {
+        const hours = clockSeconds / 3600;
+        if (settings.loadProfile === 'custom') {
+            return settings.loadData ? sampleLoadData(settings.loadData, hours) : 0;
+        }
+        const profile = LOAD_PROFILES[settings.loadProfile];
+        if (!profile.weekday) return 0;
+        const day = Math.floor(hours / 24) % 7;
+        const shape = day < 5 ? profile.weekday : profile.weekend;
+        const hour = hours % 24;
+        const i = Math.floor(hour);
+        return settings.loadPeak * (shape[i] + (shape[(i + 1) % 24] - shape[i]) * (hour - i));
+    }
+
+    // ---------------------------
+    // Dispatch
+    // ---------------------------
+    // Energy flows of one system and its battery
+    function createSite(settings) {
+        return {
+            charge: settings.batteryCapacity * settings.batteryInitialCharge, // kWh stored
+            stateOfCharge: settings.batteryCapacity > 0 ? settings.batteryInitialCharge : 0, // Share of the capacity
+            load: 0,            // kW this step
+            generation: 0,
+            gridImport: 0,
+            gridExport: 0,
+            batteryPower: 0,    // kW into (+) or out of (-) the battery
+            loadEnergy: 0,      // kWh over the run
+            generatedEnergy: 0,
+            importEnergy: 0,
+            exportEnergy: 0,
+            chargedEnergy: 0,   // kWh taken in by the battery, before losses
+            dischargedEnergy: 0, // kWh delivered by it, after losses
+            batteryLosses: 0    // kWh lost charging and discharging
+        };
+    }
+
+    // One step: `generation` and `load` in kW. Net-negative generation (drives
+    // drawing more than the rotors make) counts as extra load.
+    function dispatch(site, generation, load, stepSeconds, settings) {
+        const hours = stepSeconds / 3600;
+        const demand = load + Math.max(0, -generation);
+        const supply = Math.max(0, generation);
+        const oneWay = Math.sqrt(settings.batteryEfficiency);
+        const capacity = settings.batteryCapacity;
+        site.charge = Math.min(site.charge, capacity); // The battery may have shrunk mid-run
+
+        const direct = Math.min(supply, demand);
+        const surplus = supply - direct;
+        const shortfall = demand - direct;
+        const charging = Math.min(surplus, settings.batteryChargePower, (capacity - site.charge) / oneWay / hours);
+        const discharging = Math.min(shortfall, settings.batteryDischargePower, site.charge * oneWay / hours);
+        site.charge = Math.max(0, Math.min(capacity, site.charge + (charging * oneWay - discharging / oneWay) * hours));
+        site.stateOfCharge = capacity > 0 ? site.charge / capacity : 0;
+
+        site.load = demand;
+        site.generation = supply;
+        site.gridExport = surplus - charging;
+        site.gridImport = shortfall - discharging;
+        site.batteryPower = charging - discharging;
+        site.loadEnergy += demand * hours;
+        site.generatedEnergy += supply * hours;
+        site.importEnergy += site.gridImport * hours;
+        site.exportEnergy += site.gridExport * hours;
+        site.chargedEnergy += charging * hours;
+        site.dischargedEnergy += discharging * hours;
+        site.batteryLosses += (charging * (1 - oneWay) + discharging * (1 / oneWay - 1)) * hours;
+    }
+
+    // Snapshot copy with the shares customers ask about: how much of the
+    // output the building used, and how much of its demand it covered
+    function describeSite(site) {
+        return Object.assign({
+            selfConsumption: site.generatedEnergy > 0 ? 1 - site.exportEnergy / site.generatedEnergy : 0,
+            selfSufficiency: site.loadEnergy > 0 ? 1 - site.importEnergy / site.loadEnergy : 0
+        }, site);
+    }
+
+    return {
+        DEFAULT_BUILDING,
+        listLoadProfiles,
+        checkBuilding,
+        parseLoadCsv,
+        loadAt,
+        createSite,
+        dispatch,
+        describeSite
+    };
+}));
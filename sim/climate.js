@@ -0,0 +1,106 @@
+// ===========================
+// DAY & SEASON CYCLE
+// ===========================
+// Clock time and date for the synthetic wind patterns. With `dayCycle` on,
+// the sun heats the roofs and walls: updrafts build through the morning,
+// peak in the early afternoon (surfaces lag the sun) and turn into weak
+// sinking air over cooling roofs at night. Daytime mixing brings faster air
+// down to roof level, and the seasons shift the wind: stronger and veered
+// in winter, lighter in summer.
+//
+// The clock counts from Monday 00:00, so the run starts `startHour` hours
+// into the week on the date `dayOfYear`, which turns over at each midnight.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.climate = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_CLIMATE = {
+        dayCycle: false,  // Clock time drives thermal updrafts; the seasons shift the wind
+        startHour: 0,     // Clock time when the run starts, in hours after Monday 00:00
+        dayOfYear: 172,   // Date when the run starts (1 = 1 January, 172 = midsummer)
+        latitude: 50      // Degrees north (negative for south); sets day length and sun height
+    };
+
+    const THERMAL_LAG_HOURS = 2; // Surfaces are hottest after solar noon
+    const MAX_UPDRAFT = 6;       // m/s with the sun overhead
+    const NIGHT_SINK = 0.8;      // m/s of sinking air over roofs cooling at night
+    const DIURNAL_SPEED = 0.2;   // Speed gained from full daytime mixing (fraction)
+    const SEASONAL_SPEED = 0.2;  // Winter speed-up / summer slow-down (fraction)
+    const SEASONAL_VEER = 30;    // deg the wind backs or veers between summer and winter
+
+    function checkClimate(settings) {
+        if (!(settings.startHour >= 0 && settings.startHour < 168)) {
+            throw new Error('The start hour must be within the first week (0 to 167)');
+        }
+        if (!(settings.dayOfYear >= 1 && settings.dayOfYear <= 365)) {
+            throw new Error('The day of the year must be between 1 and 365');
+        }
+        if (!(Math.abs(settings.latitude) <= 90)) {
+            throw new Error('The latitude must be between -90° and 90°');
+        }
+    }
+
+    // Seconds since Monday 00:00 at `seconds` into the run
+    function clockSeconds(settings, seconds) {
+        return settings.startHour * 3600 + seconds;
+    }
+
+    // Day of the year (fractional, 1 = 1 January 00:00) at `seconds` into the
+    // run. `dayOfYear` is the date of the start day, so the date turns over
+    // at the clock's midnight, not a whole day after the start
+    function dateAt(settings, seconds) {
+        const startMidnight = Math.floor(settings.startHour / 24) * 86400;
+        const days = (clockSeconds(settings, seconds) - startMidnight) / 86400;
+        return ((settings.dayOfYear - 1 + days) % 365) + 1;
+    }
+
+    // Sine of the sun's elevation (negative below the horizon)
+    function sunHeight(latitude, dayOfYear, hour) {
+        const rad = Math.PI / 180;
+        const declination = 23.44 * rad * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365);
+        const hourAngle = 15 * rad * (hour - 12);
+        return Math.sin(latitude * rad) * Math.sin(declination) +
+            Math.cos(latitude * rad) * Math.cos(declination) * Math.cos(hourAngle);
+    }
+
+    // Conditions `seconds` into the run:
+    //   hour, dayOfYear      local clock and date
+    //   sunElevation (deg)   where the sun is now
+    //   heating (0-1)        how hard the surfaces drive the air, lagging the sun
+    //   updraft (m/s)        thermal vertical wind
+    //   speedFactor, angleShift (deg)   diurnal and seasonal changes to the wind
+    function climateAt(settings, seconds) {
+        const clock = clockSeconds(settings, seconds);
+        const hour = (clock / 3600) % 24;
+        const dayOfYear = dateAt(settings, seconds);
+        const sun = sunHeight(settings.latitude, dayOfYear, hour);
+        const surface = sunHeight(settings.latitude, dayOfYear, hour - THERMAL_LAG_HOURS);
+        const heating = Math.max(0, surface);
+        // +1 in midwinter, -1 in midsummer, whichever hemisphere
+        const winter = Math.cos(2 * Math.PI * (dayOfYear - 15) / 365) * (settings.latitude < 0 ? -1 : 1);
+
+        return {
+            hour,
+            dayOfYear,
+            sunElevation: Math.asin(Math.max(-1, Math.min(1, sun))) * 180 / Math.PI,
+            heating,
+            updraft: surface > 0 ? MAX_UPDRAFT * heating : NIGHT_SINK * Math.max(-1, surface / 0.2),
+            speedFactor: (1 + SEASONAL_SPEED * winter) * (1 + DIURNAL_SPEED * (heating - 0.25)),
+            angleShift: SEASONAL_VEER * winter
+        };
+    }
+
+    return {
+        DEFAULT_CLIMATE,
+        checkClimate,
+        clockSeconds,
+        dateAt,
+        climateAt
+    };
+}));
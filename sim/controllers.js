@@ -0,0 +1,239 @@
+// ===========================
+// SWARM CONTROL STRATEGIES
+// ===========================
+// A controller turns what each turbine observes into yaw and tilt targets.
+// The engine then moves the rotors towards those targets.
+//
+//   {
+//     name: 'Shown in the UI',
+//     createState(observations, context) -> per-run memory (optional)
+//     decide(observations, context) -> [{ targetAngle, targetTilt }, ...]
+//   }
+//
+// Each observation describes one turbine:
+//   { index, x, y, angle, tilt, energy, efficiency,
+//     wind: { angle, speed, vertical },   estimated wind at the rotor
+//     evaluate(angle, tilt) -> { energy, efficiency, optimalTilt } }
+//
+// Controllers only see measurements (see sensors.js): `wind` is the
+// turbine's estimate from its noisy, delayed instruments, `energy` and
+// `efficiency` are power meter readings, and evaluate() predicts a pose
+// from the estimated wind and reads the result back through the power
+// meter. With ideal sensors (the default) all of these are exact.
+//
+// The context carries { learningRate, neighbors, random, memory, exact },
+// where neighbors[i] lists the indices adjacent to turbine i in the layout,
+// random is the run's seeded generator and exact[i] is what turbine i would
+// observe with perfect instruments: { wind, evaluate(angle, tilt) }. Only
+// the oracle reads `exact`; it is an upper bound, not a controller.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.controllers = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_TILT = 30;
+
+    function clampTilt(tilt) {
+        return Math.max(-MAX_TILT, Math.min(MAX_TILT, tilt));
+    }
+
+    // Signed shortest difference b - a in degrees (-180..180]
+    function angleDelta(a, b) {
+        return ((b - a + 540) % 360) - 180;
+    }
+
+    // ---------------------------
+    // Hill climb (original controller)
+    // ---------------------------
+    // Probes ±5° around the current heading and steps towards the better
+    // side; tilt follows the optimal tilt scaled by the learning rate.
+    function hillClimbTarget(obs, learningRate) {
+        const currentResult = obs.evaluate(obs.angle, obs.tilt);
+
+        // Gradient-based learning for horizontal angle
+        const delta = 5;
+        const leftResult = obs.evaluate(obs.angle - delta, obs.tilt);
+        const rightResult = obs.evaluate(obs.angle + delta, obs.tilt);
+
+        let targetAngle;
+        if (leftResult.energy > currentResult.energy && leftResult.energy >= rightResult.energy) {
+            targetAngle = obs.angle - delta * learningRate;
+        } else if (rightResult.energy > currentResult.energy) {
+            targetAngle = obs.angle + delta * learningRate;
+        } else {
+            targetAngle = obs.wind.angle;
+        }
+
+        // Update target tilt angle (optimize for vertical wind)
+        const targetTilt = clampTilt(currentResult.optimalTilt * learningRate);
+
+        return { targetAngle, targetTilt };
+    }
+
+    const hillClimb = {
+        name: 'Hill Climb (±5° Probing)',
+        decide(observations, context) {
+            return observations.map(obs => hillClimbTarget(obs, context.learningRate));
+        }
+    };
+
+    // ---------------------------
+    // Perfect information (upper bound)
+    // ---------------------------
+    // Knows the true wind at each rotor, whatever its sensors say, and
+    // points straight into it.
+    const oracle = {
+        name: 'Perfect Information (Upper Bound)',
+        decide(observations, context) {
+            return observations.map((obs, i) => {
+                const { wind, evaluate } = context.exact[i];
+                const best = evaluate(wind.angle, obs.tilt);
+                return {
+                    targetAngle: obs.angle + angleDelta(obs.angle, wind.angle),
+                    targetTilt: clampTilt(best.optimalTilt)
+                };
+            });
+        }
+    };
+
+    // ---------------------------
+    // Particle swarm optimization
+    // ---------------------------
+    // Each turbine is a particle in (heading, tilt) space. It is pulled
+    // towards its own best pose and the best pose among its layout
+    // neighbours. Bests are re-scored every step because the wind moves.
+    const PSO_INERTIA = 0.7;
+    const PSO_COGNITIVE = 1.5;
+    const PSO_SOCIAL = 1.5;
+    const PSO_MAX_VELOCITY = { angle: 15, tilt: 5 };
+    const PSO_EXPLORATION = 20; // Degrees of random heading search per step
+
+    const particleSwarm = {
+        name: 'Particle Swarm (Neighbour Sharing)',
+        createState(observations) {
+            return observations.map(obs => ({
+                velocity: { angle: 0, tilt: 0 },
+                best: { angle: obs.angle, tilt: obs.tilt }
+            }));
+        },
+        decide(observations, context) {
+            const particles = context.memory;
+            const random = context.random;
+
+            // Re-score personal bests in the current wind
+            const scores = observations.map((obs, i) => {
+                const particle = particles[i];
+                const current = obs.evaluate(obs.angle, obs.tilt).energy;
+                const remembered = obs.evaluate(particle.best.angle, particle.best.tilt).energy;
+                if (current >= remembered) {
+                    particle.best = { angle: obs.angle, tilt: obs.tilt };
+                    return current;
+                }
+                return remembered;
+            });
+
+            return observations.map((obs, i) => {
+                const particle = particles[i];
+
+                // Best pose shared by this turbine's neighbourhood
+                let leader = i;
+                context.neighbors[i].forEach((j) => {
+                    if (scores[j] > scores[leader]) leader = j;
+                });
+                const social = particles[leader].best;
+                const gain = context.learningRate * 2;
+
+                ['angle', 'tilt'].forEach((axis) => {
+                    const toBest = axis === 'angle' ? angleDelta(obs.angle, particle.best.angle) : particle.best.tilt - obs.tilt;
+                    const toLeader = axis === 'angle' ? angleDelta(obs.angle, social.angle) : social.tilt - obs.tilt;
+                    const velocity = PSO_INERTIA * particle.velocity[axis] +
+                        gain * (PSO_COGNITIVE * random() * toBest + PSO_SOCIAL * random() * toLeader);
+                    const limit = PSO_MAX_VELOCITY[axis];
+                    particle.velocity[axis] = Math.max(-limit, Math.min(limit, velocity));
+                });
+
+                // A little exploration keeps the swarm from stalling
+                const jitter = (random() - 0.5) * PSO_EXPLORATION;
+
+                return {
+                    targetAngle: obs.angle + particle.velocity.angle + jitter,
+                    targetTilt: clampTilt(obs.tilt + particle.velocity.tilt)
+                };
+            });
+        }
+    };
+
+    // ---------------------------
+    // Neighbour consensus
+    // ---------------------------
+    // Linear consensus with innovation: each turbine follows its own
+    // hill-climb proposal, corrected towards the average heading and tilt
+    // of its hex neighbours, so the array moves as a coherent group.
+    const CONSENSUS_GAIN = 0.5;
+
+    const consensus = {
+        name: 'Neighbour Consensus',
+        decide(observations, context) {
+            return observations.map((obs, i) => {
+                const proposal = hillClimbTarget(obs, context.learningRate);
+                const neighbors = context.neighbors[i];
+                if (neighbors.length === 0) return proposal;
+
+                const headingPull = neighbors.reduce((sum, j) => sum + angleDelta(obs.angle, observations[j].angle), 0) / neighbors.length;
+                const tiltPull = neighbors.reduce((sum, j) => sum + observations[j].tilt - obs.tilt, 0) / neighbors.length;
+
+                return {
+                    targetAngle: proposal.targetAngle + CONSENSUS_GAIN * headingPull,
+                    targetTilt: clampTilt(proposal.targetTilt + CONSENSUS_GAIN * tiltPull)
+                };
+            });
+        }
+    };
+
+    const registry = {
+        'hill-climb': hillClimb,
+        oracle,
+        pso: particleSwarm,
+        consensus
+    };
+
+    function registerController(id, controller) {
+        if (!controller || typeof controller.decide !== 'function') {
+            throw new Error(`Controller "${id}" needs a decide(observations, context) function`);
+        }
+        registry[id] = controller;
+    }
+
+    function getController(id) {
+        const controller = Object.prototype.hasOwnProperty.call(registry, id) ? registry[id] : null;
+        if (!controller) {
+            throw new Error(`Unknown controller "${id}" (available: ${Object.keys(registry).join(', ')})`);
+        }
+        return controller;
+    }
+
+    function listControllers() {
+        return Object.keys(registry).map(id => ({ id, name: registry[id].name }));
+    }
+
+    // Indices of each turbine's adjacent turbines (within 1.05× the closest spacing)
+    function findNeighbors(turbines, minSpacing) {
+        return turbines.map((a, i) => turbines
+            .map((b, j) => ({ j, d: Math.hypot(a.x - b.x, a.y - b.y) }))
+            .filter(n => n.j !== i && n.d <= minSpacing * 1.05)
+            .map(n => n.j));
+    }
+
+    return {
+        registerController,
+        getController,
+        listControllers,
+        findNeighbors,
+        angleDelta
+    };
+}));
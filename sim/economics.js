@@ -0,0 +1,101 @@
+// ===========================
+// PROJECT ECONOMICS
+// ===========================
+// What the energy of a run is worth: the simulated window is scaled up to a
+// year, then each system is priced per rotor (hardware, installation and
+// yearly O&M) and valued at a flat tariff over its lifetime:
+//
+//   rotor cost    swarm rotors cost swarmTurbineCost; a baseline rotor costs
+//                 baselineTurbineCost scaled by its rated power against the
+//                 configured baseline turbine, so the small array's rotors
+//                 are priced as the small turbines they are
+//
+//   annual yield  kWh in the window × (one year / window length)
+//   LCOE          (capex + discounted O&M) / discounted yield
+//   payback       capex / (revenue - O&M) per year, undiscounted
+//   NPV           discounted (revenue - O&M) over the lifetime - capex
+//
+// Costs are in whatever currency the tariff is in.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.economics = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SECONDS_PER_YEAR = 365 * 86400;
+
+    const DEFAULT_ECONOMICS = {
+        swarmTurbineCost: 4000,     // Per swarm rotor, including its tilt and yaw drives
+        baselineTurbineCost: 12000, // Per rotor of the configured baseline turbine
+        installationCost: 1500,     // Mounting and wiring, per rotor
+        maintenanceCost: 150,       // O&M per rotor per year
+        tariff: 0.25,               // Per kWh
+        discountRate: 0.06,         // Per year
+        lifetime: 20                // Years
+    };
+
+    function checkEconomics(settings) {
+        ['swarmTurbineCost', 'baselineTurbineCost', 'installationCost', 'maintenanceCost', 'tariff'].forEach((key) => {
+            if (!(settings[key] >= 0)) {
+                throw new Error(`${key} cannot be negative`);
+            }
+        });
+        if (!(settings.discountRate > -1 && settings.discountRate < 1)) {
+            throw new Error('The discount rate must be between -100% and 100%');
+        }
+        if (!(Number.isInteger(settings.lifetime) && settings.lifetime >= 1)) {
+            throw new Error('The lifetime must be a whole number of years');
+        }
+    }
+
+    // Present value of 1 per year, paid at the end of each year
+    function annuityFactor(rate, years) {
+        return rate === 0 ? years : (1 - Math.pow(1 + rate, -years)) / rate;
+    }
+
+    // One system; figures that don't exist (no energy yet, never pays back)
+    // are null
+    function evaluateSystem(energy, seconds, rotors, turbineCost, settings) {
+        const annualEnergy = seconds > 0 ? energy * SECONDS_PER_YEAR / seconds : 0;
+        const capex = rotors * (turbineCost + settings.installationCost);
+        const annualMaintenance = rotors * settings.maintenanceCost;
+        const annualRevenue = annualEnergy * settings.tariff;
+        const annuity = annuityFactor(settings.discountRate, settings.lifetime);
+        const annualProfit = annualRevenue - annualMaintenance;
+        return {
+            rotors,
+            rotorCost: turbineCost,
+            annualEnergy,
+            capex,
+            annualMaintenance,
+            annualRevenue,
+            lcoe: annualEnergy > 0 ? (capex + annualMaintenance * annuity) / (annualEnergy * annuity) : null,
+            paybackYears: annualProfit > 0 ? capex / annualProfit : null,
+            npv: annualProfit * annuity - capex
+        };
+    }
+
+    // Swarm and every baseline of a snapshot; `baselineModel` is the
+    // configured baseline turbine, the one baselineTurbineCost is for
+    function evaluateEconomics(snapshot, settings, baselineModel) {
+        const baselineRotorCost = model => settings.baselineTurbineCost * model.ratedPower / baselineModel.ratedPower;
+        return {
+            seconds: snapshot.seconds,
+            swarm: evaluateSystem(snapshot.swarm.totalEnergy, snapshot.seconds,
+                snapshot.swarm.turbines.length, settings.swarmTurbineCost, settings),
+            baselines: snapshot.baselines.map(b => Object.assign({ id: b.id, label: b.label },
+                evaluateSystem(b.totalEnergy, snapshot.seconds, b.turbines.length, baselineRotorCost(b.model), settings)))
+        };
+    }
+
+    return {
+        DEFAULT_ECONOMICS,
+        checkEconomics,
+        annuityFactor,
+        evaluateEconomics
+    };
+}));
@@ -0,0 +1,235 @@
+// ===========================
+// FAULT INJECTION
+// ===========================
+// Turbine failures, scheduled or random, for resilience testing. Every
+// rotor (swarm and baseline alike) is a unit with its own fault list:
+//
+//   units:      'swarm:<i>', 'baseline:<id>:<i>'
+//   scheduled:  { type, target: 'swarm' | 'baseline', turbine, at, duration, severity }
+//               (`at` and `duration` in simulated seconds; duration null = never repaired;
+//               a baseline target hits that rotor of every chosen baseline)
+//   random:     each unit fails `rate` times per day on average and is
+//               repaired after `repairHours` on average (both exponential)
+//
+// Random faults draw from a generator per unit, seeded from the run seed
+// and the unit's name, so one rotor's faults don't depend on how many
+// other rotors there are and the wind sequence is untouched.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.faults = factory(root.SwarmSim.random);
+    }
+}(typeof self !== 'undefined' ? self : this, function (random) {
+    'use strict';
+
+    const FAULT_TYPES = {
+        'stuck-yaw': { name: 'Stuck yaw drive', label: 'yaw' },
+        'stuck-tilt': { name: 'Stuck tilt drive', label: 'tilt' },
+        outage: { name: 'Total outage', label: 'out' },
+        'degraded-blades': { name: 'Degraded blades (reduced Cp)', label: 'Cp' },
+        'sensor-failure': { name: 'Failed wind sensor', label: 'sensor' }
+    };
+
+    const DEFAULT_DEGRADED_CP = 0.7; // Fraction of Cp left on degraded blades
+    const DAY_SECONDS = 86400;
+
+    function listFaultTypes() {
+        return Object.keys(FAULT_TYPES).map(id => Object.assign({ id }, FAULT_TYPES[id]));
+    }
+
+    function checkFaultType(type) {
+        if (!Object.prototype.hasOwnProperty.call(FAULT_TYPES, type)) {
+            throw new Error(`Unknown fault "${type}" (available: ${Object.keys(FAULT_TYPES).join(', ')})`);
+        }
+    }
+
+    // Validates the fault settings of a configuration
+    function checkFaults(config) {
+        if (!Array.isArray(config.faults)) {
+            throw new Error('Scheduled faults must be a list');
+        }
+        config.faults.forEach((fault) => {
+            checkFaultType(fault.type);
+            if (fault.target !== 'swarm' && fault.target !== 'baseline') {
+                throw new Error('A fault targets the "swarm" or the "baseline"');
+            }
+            if (!(Number.isInteger(fault.turbine) && fault.turbine >= 0)) {
+                throw new Error('A fault needs the index of the turbine it hits');
+            }
+            if (!(fault.at >= 0)) {
+                throw new Error('A fault needs a start time of 0 s or later');
+            }
+            if (fault.duration !== null && fault.duration !== undefined && !(fault.duration > 0)) {
+                throw new Error('A fault duration must be positive (or null for permanent)');
+            }
+            if (fault.severity !== undefined && !(fault.severity >= 0 && fault.severity <= 1)) {
+                throw new Error('Degraded blades keep between 0 and 1 of their Cp');
+            }
+        });
+        if (!(config.faultRate >= 0)) {
+            throw new Error('The random fault rate cannot be negative');
+        }
+        if (!(config.faultRepairHours > 0)) {
+            throw new Error('The mean repair time must be positive');
+        }
+        config.faultTypes.forEach(checkFaultType);
+    }
+
+    // The scheduled faults that hit a rotor `rotors` ({ swarm, baseline }
+    // counts) has; a baseline fault needs the largest chosen baseline to have it
+    function faultsOnRotors(faultList, rotors) {
+        return faultList.filter(fault => fault.turbine < rotors[fault.target]);
+    }
+
+    // Throws for a scheduled fault on a rotor the run doesn't have, which
+    // would otherwise never fire
+    function checkFaultTargets(faultList, rotors) {
+        faultList.forEach((fault) => {
+            if (!(fault.turbine < rotors[fault.target])) {
+                const [rotor, owner] = fault.target === 'swarm' ? ['swarm turbine', 'the layout'] : ['baseline rotor', 'the largest baseline'];
+                throw new Error(`A fault is scheduled on ${rotor} ${fault.turbine + 1}, but ${owner} has ${rotors[fault.target]}`);
+            }
+        });
+    }
+
+    // FNV-1a, to give every unit its own reproducible generator
+    function hashKey(key) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < key.length; i++) {
+            hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    function exponential(rng, mean) {
+        return -Math.log(1 - rng()) * mean;
+    }
+
+    function createFault(spec) {
+        const duration = spec.duration === null || spec.duration === undefined ? Infinity : spec.duration;
+        return {
+            type: spec.type,
+            start: spec.at,
+            end: spec.at + duration,
+            severity: spec.type === 'degraded-blades' ?
+                (spec.severity === undefined ? DEFAULT_DEGRADED_CP : spec.severity) : 1,
+            random: Boolean(spec.random),
+            reading: null // Frozen wind reading of a failed sensor
+        };
+    }
+
+    // `units` lists { key, target: 'swarm' | 'baseline', turbine } for every rotor
+    function createFaultState(config, units) {
+        const randomTypes = config.faultRate > 0 ? config.faultTypes : [];
+        const state = { units: {} };
+
+        units.forEach((unit) => {
+            const pending = config.faults
+                .filter(f => f.target === unit.target && f.turbine === unit.turbine)
+                .map(createFault);
+            const entry = {
+                pending,
+                active: [],
+                started: 0,
+                rng: null,
+                nextRandom: Infinity
+            };
+            if (randomTypes.length > 0) {
+                entry.rng = random.createRandom(random.normalizeSeed(config.seed ^ hashKey(unit.key)));
+                entry.nextRandom = exponential(entry.rng, DAY_SECONDS / config.faultRate);
+            }
+            state.units[unit.key] = entry;
+        });
+
+        state.randomTypes = randomTypes;
+        state.rate = config.faultRate;
+        state.repairSeconds = config.faultRepairHours * 3600;
+        return state;
+    }
+
+    // Starts and repairs faults up to `seconds` of simulated time
+    function updateFaults(state, seconds) {
+        Object.keys(state.units).forEach((key) => {
+            const unit = state.units[key];
+
+            // Random failures: the next one is drawn once the last is repaired
+            while (unit.nextRandom <= seconds) {
+                const type = state.randomTypes[Math.floor(unit.rng() * state.randomTypes.length)];
+                const fault = createFault({
+                    type,
+                    at: unit.nextRandom,
+                    duration: exponential(unit.rng, state.repairSeconds),
+                    severity: 0.5 + 0.4 * unit.rng(),
+                    random: true
+                });
+                unit.pending.push(fault);
+                unit.nextRandom = fault.end + exponential(unit.rng, DAY_SECONDS / state.rate);
+            }
+
+            unit.pending = unit.pending.filter((fault) => {
+                if (fault.start > seconds) return true;
+                if (fault.end > seconds) {
+                    unit.active.push(fault);
+                    unit.started++;
+                }
+                return false;
+            });
+            unit.active = unit.active.filter(fault => fault.end > seconds);
+        });
+    }
+
+    const NO_FAULTS = {
+        types: [],
+        outage: false,
+        stuckYaw: false,
+        stuckTilt: false,
+        powerFactor: 1,
+        sensor: null,
+        started: 0
+    };
+
+    // What a unit's active faults do this step
+    function faultEffects(state, key) {
+        const unit = state.units[key];
+        if (!unit) return NO_FAULTS;
+        if (unit.active.length === 0) {
+            return unit.started === 0 ? NO_FAULTS : Object.assign({}, NO_FAULTS, { started: unit.started });
+        }
+
+        const effects = Object.assign({}, NO_FAULTS, { types: [], started: unit.started });
+        unit.active.forEach((fault) => {
+            if (effects.types.indexOf(fault.type) === -1) effects.types.push(fault.type);
+            if (fault.type === 'outage') effects.outage = true;
+            if (fault.type === 'stuck-yaw') effects.stuckYaw = true;
+            if (fault.type === 'stuck-tilt') effects.stuckTilt = true;
+            if (fault.type === 'degraded-blades') effects.powerFactor *= fault.severity;
+            if (fault.type === 'sensor-failure' && !effects.sensor) effects.sensor = fault;
+        });
+        return effects;
+    }
+
+    // The wind a unit's sensor reports: a failed sensor sticks at the
+    // reading it had when it failed
+    function sensedWind(effects, wind) {
+        if (!effects.sensor) return wind;
+        if (!effects.sensor.reading) {
+            effects.sensor.reading = Object.assign({}, wind);
+        }
+        return effects.sensor.reading;
+    }
+
+    return {
+        FAULT_TYPES,
+        DEFAULT_DEGRADED_CP,
+        listFaultTypes,
+        checkFaults,
+        faultsOnRotors,
+        checkFaultTargets,
+        createFaultState,
+        updateFaults,
+        faultEffects,
+        sensedWind
+    };
+}));
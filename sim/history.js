@@ -0,0 +1,162 @@
+// ===========================
+// RUN HISTORY (TIME SERIES)
+// ===========================
+// Every step of a run as plain number columns keyed by series name, cheap
+// to append to for days of simulated time and to window for charts:
+//
+//   seconds, swarm (kW), efficiency (%), windSpeed, windVertical (m/s),
+//   windAngle (deg), turbine:<i> (kW), baseline:<id> (kW),
+//   rotorWindSpeed, estimatedWindSpeed (m/s, true and estimated, swarm mean),
+//   windAngleError (deg, swarm mean |estimated - true|),
+//   load (kW, building demand), grid (kW drawn by the swarm's building,
+//   negative when exporting), soc (%, swarm battery), grid:<id>, soc:<id>
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.history = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // `turbineCount` and `baselineIds` fix the columns for the whole run
+    function createHistory(turbineCount, baselineIds) {
+        const series = {
+            seconds: [],
+            swarm: [],
+            efficiency: [],
+            windSpeed: [],
+            windVertical: [],
+            windAngle: [],
+            rotorWindSpeed: [],
+            estimatedWindSpeed: [],
+            windAngleError: [],
+            load: [],
+            grid: [],
+            soc: []
+        };
+        for (let i = 0; i < turbineCount; i++) {
+            series[`turbine:${i}`] = [];
+        }
+        baselineIds.forEach((id) => {
+            series[`baseline:${id}`] = [];
+            series[`grid:${id}`] = [];
+            series[`soc:${id}`] = [];
+        });
+
+        // Called once per step with the engine's live state
+        function append(state) {
+            series.seconds.push(state.seconds);
+            series.swarm.push(state.swarm.currentEnergy);
+            series.efficiency.push(state.swarm.totalEfficiency);
+            series.windSpeed.push(state.windSpeed);
+            series.windVertical.push(state.windVertical);
+            series.windAngle.push(state.windAngle);
+            const turbines = state.swarm.turbines;
+            series.rotorWindSpeed.push(
+                turbines.reduce((sum, t) => sum + t.localWind.speed * (1 - t.wakeDeficit), 0) / turbines.length);
+            series.estimatedWindSpeed.push(turbines.reduce((sum, t) => sum + t.estimatedWind.speed, 0) / turbines.length);
+            series.windAngleError.push(state.swarm.windEstimate.angleError);
+            state.swarm.turbines.forEach((t, i) => series[`turbine:${i}`].push(t.energy));
+            state.baselines.forEach(b => series[`baseline:${b.id}`].push(b.energy));
+
+            const siteSeries = (site, suffix) => {
+                series[`grid${suffix}`].push(site.gridImport - site.gridExport);
+                series[`soc${suffix}`].push(site.stateOfCharge * 100);
+            };
+            series.load.push(state.building.load);
+            siteSeries(state.building.swarm, '');
+            state.baselines.forEach(b => siteSeries(state.building.baselines[b.id], `:${b.id}`));
+        }
+
+        // Every series from sample `start` on (up to `end`), as plain
+        // arrays, to copy the history to another thread or history
+        function samplesFrom(start, end = series.seconds.length) {
+            const samples = {};
+            Object.keys(series).forEach((key) => {
+                samples[key] = series[key].slice(start, end);
+            });
+            return samples;
+        }
+
+        // Appends what samplesFrom() took from another history
+        function appendSamples(samples) {
+            Object.keys(series).forEach((key) => {
+                const values = samples[key];
+                for (let i = 0; i < values.length; i++) {
+                    series[key].push(values[i]);
+                }
+            });
+        }
+
+        // Index of the sample closest to `seconds` (-1 while empty)
+        function indexAt(seconds) {
+            const times = series.seconds;
+            if (times.length === 0) return -1;
+            let low = 0;
+            let high = times.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (times[mid] < seconds) low = mid + 1;
+                else high = mid;
+            }
+            return low > 0 && seconds - times[low - 1] < times[low] - seconds ? low - 1 : low;
+        }
+
+        // Points of one series between two times, reduced to at most about
+        // 2 × `buckets` by keeping each bucket's lowest and highest sample
+        // (in time order), so spikes survive however far the chart zooms out.
+        // Returns { seconds: [], values: [] } including one sample either
+        // side of the window so lines run to the edges.
+        function downsample(key, fromSeconds, toSeconds, buckets) {
+            const times = series.seconds;
+            const values = series[key];
+            const result = { seconds: [], values: [] };
+            if (!values || times.length === 0) return result;
+
+            const first = Math.max(0, indexAt(fromSeconds) - 1);
+            const last = Math.min(times.length - 1, indexAt(toSeconds) + 1);
+            const push = (i) => {
+                result.seconds.push(times[i]);
+                result.values.push(values[i]);
+            };
+
+            if (last - first + 1 <= buckets * 2) {
+                for (let i = first; i <= last; i++) push(i);
+                return result;
+            }
+
+            // The end samples are always kept; the buckets cover those between
+            push(first);
+            const size = (last - first - 1) / buckets;
+            for (let b = 0; b < buckets; b++) {
+                const start = first + 1 + Math.floor(b * size);
+                const end = Math.min(last, first + 1 + Math.floor((b + 1) * size));
+                if (start >= end) continue;
+                let low = start;
+                let high = start;
+                for (let i = start + 1; i < end; i++) {
+                    if (values[i] < values[low]) low = i;
+                    if (values[i] > values[high]) high = i;
+                }
+                push(Math.min(low, high));
+                if (high !== low) push(Math.max(low, high));
+            }
+            push(last);
+            return result;
+        }
+
+        return {
+            series,
+            get length() { return series.seconds.length; },
+            append,
+            samplesFrom,
+            appendSamples,
+            indexAt,
+            downsample
+        };
+    }
+
+    return { createHistory };
+}));
@@ -0,0 +1,194 @@
+// ===========================
+// SWARM LAYOUTS
+// ===========================
+// Turbine positions in layout units: 1 unit is the centre distance between
+// neighbouring turbines (config.spacing converts it to rotor diameters).
+//
+//   { type: 'honeycomb' }                  6 turbines around a hexagon
+//   { type: 'hex', rings: 1..3 }           7, 19 or 37 turbines incl. centre
+//   { type: 'grid', rows, cols }           rectangular array
+//   { type: 'custom', positions: [{x,y}] } anything else
+//
+// createLayout() throws for any other type or for counts that are not
+// whole numbers, rather than guessing what was meant.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.layout = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SQRT3_2 = Math.sqrt(3) / 2;
+    const MAX_TURBINES = 400;
+    const MAX_HEX_RINGS = 3;
+    const LAYOUT_TYPES = ['honeycomb', 'hex', 'grid', 'custom'];
+
+    // Honeycomb: 6 turbines around a hexagon
+    const HONEYCOMB_POSITIONS = [
+        { x: 0, y: -1 },     // Top
+        { x: 0.866, y: -0.5 }, // Top-right
+        { x: 0.866, y: 0.5 },  // Bottom-right
+        { x: 0, y: 1 },      // Bottom
+        { x: -0.866, y: 0.5 }, // Bottom-left
+        { x: -0.866, y: -0.5 } // Top-left
+    ];
+
+    // Centre plus `rings` hexagonal rings (axial coordinates), ordered ring
+    // by ring and clockwise from the top within each ring
+    function hexPositions(rings) {
+        const positions = [];
+        for (let q = -rings; q <= rings; q++) {
+            for (let r = -rings; r <= rings; r++) {
+                const ring = Math.max(Math.abs(q), Math.abs(r), Math.abs(q + r));
+                if (ring > rings) continue;
+                const x = SQRT3_2 * q;
+                const y = r + q / 2;
+                positions.push({ x, y, ring, bearing: (Math.atan2(x, -y) + 2 * Math.PI) % (2 * Math.PI) });
+            }
+        }
+        return positions
+            .sort((a, b) => a.ring - b.ring || a.bearing - b.bearing)
+            .map(p => ({ x: Math.abs(p.x) < 1e-9 ? 0 : p.x, y: Math.abs(p.y) < 1e-9 ? 0 : p.y }));
+    }
+
+    function gridPositions(rows, cols) {
+        const positions = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                positions.push({ x: col - (cols - 1) / 2, y: row - (rows - 1) / 2 });
+            }
+        }
+        return positions;
+    }
+
+    function checkCount(value, name) {
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`${name} must be a whole number of at least 1 (got ${value})`);
+        }
+    }
+
+    function checkLayout(layout) {
+        if (!layout || typeof layout !== 'object' || !LAYOUT_TYPES.includes(layout.type)) {
+            throw new Error(`Unknown layout type: ${layout && layout.type}`);
+        }
+        if (layout.type === 'hex') {
+            checkCount(layout.rings, 'Hex rings');
+            if (layout.rings > MAX_HEX_RINGS) {
+                throw new Error(`Hex arrays have at most ${MAX_HEX_RINGS} rings (got ${layout.rings})`);
+            }
+        }
+        if (layout.type === 'grid') {
+            checkCount(layout.rows, 'Grid rows');
+            checkCount(layout.cols, 'Grid columns');
+        }
+    }
+
+    // Turbines a layout would have, counted before any are built so a huge
+    // one is refused without exhausting memory
+    function countTurbines(layout) {
+        switch (layout.type) {
+            case 'hex':
+                return 1 + 3 * layout.rings * (layout.rings + 1);
+            case 'grid':
+                return layout.rows * layout.cols;
+            case 'custom':
+                return Array.isArray(layout.positions) ? layout.positions.length : 0;
+            default:
+                return HONEYCOMB_POSITIONS.length;
+        }
+    }
+
+    function createLayout(layout = { type: 'honeycomb' }) {
+        checkLayout(layout);
+        const count = countTurbines(layout);
+        if (count > MAX_TURBINES) {
+            throw new Error(`Layouts are limited to ${MAX_TURBINES} turbines (got ${count})`);
+        }
+
+        let positions;
+
+        switch (layout.type) {
+            case 'hex':
+                positions = hexPositions(layout.rings);
+                break;
+
+            case 'grid':
+                positions = gridPositions(layout.rows, layout.cols);
+                break;
+
+            case 'custom':
+                if (!Array.isArray(layout.positions) || layout.positions.length === 0) {
+                    throw new Error('A custom layout needs at least one position');
+                }
+                positions = layout.positions.map(p => ({ x: Number(p.x), y: Number(p.y) }));
+                if (positions.some(p => !Number.isFinite(p.x) || !Number.isFinite(p.y))) {
+                    throw new Error('Custom layout positions must have numeric x and y');
+                }
+                break;
+
+            case 'honeycomb':
+                positions = HONEYCOMB_POSITIONS.map(p => Object.assign({}, p));
+                break;
+        }
+        return positions;
+    }
+
+    // "x, y" per line; blank lines and # comments are skipped
+    function parseCustomPositions(text) {
+        const positions = [];
+        const issues = [];
+
+        String(text).split(/\r?\n/).forEach((content, i) => {
+            const line = content.replace(/#.*/, '').trim();
+            if (line === '') return;
+
+            const parts = line.split(/[\s,;]+/).map(Number);
+            if (parts.length !== 2 || parts.some(v => !Number.isFinite(v))) {
+                issues.push(`Line ${i + 1}: expected "x, y" but got "${content.trim()}"`);
+                return;
+            }
+            positions.push({ x: parts[0], y: parts[1] });
+        });
+
+        if (issues.length > 0) {
+            throw new Error(issues.join('\n'));
+        }
+        if (positions.length === 0) {
+            throw new Error('Enter at least one "x, y" position');
+        }
+        return positions;
+    }
+
+    // Size of a layout, for auto-fitting renderers
+    function measureLayout(positions) {
+        let extent = 0;
+        let minSpacing = Infinity;
+
+        positions.forEach((a, i) => {
+            extent = Math.max(extent, Math.abs(a.x), Math.abs(a.y));
+            for (let j = i + 1; j < positions.length; j++) {
+                const b = positions[j];
+                minSpacing = Math.min(minSpacing, Math.hypot(a.x - b.x, a.y - b.y));
+            }
+        });
+
+        return {
+            extent,
+            minSpacing: Number.isFinite(minSpacing) && minSpacing > 0 ? minSpacing : 1
+        };
+    }
+
+    function describeLayout(layout = { type: 'honeycomb' }) {
+        switch (layout.type) {
+            case 'hex': return `${layout.rings}-ring hex`;
+            case 'grid': return `${layout.rows}×${layout.cols} grid`;
+            case 'custom': return 'custom';
+            default: return 'honeycomb';
+        }
+    }
+
+    return { LAYOUT_TYPES, MAX_TURBINES, MAX_HEX_RINGS, createLayout, parseCustomPositions, measureLayout, describeLayout };
+}));
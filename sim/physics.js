@@ -0,0 +1,58 @@
+// ===========================
+// ENERGY CALCULATION
+// ===========================
+// Pure turbine physics shared by the simulation engine and the page.
+// Loads as a plain <script> (exposes SwarmSim.physics) or via require().
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./turbines'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.physics = factory(root.SwarmSim.turbines);
+    }
+}(typeof self !== 'undefined' ? self : this, function (turbines) {
+    'use strict';
+
+    const DEFAULT_TURBINE = turbines.resolveTurbine('rooftop-6kw');
+
+    // `turbine` is a model from turbines.resolveTurbine(); energy is in kW
+    function calculateEnergy(turbineAngle, turbineTilt, windAngle, windSpeed, windVertical,
+        turbine = DEFAULT_TURBINE, airDensity = turbines.STANDARD_AIR_DENSITY) {
+        // Calculate horizontal angle difference
+        let angleDiff = Math.abs(windAngle - turbineAngle);
+
+        // Normalize to 0-180
+        if (angleDiff > 180) {
+            angleDiff = 360 - angleDiff;
+        }
+
+        // Horizontal alignment factor
+        const horizontalAlignment = Math.cos(angleDiff * Math.PI / 180);
+
+        // Vertical alignment factor (tilt vs vertical wind)
+        // Positive tilt = angled up, positive windVertical = updraft
+        const optimalTilt = Math.atan2(windVertical, windSpeed) * 180 / Math.PI;
+        const tiltDiff = Math.abs(turbineTilt - optimalTilt);
+        const verticalAlignment = Math.cos(tiltDiff * Math.PI / 180);
+
+        // Combined alignment
+        const totalAlignment = Math.max(0, horizontalAlignment * 0.7 + verticalAlignment * 0.3);
+
+        // Effective wind speed considering vertical component
+        const effectiveWind = Math.sqrt(windSpeed * windSpeed + windVertical * windVertical);
+
+        // Power curve: P = 0.5 * ρ * A * v^3 * Cp, limited by cut-in, rated
+        // power and cut-out; misalignment reduces the power the rotor faces
+        const output = turbines.turbinePower(turbine, effectiveWind, airDensity, totalAlignment);
+
+        return {
+            energy: output.power,
+            efficiency: totalAlignment * 100,
+            optimalTilt: optimalTilt,
+            powerCoefficient: output.powerCoefficient,
+            rotorSpeed: output.rotorSpeed
+        };
+    }
+
+    return { calculateEnergy };
+}));
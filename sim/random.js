@@ -0,0 +1,43 @@
+// ===========================
+// SEEDED RANDOM NUMBERS
+// ===========================
+// Everything stochastic in the simulation draws from one of these
+// generators, so a run is fully determined by its seed and settings.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.random = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Seeds are unsigned 32-bit integers
+    function normalizeSeed(seed) {
+        const value = Math.floor(Number(seed));
+        return Number.isFinite(value) ? value >>> 0 : 0;
+    }
+
+    function randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Mulberry32: small, fast and good enough for wind turbulence.
+    // Returns a function producing floats in [0, 1), like Math.random;
+    // its fork() is a second generator that continues the same sequence.
+    function createRandom(seed) {
+        let a = normalizeSeed(seed);
+        function random() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+        random.fork = () => createRandom(a);
+        return random;
+    }
+
+    return { createRandom, normalizeSeed, randomSeed };
+}));
@@ -0,0 +1,232 @@
+// ===========================
+// RUN RECORDING & EXPORT
+// ===========================
+// Records every simulation step (unlike the trimmed energyHistory) and
+// formats a run as self-describing CSV or JSON. A recording keeps to about
+// config.recordMegabytes: past that the oldest steps are dropped, and the
+// export says how many.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ring'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.recorder = factory(root.SwarmSim.ring);
+    }
+}(typeof self !== 'undefined' ? self : this, function (ring) {
+    'use strict';
+
+    // v2: one entry per baseline in `baselines`; v3: `seconds` clock; v4: faults;
+    // v5: each turbine's estimated wind; v6: building load, grid and battery;
+    // v7: droppedSteps
+    const FORMAT_VERSION = 7;
+
+    // Steps that fit in `megabytes`, going by the JSON size of one of them
+    function stepsWithin(megabytes, frame) {
+        return Math.max(1, Math.floor(megabytes * 1e6 / JSON.stringify(frame).length));
+    }
+
+    // `config` is the configuration the run starts with
+    function createRecorder(config) {
+        const startConfig = Object.assign({}, config);
+        let frames = null; // Ring of steps, sized from the first one
+        const settingChanges = [];
+
+        // Called once per step with the engine's live state
+        function record(state) {
+            const frame = {
+                time: state.time,
+                seconds: state.seconds,
+                windAngle: state.windAngle,
+                windSpeed: state.windSpeed,
+                windVertical: state.windVertical,
+                synergyBonus: state.swarm.synergyBonus,
+                load: state.building.load,
+                swarm: {
+                    energy: state.swarm.currentEnergy,
+                    grossPower: state.swarm.grossPower,
+                    actuationPower: state.swarm.actuationPower,
+                    actuationEnergy: state.swarm.actuationEnergy,
+                    efficiency: state.swarm.totalEfficiency,
+                    totalEnergy: state.swarm.totalEnergy,
+                    faultLoss: state.swarm.faultStats.lostEnergy,
+                    gridImport: state.building.swarm.gridImport,
+                    gridExport: state.building.swarm.gridExport,
+                    batteryCharge: state.building.swarm.charge,
+                    turbines: state.swarm.turbines.map(t => ({
+                        angle: t.angle,
+                        tilt: t.tilt,
+                        energy: t.energy,
+                        efficiency: t.efficiency,
+                        faults: t.faults.slice(),
+                        estimatedWindAngle: t.estimatedWind.angle,
+                        estimatedWindSpeed: t.estimatedWind.speed
+                    }))
+                },
+                baselines: state.baselines.map(b => ({
+                    id: b.id,
+                    angle: b.angle,
+                    tilt: b.tilt,
+                    energy: b.energy,
+                    efficiency: b.efficiency,
+                    totalEnergy: b.totalEnergy,
+                    faultLoss: b.faultStats.lostEnergy,
+                    gridImport: state.building.baselines[b.id].gridImport,
+                    gridExport: state.building.baselines[b.id].gridExport,
+                    batteryCharge: state.building.baselines[b.id].charge,
+                    faults: [].concat(...b.turbines.map(t => t.faults))
+                }))
+            };
+            if (!frames) {
+                frames = ring.createRing(stepsWithin(config.recordMegabytes, frame));
+            }
+            frames.push(frame);
+        }
+
+        // Settings changed mid-run are logged so the export stays truthful;
+        // changes before the first step still count as the starting config
+        function recordSettingChange(time, changes) {
+            if (time === 0) {
+                Object.assign(startConfig, changes);
+            } else {
+                settingChanges.push({ time, changes: Object.assign({}, changes) });
+            }
+        }
+
+        // Forgets the steps after `time` and the changes made from `time` on,
+        // when the engine branches the run there
+        function cutTo(time) {
+            if (frames && frames.length > 0) {
+                frames.truncate(time - frames.get(0).time + 1);
+            }
+            for (let i = settingChanges.length - 1; i >= 0 && settingChanges[i].time >= time; i--) {
+                settingChanges.pop();
+            }
+        }
+
+        return {
+            startConfig,
+            settingChanges,
+            get frames() { return frames ? frames.toArray() : []; },
+            get droppedSteps() { return frames ? frames.dropped : 0; },
+            record,
+            recordSettingChange,
+            cutTo
+        };
+    }
+
+    // Run configuration for export headers; bulky data is summarised
+    function describeConfig(config) {
+        const described = {};
+        Object.keys(config).forEach((key) => {
+            const value = config[key];
+            if (key === 'recordedWind') {
+                described[key] = value ? {
+                    name: value.name || null,
+                    rows: value.samples.length,
+                    durationSeconds: value.duration
+                } : null;
+            } else if (key === 'loadData') {
+                described[key] = value ? {
+                    name: value.name || null,
+                    rows: value.samples.length,
+                    periodHours: value.period
+                } : null;
+            } else {
+                described[key] = value;
+            }
+        });
+        return described;
+    }
+
+    // `droppedSteps` counts the steps before `frames` that no longer fit
+    function buildRecording(recorder) {
+        const frames = recorder.frames;
+        return {
+            format: 'swarm-turbine-run',
+            version: FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            config: describeConfig(recorder.startConfig),
+            settingChanges: recorder.settingChanges.map(c => ({
+                time: c.time,
+                changes: describeConfig(c.changes)
+            })),
+            steps: frames.length,
+            droppedSteps: recorder.droppedSteps,
+            frames
+        };
+    }
+
+    function recordingToJson(recording) {
+        return JSON.stringify(recording, null, 2);
+    }
+
+    function formatCell(value) {
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+        }
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function headerValue(value) {
+        return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+    }
+
+    // CSV with a `#`-prefixed header block describing the run
+    function recordingToCsv(recording) {
+        const lines = [
+            `# format: ${recording.format} v${recording.version}`,
+            `# exportedAt: ${recording.exportedAt}`,
+            `# steps: ${recording.steps}`,
+            `# droppedSteps: ${recording.droppedSteps}`
+        ];
+        Object.keys(recording.config).forEach((key) => {
+            lines.push(`# config.${key}: ${headerValue(recording.config[key])}`);
+        });
+        recording.settingChanges.forEach((change) => {
+            lines.push(`# changed at t=${change.time}: ${headerValue(change.changes)}`);
+        });
+
+        const first = recording.frames[0];
+        const turbineCount = first ? first.swarm.turbines.length : 0;
+        const baselineIds = first ? first.baselines.map(b => `baseline_${b.id.replace(/-/g, '_')}`) : [];
+        const columns = [
+            'time', 'seconds', 'wind_angle', 'wind_speed', 'wind_vertical', 'synergy_bonus',
+            'swarm_power_kw', 'swarm_gross_kw', 'swarm_actuation_kw', 'swarm_efficiency',
+            'swarm_total_kwh', 'swarm_actuation_kwh', 'swarm_fault_loss_kwh', 'load_kw',
+            'swarm_grid_import_kw', 'swarm_grid_export_kw', 'swarm_battery_kwh'
+        ];
+        for (let i = 0; i < turbineCount; i++) {
+            columns.push(`t${i}_angle`, `t${i}_tilt`, `t${i}_power_kw`, `t${i}_efficiency`, `t${i}_faults`,
+                `t${i}_est_wind_angle`, `t${i}_est_wind_speed`);
+        }
+        baselineIds.forEach((id) => {
+            columns.push(`${id}_angle`, `${id}_tilt`, `${id}_power_kw`, `${id}_efficiency`, `${id}_total_kwh`,
+                `${id}_fault_loss_kwh`, `${id}_faults`, `${id}_grid_import_kw`, `${id}_grid_export_kw`, `${id}_battery_kwh`);
+        });
+        lines.push(columns.join(','));
+
+        recording.frames.forEach((frame) => {
+            const row = [
+                frame.time, frame.seconds, frame.windAngle, frame.windSpeed, frame.windVertical, frame.synergyBonus,
+                frame.swarm.energy, frame.swarm.grossPower, frame.swarm.actuationPower, frame.swarm.efficiency,
+                frame.swarm.totalEnergy, frame.swarm.actuationEnergy, frame.swarm.faultLoss, frame.load,
+                frame.swarm.gridImport, frame.swarm.gridExport, frame.swarm.batteryCharge
+            ];
+            // Active faults as a `+`-separated list of types
+            frame.swarm.turbines.forEach((t) => {
+                row.push(t.angle, t.tilt, t.energy, t.efficiency, t.faults.join('+'),
+                    t.estimatedWindAngle, t.estimatedWindSpeed);
+            });
+            frame.baselines.forEach((b) => {
+                row.push(b.angle, b.tilt, b.energy, b.efficiency, b.totalEnergy, b.faultLoss, b.faults.join('+'),
+                    b.gridImport, b.gridExport, b.batteryCharge);
+            });
+            lines.push(row.map(formatCell).join(','));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    return { createRecorder, buildRecording, recordingToCsv, recordingToJson };
+}));
@@ -0,0 +1,281 @@
+// ===========================
+// SIMULATION CLIENT
+// ===========================
+// The page's handle on a runner (runner.js) in a Web Worker, with the
+// engine's interface so the page barely notices the difference:
+//
+//   - settings are checked here, so bad ones still throw straight away
+//   - reads (getSnapshot, getClock, getConfig, getHistory, getTimeline)
+//     answer from the latest update and never wait
+//   - reset(), branchFrom() and getRecording() return promises that settle
+//     once the runner has done them
+//   - runBatch() runs a Monte Carlo batch in the runner, off the page's
+//     thread, and settles with its result once it finishes or is stopped
+//   - timeline frames arrive on request: frameAt() returns null until then
+//
+// `onUpdate(message)` is called for every update and every frame that
+// arrives; `onError(message)` for runner errors nothing was waiting for,
+// including a failed step, which stops the clock (`stopped` is set).
+// Where a worker can't start (a page opened from file://, say) the runner
+// runs on the page instead, with the same messages.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'), require('./history'), require('./runner'), require('./random'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.remote = factory(root.SwarmSim.simulation, root.SwarmSim.history, root.SwarmSim.runner, root.SwarmSim.random);
+    }
+}(typeof self !== 'undefined' ? self : this, function (simulation, runHistory, runner, random) {
+    'use strict';
+
+    const MAX_CACHED_FRAMES = 1000;
+
+    function createRemoteSimulation(options = {}, { workerUrl = null, onUpdate = () => {}, onError = () => {} } = {}) {
+        // A throwaway engine checks the settings and shows the start of the
+        // run until the runner's first update
+        const local = simulation.createSimulation(Object.assign({}, options,
+            { keepHistory: false, recordRun: false, keepTimeline: false }));
+        let config = Object.assign({}, simulation.DEFAULT_CONFIG, options, { seed: local.getConfig().seed });
+        let snapshot = local.getSnapshot();
+        let clock = local.getClock();
+        let history = config.keepHistory ?
+            runHistory.createHistory(snapshot.swarm.turbines.length, snapshot.baselines.map(b => b.id)) : null;
+
+        let nextId = 1;
+        let done = 0;             // Id of the last message the runner handled
+        const sentChanges = [];   // { id, changes } not yet handled, applied over the runner's config
+        const waiting = [];       // { id, resolve, reject, result, progress } of requests
+
+        // Timeline range from the runner, and the frames fetched so far
+        const timeline = {
+            epoch: 0,
+            first: 0,
+            last: 0,
+            length: 0,
+            frameAt
+        };
+        const frames = new Map(); // time -> frame, or null while requested
+
+        let worker = null;
+        let pageRunner = null;
+        let answered = false;     // The worker has sent something, so it started
+        const unanswered = [];    // Messages to send again if it didn't
+
+        function post(message) {
+            message.id = nextId++;
+            if (worker) {
+                if (!answered) unanswered.push(message);
+                worker.postMessage(message);
+            } else {
+                pageRunner.handle(message);
+            }
+            return message.id;
+        }
+
+        // Settles once the runner has handled `message` (or, with no
+        // `result`, when its reply arrives); `progress` hears partial replies
+        function request(message, result = () => undefined, progress = () => {}) {
+            return new Promise((resolve, reject) => {
+                waiting.push({ id: nextId, resolve, reject, result, progress });
+                post(message);
+            });
+        }
+
+        function receive(message) {
+            if (message.type === 'update') {
+                receiveUpdate(message);
+            } else if (message.type === 'frame') {
+                if (message.epoch !== timeline.epoch) return;
+                if (message.frame) {
+                    frames.set(message.time, message.frame);
+                    if (frames.size > MAX_CACHED_FRAMES) {
+                        frames.delete(frames.keys().next().value);
+                    }
+                } else {
+                    frames.delete(message.time);
+                }
+            } else if (message.type === 'recording') {
+                const entry = waiting.find(w => w.id === message.id);
+                if (entry) {
+                    waiting.splice(waiting.indexOf(entry), 1);
+                    entry.resolve(message.recording);
+                }
+                return;
+            } else if (message.type === 'batch') {
+                const entry = waiting.find(w => w.id === message.id);
+                if (entry && message.done) {
+                    waiting.splice(waiting.indexOf(entry), 1);
+                    entry.resolve(message.result);
+                } else if (entry) {
+                    entry.progress(message.result);
+                }
+                return;
+            } else if (message.type === 'error') {
+                const entry = waiting.find(w => w.id === message.id);
+                if (entry) {
+                    waiting.splice(waiting.indexOf(entry), 1);
+                    entry.reject(new Error(message.message));
+                } else {
+                    onError(message);
+                }
+                return;
+            }
+            onUpdate(message);
+        }
+
+        function receiveUpdate(update) {
+            done = update.done;
+            snapshot = update.snapshot;
+            clock = update.clock;
+            while (sentChanges.length > 0 && sentChanges[0].id <= done) {
+                sentChanges.shift();
+            }
+            if (update.config) {
+                // Changes still on their way apply on top, as they will there
+                config = sentChanges.reduce((merged, sent) => Object.assign(merged, sent.changes), update.config);
+                config.seed = random.normalizeSeed(config.seed);
+            }
+            if (update.history) {
+                if (update.history.reset || !history) {
+                    history = runHistory.createHistory(snapshot.swarm.turbines.length, snapshot.baselines.map(b => b.id));
+                }
+                history.appendSamples(update.history.samples);
+            }
+            if (update.timeline) {
+                if (update.timeline.epoch !== timeline.epoch) {
+                    frames.clear();
+                }
+                Object.assign(timeline, update.timeline);
+            }
+            for (let i = waiting.length - 1; i >= 0; i--) {
+                const entry = waiting[i];
+                if (entry.id <= done && entry.result) {
+                    waiting.splice(i, 1);
+                    entry.resolve(entry.result());
+                }
+            }
+        }
+
+        // The frame of step `time` once fetched; asks the runner for it the
+        // first time and returns null until it arrives
+        function frameAt(time) {
+            if (!(time >= timeline.first && time <= timeline.last) || timeline.length === 0) return null;
+            if (frames.has(time)) return frames.get(time);
+            frames.set(time, null);
+            post({ type: 'getFrame', epoch: timeline.epoch, time });
+            return null;
+        }
+
+        // ---------------------------
+        // Starting the runner
+        // ---------------------------
+        // Its messages still arrive after the current task, as a worker's would
+        function startOnPage() {
+            worker = null;
+            pageRunner = runner.createRunner(message => Promise.resolve().then(() => receive(message)));
+            unanswered.splice(0).forEach(message => pageRunner.handle(message));
+        }
+
+        function start() {
+            if (workerUrl && typeof Worker !== 'undefined') {
+                try {
+                    worker = new Worker(workerUrl);
+                } catch (error) {
+                    worker = null;
+                }
+            }
+            if (!worker) {
+                startOnPage();
+                return;
+            }
+            worker.addEventListener('message', (e) => {
+                answered = true;
+                unanswered.length = 0;
+                receive(e.data);
+            });
+            worker.addEventListener('error', (e) => {
+                if (answered) {
+                    onError({ message: e.message });
+                    return;
+                }
+                // The worker script never ran: carry on with the page's own thread
+                e.preventDefault();
+                worker.terminate();
+                startOnPage();
+            });
+        }
+
+        start();
+        post({ type: 'create', config: Object.assign({}, config) });
+
+        // ---------------------------
+        // Engine interface
+        // ---------------------------
+        function setConfig(changes) {
+            simulation.checkChanges(config, changes);
+            const id = post({ type: 'setConfig', changes });
+            if (done < id) {
+                sentChanges.push({ id, changes: Object.assign({}, changes) });
+            }
+            Object.assign(config, changes);
+            config.seed = random.normalizeSeed(config.seed);
+        }
+
+        function setTurbineOverride(index, override) {
+            if (!snapshot.swarm.turbines[index]) {
+                throw new Error(`No swarm turbine ${index} (the layout has ${snapshot.swarm.turbines.length})`);
+            }
+            post({ type: 'setTurbineOverride', index, override: simulation.checkTurbineOverride(override) });
+        }
+
+        function reset() {
+            return request({ type: 'reset' });
+        }
+
+        function branchFrom(time) {
+            if (!(Number.isInteger(time) && time >= 0 && time <= clock.time)) {
+                return Promise.reject(new Error(`The run has no step ${time} (it is at step ${clock.time})`));
+            }
+            return request({ type: 'branchFrom', time });
+        }
+
+        // `running`, `speed` (simulated seconds per second, or 'max') and
+        // `fastForwardTo` (simulated seconds, or null)
+        function setPlayback(playback) {
+            post(Object.assign({ type: 'playback' }, playback));
+        }
+
+        function getRecording() {
+            return request({ type: 'getRecording' }, null);
+        }
+
+        // `options` as for batch.createBatch(); `onProgress(result)` is called
+        // with the partial result as the runs come in
+        function runBatch(options, onProgress) {
+            return request({ type: 'startBatch', options }, null, onProgress);
+        }
+
+        function stopBatch() {
+            post({ type: 'stopBatch' });
+        }
+
+        return {
+            get inWorker() { return worker !== null; },
+            setConfig,
+            setTurbineOverride,
+            reset,
+            branchFrom,
+            setPlayback,
+            getRecording,
+            runBatch,
+            stopBatch,
+            getConfig: () => Object.assign({}, config),
+            getClock: () => Object.assign({}, clock),
+            getSnapshot: () => snapshot,
+            getHistory: () => history,
+            getTimeline: () => timeline
+        };
+    }
+
+    return { createRemoteSimulation };
+}));
@@ -0,0 +1,67 @@
+// ===========================
+// RING BUFFER
+// ===========================
+// A list of at most `capacity` items that drops its oldest to make room,
+// without shifting the rest: runs keep one entry per step, and the recording
+// and timeline would otherwise slow down once they reach their limits.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.ring = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    function createRing(capacity) {
+        const items = [];
+        let start = 0;   // Index in `items` of the oldest item
+        let length = 0;
+        let dropped = 0; // Items pushed out since the ring was created
+
+        function push(item) {
+            if (length < capacity) {
+                items[(start + length) % capacity] = item;
+                length++;
+            } else {
+                items[start] = item;
+                start = (start + 1) % capacity;
+                dropped++;
+            }
+        }
+
+        // Item `index` counting from the oldest, or undefined
+        function get(index) {
+            return index >= 0 && index < length ? items[(start + index) % capacity] : undefined;
+        }
+
+        // Keeps the oldest `count` items and forgets the newer ones
+        function truncate(count) {
+            for (let i = count; i < length; i++) {
+                items[(start + i) % capacity] = undefined;
+            }
+            length = Math.max(0, Math.min(length, count));
+        }
+
+        function toArray() {
+            const array = new Array(length);
+            for (let i = 0; i < length; i++) {
+                array[i] = items[(start + i) % capacity];
+            }
+            return array;
+        }
+
+        return {
+            capacity,
+            get length() { return length; },
+            get dropped() { return dropped; },
+            push,
+            get,
+            truncate,
+            toArray
+        };
+    }
+
+    return { createRing };
+}));
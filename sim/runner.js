@@ -0,0 +1,285 @@
+// ===========================
+// SIMULATION RUNNER
+// ===========================
+// Owns an engine and its clock, and reports to whatever renders it. It runs
+// in a Web Worker (worker.js), or on the page itself where workers aren't
+// available (see remote.js); the messages are the same either way:
+//
+//   in   create { config }, setConfig { changes }, setTurbineOverride
+//        { index, override }, reset, branchFrom { time },
+//        playback { running, speed, fastForwardTo }, getFrame { epoch, time },
+//        getRecording, startBatch { options }, stopBatch
+//   out  update (after every command and every tick that stepped),
+//        frame { epoch, time, frame }, recording { id, recording },
+//        batch { id, result, done }, error { id, message, stopped }
+//
+// Every incoming message carries an `id`; an update's `done` is the id of
+// the last message handled before it. Updates carry the snapshot, the
+// history samples added since the last update (all of them, with
+// `history.reset`, when the engine started a new history) and the
+// timeline's range; `epoch` changes whenever the timeline is replaced.
+//
+// The clock follows the wall clock times the playback speed ('max' steps
+// flat out), so simulated time keeps pace whatever the frame rate. A
+// fast-forward runs flat out to its target, then carries on as before.
+// A step that throws stops the clock and is reported as an error with
+// `stopped` set; stepping again would only fail the same way.
+//
+// Monte Carlo batches (batch.js) run here too, a slice at a time between
+// clock ticks, on the runner's current settings. The page hears a batch
+// message after every slice and a last one, `done`, when the batch
+// finishes or is stopped.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'), require('./batch'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.runner = factory(root.SwarmSim.simulation, root.SwarmSim.batch);
+    }
+}(typeof self !== 'undefined' ? self : this, function (simulation, batches) {
+    'use strict';
+
+    const CLOCK_INTERVAL_MS = 16;
+    const STEP_BUDGET_MS = 12; // Stepping time per tick before handling messages again
+    const BATCH_SLICE_MS = 30; // Batch runs per slice before handling messages again
+    const QUIET_MESSAGES = ['getFrame', 'getRecording', 'startBatch', 'stopBatch']; // Leave the engine as it was
+
+    // `post(message)` delivers to the page
+    function createRunner(post) {
+        let sim = null;
+        let done = null;           // Id of the last message handled
+        let configChanged = true;  // Send the config with the next update
+        let history = null;        // The engine history the page's copy follows
+        let historySent = 0;       // Samples of it already sent
+        let timeline = null;
+        let epoch = 0;
+
+        const playback = { running: false, speed: '1000', fastForwardTo: null };
+        let timer = null;          // Pending setTimeout of the clock
+        let lastTick = 0;          // performance.now() of the previous tick
+        let pendingSeconds = 0;    // Simulated time owed to the playback speed
+        let batchRun = null;       // { id, batch, timer } of the batch in progress
+
+        function handle(message) {
+            try {
+                handleMessage(message);
+            } catch (error) {
+                post({ type: 'error', id: message.id, message: error.message });
+            }
+            done = message.id;
+            if (sim && QUIET_MESSAGES.indexOf(message.type) === -1) {
+                publish({});
+            }
+        }
+
+        function handleMessage(message) {
+            switch (message.type) {
+                case 'create':
+                    sim = simulation.createSimulation(message.config);
+                    configChanged = true;
+                    break;
+                case 'setConfig':
+                    sim.setConfig(message.changes);
+                    configChanged = true;
+                    if ('timestep' in message.changes) {
+                        pendingSeconds = 0;
+                    }
+                    break;
+                case 'setTurbineOverride':
+                    sim.setTurbineOverride(message.index, message.override);
+                    break;
+                case 'reset':
+                    sim.reset();
+                    break;
+                case 'branchFrom':
+                    sim.branchFrom(message.time);
+                    configChanged = true;
+                    break;
+                case 'playback':
+                    if (message.speed !== playback.speed) {
+                        pendingSeconds = 0;
+                    }
+                    Object.assign(playback, {
+                        running: message.running,
+                        speed: message.speed,
+                        fastForwardTo: message.fastForwardTo
+                    });
+                    updateClock();
+                    break;
+                case 'getFrame':
+                    post({
+                        type: 'frame',
+                        epoch: message.epoch,
+                        time: message.time,
+                        frame: message.epoch === epoch ? sim.getTimeline().frameAt(message.time) : null
+                    });
+                    break;
+                case 'getRecording':
+                    post({ type: 'recording', id: message.id, recording: sim.getRecording() });
+                    break;
+                case 'startBatch':
+                    startBatch(message);
+                    break;
+                case 'stopBatch':
+                    stopBatch();
+                    break;
+                default:
+                    throw new Error(`Unknown message "${message.type}"`);
+            }
+        }
+
+        // `events`: { finished } when a run just ended, { fastForwardDone }
+        // (its target) when a fast-forward arrived
+        function publish(events) {
+            const snapshot = sim.getSnapshot();
+            const update = Object.assign({
+                type: 'update',
+                done,
+                snapshot,
+                clock: sim.getClock(),
+                config: configChanged ? sim.getConfig() : null,
+                history: null,
+                timeline: null,
+                playback: Object.assign({}, playback)
+            }, events);
+            configChanged = false;
+
+            const current = sim.getHistory();
+            if (current) {
+                const reset = current !== history;
+                if (reset) {
+                    history = current;
+                    historySent = 0;
+                }
+                update.history = { reset, samples: current.samplesFrom(historySent) };
+                historySent = current.length;
+            }
+            const currentTimeline = sim.getTimeline();
+            if (currentTimeline !== timeline) {
+                timeline = currentTimeline;
+                epoch++;
+            }
+            if (timeline) {
+                update.timeline = { epoch, first: timeline.first, last: timeline.last, length: timeline.length };
+            }
+            post(update);
+        }
+
+        // ---------------------------
+        // Clock
+        // ---------------------------
+        function updateClock() {
+            const active = playback.running || playback.fastForwardTo !== null;
+            if (active && timer === null) {
+                lastTick = performance.now();
+                timer = setTimeout(tick, CLOCK_INTERVAL_MS);
+            } else if (!active && timer !== null) {
+                clearTimeout(timer);
+                timer = null;
+                pendingSeconds = 0;
+            }
+        }
+
+        function tick() {
+            timer = null;
+            try {
+                advance();
+            } catch (error) {
+                playback.running = false;
+                playback.fastForwardTo = null;
+                pendingSeconds = 0;
+                post({ type: 'error', id: null, message: error.message, stopped: true });
+            }
+            updateClock();
+        }
+
+        // Steps as far as the playback asks, within the budget
+        function advance() {
+            const now = performance.now();
+            const elapsed = (now - lastTick) / 1000;
+            const deadline = now + STEP_BUDGET_MS;
+            const timestep = sim.getConfig().timestep;
+            const startTime = sim.getClock().time;
+            const events = {};
+            lastTick = now;
+
+            if (playback.fastForwardTo !== null) {
+                while (performance.now() < deadline) {
+                    const clock = sim.getClock();
+                    if (clock.finished || clock.seconds >= playback.fastForwardTo) {
+                        events.fastForwardDone = playback.fastForwardTo;
+                        playback.fastForwardTo = null;
+                        lastTick = performance.now(); // Don't bill the fast-forward to playback
+                        break;
+                    }
+                    sim.step();
+                }
+            } else if (playback.speed === 'max') {
+                while (performance.now() < deadline && !sim.getClock().finished) {
+                    sim.step();
+                }
+            } else {
+                pendingSeconds += elapsed * parseFloat(playback.speed);
+                while (pendingSeconds >= timestep && performance.now() < deadline) {
+                    sim.step();
+                    pendingSeconds -= timestep;
+                }
+                // Can't keep up with this speed: drop the backlog rather than build it up
+                pendingSeconds = Math.min(pendingSeconds, timestep);
+            }
+
+            // Non-looping recorded data has run out, or the run is complete
+            if (sim.getClock().finished) {
+                events.finished = true;
+                if (playback.fastForwardTo !== null) {
+                    events.fastForwardDone = playback.fastForwardTo;
+                }
+                playback.running = false;
+                playback.fastForwardTo = null;
+            }
+            if (sim.getClock().time !== startTime || Object.keys(events).length > 0) {
+                publish(events);
+            }
+        }
+
+        // ---------------------------
+        // Batch
+        // ---------------------------
+        function startBatch(message) {
+            stopBatch();
+            batchRun = { id: message.id, batch: batches.createBatch(sim.getConfig(), message.options), timer: null };
+            batchRun.timer = setTimeout(batchTick, 0);
+        }
+
+        function stopBatch() {
+            if (!batchRun) return;
+            clearTimeout(batchRun.timer);
+            post({ type: 'batch', id: batchRun.id, result: batchRun.batch.getResult(), done: true });
+            batchRun = null;
+        }
+
+        function batchTick() {
+            const { id, batch } = batchRun;
+            const deadline = performance.now() + BATCH_SLICE_MS;
+            try {
+                while (!batch.done && performance.now() < deadline) {
+                    batch.next();
+                }
+            } catch (error) {
+                batchRun = null;
+                post({ type: 'error', id, message: error.message });
+                return;
+            }
+            if (batch.done) {
+                stopBatch();
+                return;
+            }
+            post({ type: 'batch', id, result: batch.getResult(), done: false });
+            batchRun.timer = setTimeout(batchTick, 0);
+        }
+
+        return { handle };
+    }
+
+    return { createRunner };
+}));
@@ -0,0 +1,316 @@
+// ===========================
+// SCENARIOS
+// ===========================
+// A named, complete run configuration that can be saved, shared and loaded
+// again: every engine setting plus the economics inputs, so a scenario
+// opens the same run on any version of the page whatever its defaults:
+//
+//   { format: 'swarm-turbine-scenario', version: 2, name, config: { ... }, economics: { ... } }
+//
+// Version 1 stored only the settings that differed from the defaults and
+// no economics; those are read with today's defaults filled in.
+//
+// Recorded wind and load data are not part of a scenario (they can be
+// megabytes); a scenario using the 'recorded' pattern or the 'custom' load
+// profile needs its file loaded separately.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory({
+            simulation: require('./simulation'),
+            economics: require('./economics'),
+            wind: require('./wind'),
+            layout: require('./layout'),
+            turbines: require('./turbines'),
+            controllers: require('./controllers'),
+            baselines: require('./baselines'),
+            faults: require('./faults'),
+            sensors: require('./sensors'),
+            building: require('./building')
+        });
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.scenarios = factory(root.SwarmSim);
+    }
+}(typeof self !== 'undefined' ? self : this, function (modules) {
+    'use strict';
+
+    const { simulation, economics, wind, layout, turbines, controllers, baselines, faults, sensors, building } = modules;
+
+    const FORMAT = 'swarm-turbine-scenario';
+    const FORMAT_VERSION = 2;
+    const HASH_PREFIX = '#scenario=';
+
+    // Engine settings that belong to the run rather than to the scenario
+    const EXCLUDED_KEYS = ['recordedWind', 'loadData', 'historyLength', 'keepHistory', 'recordRun', 'recordMegabytes', 'keepTimeline', 'timelineMegabytes'];
+    const SCENARIO_KEYS = Object.keys(simulation.DEFAULT_CONFIG).filter(key => EXCLUDED_KEYS.indexOf(key) === -1);
+
+    // Built-in presets, shown next to the wind pattern
+    const PRESETS = {
+        'downtown-canyon': {
+            name: 'Downtown canyon',
+            description: 'Street canyon between towers: channelled, turbulent wind with strong updrafts along a row of rotors',
+            config: {
+                windPattern: 'urban',
+                windSpeed: 18,
+                windField: 'all',
+                windFieldIntensity: 1.6,
+                layout: { type: 'grid', rows: 2, cols: 5 },
+                spacing: 1.5,
+                baselines: ['fixed', 'prevailing'],
+                seed: 11
+            }
+        },
+        'open-rooftop': {
+            name: 'Open rooftop',
+            description: 'Unobstructed roof: smooth wind from a slowly shifting direction, widely spaced rotors',
+            config: {
+                windPattern: 'variable',
+                windSpeed: 12,
+                windField: 'off',
+                spacing: 2.5,
+                baselines: ['fixed', 'yaw-tracking'],
+                seed: 7
+            }
+        },
+        'gusty-corner': {
+            name: 'Gusty corner tower',
+            description: 'Exposed building corner: gusts and swinging direction on a seven-rotor hex',
+            config: {
+                windPattern: 'gusty',
+                windSpeed: 16,
+                windField: 'all',
+                layout: { type: 'hex', rings: 1 },
+                controller: 'consensus',
+                baselines: ['fixed', 'yaw-tracking'],
+                seed: 23
+            }
+        },
+        'large-array': {
+            name: 'Large hex array',
+            description: 'Nineteen rotors on a big flat roof, where wake shadowing dominates',
+            config: {
+                windPattern: 'variable',
+                windSpeed: 14,
+                layout: { type: 'hex', rings: 2 },
+                spacing: 2,
+                baselines: ['fixed', 'small-array'],
+                seed: 5
+            }
+        },
+        'cheap-sensors': {
+            name: 'Cheap sensors',
+            description: 'Downtown wind read by low-cost instruments, smoothed by a Kalman filter',
+            config: {
+                windPattern: 'urban',
+                windSpeed: 15,
+                sensorAngleNoise: 12,
+                sensorSpeedNoise: 1,
+                sensorPowerNoise: 0.05,
+                sensorLatency: 60,
+                estimator: 'kalman',
+                baselines: ['fixed', 'yaw-tracking'],
+                seed: 3
+            }
+        }
+    };
+
+    function listPresets() {
+        return Object.keys(PRESETS).map(id => ({ id, name: PRESETS[id].name, description: PRESETS[id].description }));
+    }
+
+    function getPreset(id) {
+        const preset = Object.prototype.hasOwnProperty.call(PRESETS, id) ? PRESETS[id] : null;
+        if (!preset) {
+            throw new Error(`Unknown preset "${id}" (available: ${Object.keys(PRESETS).join(', ')})`);
+        }
+        return createScenario(preset.name, preset.config);
+    }
+
+    function copyValue(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // Every one of `keys` from `values`, or its default where it has none
+    function withDefaults(values, defaults, keys) {
+        const copy = {};
+        keys.forEach((key) => {
+            copy[key] = copyValue(key in values ? values[key] : defaults[key]);
+        });
+        return copy;
+    }
+
+    // Scenario from a full or partial engine config and economics settings
+    function createScenario(name, config, settings = {}) {
+        return {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            name: String(name || 'Untitled scenario'),
+            config: withDefaults(config, simulation.DEFAULT_CONFIG, SCENARIO_KEYS),
+            economics: withDefaults(settings, economics.DEFAULT_ECONOMICS, Object.keys(economics.DEFAULT_ECONOMICS))
+        };
+    }
+
+    // The complete engine config a scenario describes
+    function scenarioConfig(scenario) {
+        return withDefaults(scenario.config, simulation.DEFAULT_CONFIG, SCENARIO_KEYS);
+    }
+
+    // Its economics settings
+    function scenarioEconomics(scenario) {
+        return withDefaults(scenario.economics || {}, economics.DEFAULT_ECONOMICS, Object.keys(economics.DEFAULT_ECONOMICS));
+    }
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    // Types a setting may take besides that of its default
+    const OTHER_TYPES = {
+        swarmTurbine: ['object'],    // A model object rather than a preset id
+        baselineTurbine: ['object'],
+        swarmRotorDiameter: ['number']
+    };
+
+    // Throws unless every value has the type of its default
+    function checkTypes(values, defaults) {
+        Object.keys(defaults).forEach((key) => {
+            const allowed = [typeOf(defaults[key])].concat(OTHER_TYPES[key] || []);
+            if (allowed.indexOf(typeOf(values[key])) === -1) {
+                throw new Error(`${key} should be ${allowed.join(' or ')}, not ${JSON.stringify(values[key])}`);
+            }
+        });
+    }
+
+    function ids(list) {
+        return list.map(item => item.id);
+    }
+
+    // The values an id setting may take: the same choices the page offers
+    function allowedIds() {
+        return {
+            windPattern: wind.PATTERNS.concat('recorded'),
+            controller: ids(controllers.listControllers()),
+            estimator: ids(sensors.listEstimators()),
+            loadProfile: ids(building.listLoadProfiles()),
+            swarmInteraction: simulation.INTERACTIONS,
+            windField: simulation.WIND_FIELD_MODES,
+            swarmTurbine: ids(turbines.listTurbines()),
+            baselineTurbine: ids(turbines.listTurbines())
+        };
+    }
+
+    function checkId(key, value, allowed) {
+        if (allowed.indexOf(value) === -1) {
+            throw new Error(`${key} "${value}" is not one of ${allowed.join(', ')}`);
+        }
+    }
+
+    // Throws unless every id the config names is on its allow-list
+    function checkIds(config) {
+        const allowed = allowedIds();
+        Object.keys(allowed).forEach((key) => {
+            if (typeof config[key] === 'string') { // Turbines may also be model objects
+                checkId(key, config[key], allowed[key]);
+            }
+        });
+        config.baselines.forEach(id => checkId('baselines', id, ids(baselines.listBaselines())));
+        config.faultTypes.forEach(id => checkId('faultTypes', id, ids(faults.listFaultTypes())));
+        // The layout's rows, columns and rings (1 to 3, as in the layout
+        // menu) are checked by createLayout() in the throwaway engine
+        checkId('layout type', config.layout.type, layout.LAYOUT_TYPES);
+    }
+
+    // Throws with a readable message if the engine would reject the config,
+    // before any of it is applied
+    function checkScenarioConfig(config) {
+        checkTypes(config, withDefaults({}, simulation.DEFAULT_CONFIG, SCENARIO_KEYS));
+        checkIds(config);
+        // A throwaway engine runs every other check (ranges, models, layout, faults, ...)
+        simulation.createSimulation(Object.assign({}, config, {
+            windPattern: config.windPattern === 'recorded' ? 'steady' : config.windPattern,
+            keepHistory: false,
+            recordRun: false,
+            keepTimeline: false
+        }));
+    }
+
+    // Accepts a scenario object or its JSON text; returns a validated scenario
+    function parseScenario(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw new Error('Not a scenario file: the JSON could not be read');
+            }
+        }
+        if (!data || data.format !== FORMAT) {
+            throw new Error(`Not a scenario file (expected format "${FORMAT}")`);
+        }
+        if (!(data.version >= 1 && data.version <= FORMAT_VERSION)) {
+            throw new Error(`Unsupported scenario version ${data.version} (this page reads up to v${FORMAT_VERSION})`);
+        }
+        if (!data.config || typeof data.config !== 'object') {
+            throw new Error('The scenario has no configuration');
+        }
+        if (data.economics !== undefined && typeOf(data.economics) !== 'object') {
+            throw new Error('The scenario\'s economics settings are not an object');
+        }
+        // Settings this version doesn't know are dropped rather than rejected
+        const scenario = createScenario(data.name, data.config, data.economics);
+        checkScenarioConfig(scenario.config);
+        checkTypes(scenario.economics, economics.DEFAULT_ECONOMICS);
+        economics.checkEconomics(scenario.economics);
+        return scenario;
+    }
+
+    function scenarioToJson(scenario) {
+        return JSON.stringify(scenario, null, 2);
+    }
+
+    // URL-safe base64 of the UTF-8 JSON
+    function encodeScenario(scenario) {
+        const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+        let binary = '';
+        bytes.forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function decodeScenario(text) {
+        let data;
+        try {
+            const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+            data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+        } catch (error) {
+            throw new Error('The scenario link is damaged');
+        }
+        return parseScenario(data);
+    }
+
+    function scenarioToHash(scenario) {
+        return HASH_PREFIX + encodeScenario(scenario);
+    }
+
+    // The scenario in a location hash, or null when the hash holds none
+    function scenarioFromHash(hash) {
+        return hash && hash.startsWith(HASH_PREFIX) ? decodeScenario(hash.slice(HASH_PREFIX.length)) : null;
+    }
+
+    return {
+        SCENARIO_KEYS,
+        listPresets,
+        getPreset,
+        createScenario,
+        scenarioConfig,
+        scenarioEconomics,
+        parseScenario,
+        scenarioToJson,
+        encodeScenario,
+        decodeScenario,
+        scenarioToHash,
+        scenarioFromHash
+    };
+}));
@@ -0,0 +1,184 @@
+// ===========================
+// SENSORS & WIND ESTIMATION
+// ===========================
+// What a turbine's instruments report instead of the true wind: a vane and
+// anemometer with Gaussian noise and a fixed bias, sampled every
+// `sensorSampleSeconds` and delivered `sensorLatency` seconds late, then
+// smoothed by a per-turbine estimator. Power readings carry
+// proportional noise.
+//
+// With the defaults (no noise, bias, latency or estimator) readings equal
+// the true values exactly, so runs match the noise-free engine.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./controllers'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.sensors = factory(root.SwarmSim.controllers);
+    }
+}(typeof self !== 'undefined' ? self : this, function (controllers) {
+    'use strict';
+
+    const { angleDelta } = controllers;
+
+    const DEFAULT_SENSORS = {
+        sensorAngleNoise: 0,     // deg, standard deviation of a vane reading
+        sensorSpeedNoise: 0,     // m/s, anemometer
+        sensorVerticalNoise: 0,  // m/s, vertical anemometer
+        sensorPowerNoise: 0,     // Fraction of the reading, power meter
+        sensorAngleBias: 0,      // deg, vane misalignment
+        sensorSpeedBias: 0,      // m/s, anemometer calibration error
+        sensorLatency: 0,        // s, age of the readings the controller gets
+        sensorSampleSeconds: 0,  // s between samples (0 = every step)
+        estimator: 'none',       // See ESTIMATORS
+        estimatorTimeConstant: 60, // s, exponential filter
+        kalmanProcessScale: 1    // Multiplies the Kalman filter's expected wind drift
+    };
+
+    // Expected wind drift per second (variance) assumed by the Kalman filter
+    const KALMAN_DRIFT = { angle: 4, speed: 0.02, vertical: 0.02 };
+
+    const ESTIMATORS = {
+        none: { name: 'None (raw readings)' },
+        exponential: { name: 'Exponential filter' },
+        kalman: { name: 'Kalman filter (random walk)' }
+    };
+
+    function listEstimators() {
+        return Object.keys(ESTIMATORS).map(id => ({ id, name: ESTIMATORS[id].name }));
+    }
+
+    function checkSensors(settings) {
+        if (!Object.prototype.hasOwnProperty.call(ESTIMATORS, settings.estimator)) {
+            throw new Error(`Unknown estimator "${settings.estimator}" (available: ${Object.keys(ESTIMATORS).join(', ')})`);
+        }
+        ['sensorAngleNoise', 'sensorSpeedNoise', 'sensorVerticalNoise', 'sensorPowerNoise',
+            'sensorLatency', 'sensorSampleSeconds'].forEach((key) => {
+            if (!(settings[key] >= 0)) {
+                throw new Error(`${key} cannot be negative`);
+            }
+        });
+        if (!(settings.estimatorTimeConstant > 0) || !(settings.kalmanProcessScale > 0)) {
+            throw new Error('Estimator time constant and Kalman process scale must be positive');
+        }
+    }
+
+    // Standard normal draw (Box-Muller)
+    function gaussian(rng) {
+        const u = 1 - rng();
+        const v = rng();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // Noise of standard deviation `sigma`; draws nothing when sigma is 0
+    function noise(rng, sigma) {
+        return sigma > 0 ? sigma * gaussian(rng) : 0;
+    }
+
+    // Per-turbine instrument state
+    function createSensor() {
+        return {
+            samples: [],          // Readings waiting out the latency
+            lastSampleAt: -Infinity,
+            delivered: null,      // Newest reading handed to the estimator
+            estimate: null,       // { angle, speed, vertical }
+            variance: null        // Per-channel variances; null until a filter starts
+        };
+    }
+
+    // Samples the wind (when due) and returns the reading old enough to
+    // have arrived, or the first one while the pipeline fills
+    function measure(sensor, wind, seconds, settings, rng) {
+        if (seconds - sensor.lastSampleAt >= settings.sensorSampleSeconds) {
+            sensor.samples.push({
+                seconds,
+                angle: wind.angle + settings.sensorAngleBias + noise(rng, settings.sensorAngleNoise),
+                speed: Math.max(0, wind.speed + settings.sensorSpeedBias + noise(rng, settings.sensorSpeedNoise)),
+                vertical: wind.vertical + noise(rng, settings.sensorVerticalNoise)
+            });
+            sensor.lastSampleAt = seconds;
+        }
+
+        const cutoff = seconds - settings.sensorLatency;
+        let arrived = 0;
+        while (arrived + 1 < sensor.samples.length && sensor.samples[arrived + 1].seconds <= cutoff) {
+            arrived++;
+        }
+        sensor.samples.splice(0, arrived); // Older readings are superseded
+        return sensor.samples[0];
+    }
+
+    function exponentialUpdate(previous, reading, dt, settings) {
+        const blend = 1 - Math.exp(-dt / settings.estimatorTimeConstant);
+        return {
+            angle: previous.angle + angleDelta(previous.angle, reading.angle) * blend,
+            speed: previous.speed + (reading.speed - previous.speed) * blend,
+            vertical: previous.vertical + (reading.vertical - previous.vertical) * blend
+        };
+    }
+
+    // One scalar random-walk Kalman update per channel; the measurement
+    // variance is the configured sensor noise
+    function kalmanUpdate(sensor, reading, dt, settings) {
+        const previous = sensor.estimate;
+        const measurementVariance = {
+            angle: settings.sensorAngleNoise * settings.sensorAngleNoise,
+            speed: settings.sensorSpeedNoise * settings.sensorSpeedNoise,
+            vertical: settings.sensorVerticalNoise * settings.sensorVerticalNoise
+        };
+        const estimate = {};
+        ['angle', 'speed', 'vertical'].forEach((channel) => {
+            const predicted = sensor.variance[channel] + KALMAN_DRIFT[channel] * settings.kalmanProcessScale * dt;
+            const gain = predicted / (predicted + measurementVariance[channel]);
+            const innovation = channel === 'angle' ?
+                angleDelta(previous.angle, reading.angle) :
+                reading[channel] - previous[channel];
+            estimate[channel] = previous[channel] + gain * innovation;
+            sensor.variance[channel] = (1 - gain) * predicted;
+        });
+        return estimate;
+    }
+
+    // Feeds a newly arrived reading to the estimator
+    function estimate(sensor, reading, settings) {
+        if (settings.estimator === 'none') {
+            sensor.estimate = reading;
+            sensor.variance = null;
+        } else if (!sensor.variance) {
+            // First reading, or the estimator was just switched on
+            sensor.estimate = { angle: reading.angle, speed: reading.speed, vertical: reading.vertical };
+            sensor.variance = {
+                angle: settings.sensorAngleNoise * settings.sensorAngleNoise,
+                speed: settings.sensorSpeedNoise * settings.sensorSpeedNoise,
+                vertical: settings.sensorVerticalNoise * settings.sensorVerticalNoise
+            };
+        } else if (reading !== sensor.delivered) {
+            const dt = Math.max(reading.seconds - sensor.delivered.seconds, 1e-6);
+            sensor.estimate = settings.estimator === 'kalman' ?
+                kalmanUpdate(sensor, reading, dt, settings) :
+                exponentialUpdate(sensor.estimate, reading, dt, settings);
+        }
+        sensor.delivered = reading;
+        return sensor.estimate;
+    }
+
+    // The wind a controller gets to see: measured, delayed and estimated
+    function readWind(sensor, wind, seconds, settings, rng) {
+        const estimated = estimate(sensor, measure(sensor, wind, seconds, settings, rng), settings);
+        return { angle: estimated.angle, speed: estimated.speed, vertical: estimated.vertical };
+    }
+
+    // A power meter reading (kW)
+    function readPower(power, settings, rng) {
+        return settings.sensorPowerNoise > 0 ? power * (1 + noise(rng, settings.sensorPowerNoise)) : power;
+    }
+
+    return {
+        DEFAULT_SENSORS,
+        listEstimators,
+        checkSensors,
+        createSensor,
+        readWind,
+        readPower
+    };
+}));
@@ -0,0 +1,1163 @@
+// ===========================
+// SIMULATION ENGINE
+// ===========================
+// Headless swarm-vs-baseline simulation. No DOM access: the page (or a
+// Node script) drives it with step()/run() and reads getSnapshot().
+//
+//   const sim = createSimulation({ windPattern: 'urban', windSpeed: 15 });
+//   sim.run(1000);
+//   console.log(sim.getSnapshot().swarm.totalEnergy);
+// In Node the sibling modules are required; in the browser they must be
+// loaded (as <script>s) before this file.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory({
+            physics: require('./physics'),
+            turbines: require('./turbines'),
+            wind: require('./wind'),
+            windData: require('./wind-data'),
+            random: require('./random'),
+            recorder: require('./recorder'),
+            history: require('./history'),
+            layout: require('./layout'),
+            wake: require('./wake'),
+            windField: require('./wind-field'),
+            controllers: require('./controllers'),
+            actuator: require('./actuator'),
+            baselines: require('./baselines'),
+            faults: require('./faults'),
+            sensors: require('./sensors'),
+            windStats: require('./wind-stats'),
+            building: require('./building'),
+            climate: require('./climate'),
+            timeline: require('./timeline')
+        });
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.simulation = factory(root.SwarmSim);
+    }
+}(typeof self !== 'undefined' ? self : this, function (modules) {
+    'use strict';
+
+    const { physics, turbines: turbineModels, wind, windData, random, recorder, history: runHistory, layout, wake, windField, controllers, actuator, baselines, faults, sensors, windStats, building, climate, timeline: runTimeline } = modules;
+    const { calculateEnergy } = physics;
+
+    // Synthetic wind patterns are written in minutes of simulated time
+    const PATTERN_SECONDS = 60;
+
+    // Wind surveyed to find the prevailing direction: one day, minute by minute
+    const SURVEY_SECONDS = 86400;
+    const MAX_TIMESTEP = 3600;
+
+    // Controllers decide once per simulated minute (or every step, for
+    // longer steps) and their targets hold in between, so a shorter
+    // timestep adds resolution without changing how far they move
+    const CONTROL_SECONDS = 60;
+    const MAX_TILT = 30; // Tilt range of the rotors (see actuator.js)
+    const MAX_WIND_SPEED = 60;
+
+    const INTERACTIONS = ['wake', 'synergy', 'none'];
+    const WIND_FIELD_MODES = ['urban', 'all', 'off'];
+
+    const DEFAULT_CONFIG = Object.assign({
+        windPattern: 'urban',
+        learningRate: 0.5,
+        controller: 'hill-climb', // See controllers.js
+        windSpeed: 15,       // Base wind speed (m/s)
+        seed: 1,             // PRNG seed; same seed + settings = identical run
+        recordedWind: null,  // Series from windData.parseWind*() for the 'recorded' pattern
+        recordedLoop: true,  // Loop the series, or finish the run when it ends
+        timestep: 60,        // Simulated seconds per step
+        runHours: 0,         // Finish the run after this many simulated hours; 0 runs on
+        layout: { type: 'honeycomb' }, // See layout.js; applies on reset()
+        swarmTurbine: 'micro-3kw', // Preset id from turbines.js, or a model object
+        swarmRotorDiameter: null,  // Metres; null keeps the model's own rotor
+        baselineTurbine: 'rooftop-6kw',
+        baselines: ['fixed'], // Comparators from baselines.js; applies on reset()
+        airDensity: 1.225,   // kg/m³
+        spacing: 1.5,        // Neighbour centre distance in swarm rotor diameters
+        swarmInteraction: 'wake', // 'wake' (Jensen/Park), 'synergy' (legacy alignment bonus) or 'none'
+        wakeDecay: 0.075,    // Jensen wake expansion per rotor diameter downstream
+        thrustCoefficient: 0.8,
+        windField: 'urban',  // Per-turbine local wind: 'urban' (urban pattern only), 'all' or 'off'
+        windFieldIntensity: 1,
+        faults: [],          // Scheduled faults (see faults.js); applies on reset()
+        faultRate: 0,        // Random faults per turbine per day, swarm and baselines alike
+        faultRepairHours: 24, // Mean time to repair a random fault
+        faultTypes: Object.keys(faults.FAULT_TYPES), // Types random faults are drawn from
+        historyLength: 300,  // Samples kept in energyHistory
+        keepHistory: true,   // Keep every step as time series for getHistory() (charts)
+        keepTimeline: true,  // Keep a snapshot of every step for getTimeline() and branchFrom()
+        timelineMegabytes: 100, // Timeline size; past it the oldest snapshots are dropped
+        recordRun: true,     // Keep every step for getRecording()/export
+        recordMegabytes: 50  // Recording size; past it the oldest steps are dropped
+    }, actuator.DEFAULT_ACTUATOR, // Yaw/tilt rate limits, deadbands and energy cost
+    sensors.DEFAULT_SENSORS, // Instrument noise, latency and the wind estimator
+    building.DEFAULT_BUILDING, // Building load profile and battery
+    climate.DEFAULT_CLIMATE); // Clock, date and the day/season cycle
+
+    function createTurbines(config) {
+        return layout.createLayout(config.layout).map((pos, i) => ({
+            id: i,
+            x: pos.x,
+            y: pos.y,
+            angle: 0,
+            targetAngle: 0,
+            tilt: 0,
+            targetTilt: 0,
+            energy: 0,
+            efficiency: 0,
+            wakeDeficit: 0, // Fraction of free-stream speed lost to upstream wakes
+            actuationEnergy: 0, // kWh spent yawing and tilting so far
+            localWind: null, // { angle, speed, vertical } at this rotor, before wakes
+            estimatedWind: null, // { angle, speed, vertical } the controller was given
+            rotation: 0,
+            pinnedAngle: null, // Manual heading overriding the controller, or null
+            pinnedTilt: null,  // Manual tilt overriding the controller, or null
+            disabled: false,   // Parked by hand: no output, no movement, no wake
+            faults: [],        // Types of the faults active on this rotor
+            parked: false      // Disabled or out of service
+        }));
+    }
+
+    // Power curve models for both sides; throws for unknown or invalid models
+    function resolveModels(config) {
+        return {
+            swarm: turbineModels.resolveTurbine(config.swarmTurbine, { rotorDiameter: config.swarmRotorDiameter }),
+            baseline: turbineModels.resolveTurbine(config.baselineTurbine)
+        };
+    }
+
+    function copyModel(model) {
+        return Object.assign({}, model, model.powerCurve ? { powerCurve: model.powerCurve.map(p => p.slice()) } : {});
+    }
+
+    // One copy per model for timeline frames, which share it while the model
+    // stays the same (a model change replaces the object)
+    const frameModels = new WeakMap();
+
+    function frameModel(model) {
+        if (!frameModels.has(model)) {
+            frameModels.set(model, copyModel(model));
+        }
+        return frameModels.get(model);
+    }
+
+    // Energy-weighted mean wind direction over a survey of the configured
+    // wind, drawn from its own generator so the run itself is unaffected
+    function prevailingWindAngle(config) {
+        if (config.windPattern === 'recorded' && !config.recordedWind) {
+            return 0;
+        }
+        const survey = { random: random.createRandom(config.seed + 1) };
+        let x = 0;
+        let y = 0;
+        for (let seconds = PATTERN_SECONDS; seconds <= SURVEY_SECONDS; seconds += PATTERN_SECONDS) {
+            const sample = sampleWindAt(seconds, survey, config);
+            if (!sample) break;
+            const weight = Math.pow(sample.speed, 3);
+            x += weight * Math.sin(sample.angle * Math.PI / 180);
+            y += weight * Math.cos(sample.angle * Math.PI / 180);
+        }
+        return x === 0 && y === 0 ? 0 : (Math.atan2(x, y) * 180 / Math.PI + 360) % 360;
+    }
+
+    function baselineContext(config, models) {
+        let prevailing = null;
+        return {
+            model: models.baseline,
+            scaleModel: diameter => turbineModels.resolveTurbine(config.baselineTurbine, { rotorDiameter: diameter }),
+            prevailingAngle: () => (prevailing === null ? (prevailing = prevailingWindAngle(config)) : prevailing)
+        };
+    }
+
+    function createBaselines(config, models) {
+        const context = baselineContext(config, models);
+        return config.baselines.map(id => baselines.createBaseline(id, context));
+    }
+
+    function createState(config) {
+        const rng = random.createRandom(config.seed);
+        const turbines = createTurbines(config);
+        const { extent, minSpacing } = layout.measureLayout(turbines);
+        const models = resolveModels(config);
+
+        const state = {
+            time: 0,         // Steps taken
+            seconds: 0,      // Simulated seconds elapsed
+            finished: false, // Set when non-looping recorded data runs out
+            random: rng,
+            models,
+            recorder: config.recordRun ? recorder.createRecorder(config) : null,
+            history: config.keepHistory ? runHistory.createHistory(turbines.length, config.baselines) : null,
+            timeline: config.keepTimeline ? runTimeline.createTimeline(config) : null,
+            windStats: windStats.createWindStats(config.baselines), // Wind rose, histograms, sector energy
+            dailyEnergy: [], // kWh per clock day, see addDailyEnergy()
+            windField: windField.createWindField(extent, rng),
+            controllerMemory: null, // Created by the controller on first use
+            commands: null,  // Latest controller targets per swarm turbine
+            controlDue: 0,   // Simulated seconds at which the controller next decides
+            windAngle: 0,
+            windSpeed: config.windSpeed,
+            windVertical: 0, // Vertical wind component (updraft/downdraft)
+
+            // Swarm turbines (positions from config.layout)
+            swarm: {
+                turbines,
+                neighbors: controllers.findNeighbors(turbines, minSpacing),
+                currentEnergy: 0,
+                synergyBonus: 1,
+                wakeLoss: 0,
+                grossPower: 0,       // kW generated before actuation
+                actuationPower: 0,   // kW drawn by yaw/tilt drives this step
+                grossEnergy: 0,      // kWh generated
+                actuationEnergy: 0,  // kWh spent moving rotors
+                totalEnergy: 0,      // Net kWh (gross - actuation)
+                totalEfficiency: 0,
+                faultStats: createFaultStats(),
+                windEstimate: createEstimateStats(),
+                energyHistory: []
+            },
+
+            // Conventional comparators (see baselines.js)
+            baselines: createBaselines(config, models),
+            faults: null, // Fault schedule of every rotor, see createFaults()
+            sensors: null, // Instruments of every rotor, see createSensors()
+            building: null // Load and batteries, see createBuilding()
+        };
+        state.faults = createFaults(config, state);
+        state.sensors = createSensors(config, state);
+        state.building = createBuilding(config, state);
+        return state;
+    }
+
+    // ===========================
+    // FAULTS
+    // ===========================
+    function createFaultStats() {
+        return {
+            rotorSeconds: 0,   // Simulated seconds summed over rotors
+            outageSeconds: 0,  // ... of which rotors were out of service
+            lostEnergy: 0,     // kWh the faults cost (estimated, see faultLoss)
+            faultCount: 0      // Faults begun so far
+        };
+    }
+
+    // One fault unit per rotor, swarm and baselines alike
+    function createFaults(config, state) {
+        const units = state.swarm.turbines.map((t, i) => ({ key: `swarm:${i}`, target: 'swarm', turbine: i }));
+        state.baselines.forEach((baseline) => {
+            baseline.faultStats = createFaultStats();
+            baseline.turbines.forEach((t, i) => {
+                t.faults = [];
+                t.parked = false;
+                units.push({ key: `baseline:${baseline.id}:${i}`, target: 'baseline', turbine: i });
+            });
+        });
+        return faults.createFaultState(config, units);
+    }
+
+    // Power a rotor would have made without its faults: healthy blades, and
+    // the pose a working drive and sensor would have given it
+    function faultLoss(effects, power, healthyPowerAt, rotor, trueWindAngle) {
+        if (effects.types.length === 0) return 0;
+        const angle = effects.sensor && trueWindAngle !== null ? trueWindAngle :
+            (effects.stuckYaw ? rotor.targetAngle : rotor.angle);
+        const tilt = effects.stuckTilt ? rotor.targetTilt : rotor.tilt;
+        return Math.max(0, healthyPowerAt(angle, tilt) - power);
+    }
+
+    function addFaultStats(stats, rotorEffects, lostPower, stepSeconds) {
+        stats.rotorSeconds += rotorEffects.length * stepSeconds;
+        stats.outageSeconds += rotorEffects.filter(e => e.outage).length * stepSeconds;
+        stats.lostEnergy += lostPower * stepSeconds / 3600;
+        stats.faultCount = rotorEffects.reduce((sum, e) => sum + e.started, 0);
+    }
+
+    // Snapshot copy with the time-based availability (share of rotor time in service)
+    function copyFaultStats(stats) {
+        const availability = stats.rotorSeconds > 0 ? 1 - stats.outageSeconds / stats.rotorSeconds : 1;
+        return Object.assign({ availability }, stats);
+    }
+
+    // ===========================
+    // SENSORS
+    // ===========================
+    // One instrument set per swarm rotor and one vane per baseline, with
+    // noise drawn from their own generator so the wind sequence is untouched
+    function createSensors(config, state) {
+        const vanes = {};
+        state.baselines.forEach((baseline) => {
+            vanes[baseline.id] = sensors.createSensor();
+        });
+        return {
+            random: random.createRandom(config.seed + 3),
+            swarm: state.swarm.turbines.map(() => sensors.createSensor()),
+            baselines: vanes
+        };
+    }
+
+    function createEstimateStats() {
+        return {
+            angleError: 0,       // deg, mean |estimated - true| over rotors this step
+            speedError: 0,       // m/s
+            verticalError: 0,    // m/s
+            squaredAngleError: 0, // Running sums for the run's RMS errors
+            squaredSpeedError: 0,
+            samples: 0
+        };
+    }
+
+    function addEstimateStats(stats, estimates, winds) {
+        let angleError = 0;
+        let speedError = 0;
+        let verticalError = 0;
+        estimates.forEach((estimate, i) => {
+            const angle = Math.abs(controllers.angleDelta(winds[i].angle, estimate.angle));
+            const speed = Math.abs(estimate.speed - winds[i].speed);
+            angleError += angle;
+            speedError += speed;
+            verticalError += Math.abs(estimate.vertical - winds[i].vertical);
+            stats.squaredAngleError += angle * angle;
+            stats.squaredSpeedError += speed * speed;
+        });
+        stats.angleError = angleError / estimates.length;
+        stats.speedError = speedError / estimates.length;
+        stats.verticalError = verticalError / estimates.length;
+        stats.samples += estimates.length;
+    }
+
+    // Snapshot copy with the run's RMS errors
+    function copyEstimateStats(stats) {
+        const samples = Math.max(stats.samples, 1);
+        return {
+            angleError: stats.angleError,
+            speedError: stats.speedError,
+            verticalError: stats.verticalError,
+            rmsAngleError: Math.sqrt(stats.squaredAngleError / samples),
+            rmsSpeedError: Math.sqrt(stats.squaredSpeedError / samples)
+        };
+    }
+
+    // ===========================
+    // BUILDING
+    // ===========================
+    // The building's demand and one battery per system
+    function createBuilding(config, state) {
+        const sites = {};
+        state.baselines.forEach((baseline) => {
+            sites[baseline.id] = building.createSite(config);
+        });
+        return { load: 0, swarm: building.createSite(config), baselines: sites };
+    }
+
+    function updateBuilding(state, config) {
+        const load = building.loadAt(config, climate.clockSeconds(config, state.seconds));
+        state.building.load = load;
+        building.dispatch(state.building.swarm, state.swarm.currentEnergy, load, config.timestep, config);
+        state.baselines.forEach((baseline) => {
+            building.dispatch(state.building.baselines[baseline.id], baseline.energy, load, config.timestep, config);
+        });
+    }
+
+    function copyBuilding(state, config) {
+        const baselineSites = {};
+        state.baselines.forEach((baseline) => {
+            baselineSites[baseline.id] = building.describeSite(state.building.baselines[baseline.id]);
+        });
+        return {
+            load: state.building.load,
+            profile: config.loadProfile,
+            batteryCapacity: config.batteryCapacity,
+            swarm: building.describeSite(state.building.swarm),
+            baselines: baselineSites
+        };
+    }
+
+    // ===========================
+    // DAILY TOTALS
+    // ===========================
+    // Energy per clock day (midnight to midnight, day 0 being the first
+    // Monday); a step counts towards the day it began in
+    function addDailyEnergy(state, config) {
+        const day = Math.floor((climate.clockSeconds(config, state.seconds) - config.timestep) / 86400);
+        let entry = state.dailyEnergy[state.dailyEnergy.length - 1];
+        if (!entry || entry.day !== day) {
+            const baselineEnergy = {};
+            state.baselines.forEach((baseline) => {
+                baselineEnergy[baseline.id] = 0;
+            });
+            entry = { day, hours: 0, swarmEnergy: 0, baselineEnergy };
+            state.dailyEnergy.push(entry);
+        }
+        const hours = config.timestep / 3600;
+        entry.hours += hours;
+        entry.swarmEnergy += state.swarm.currentEnergy * hours;
+        state.baselines.forEach((baseline) => {
+            entry.baselineEnergy[baseline.id] += baseline.energy * hours;
+        });
+    }
+
+    // ===========================
+    // WIND
+    // ===========================
+    // Wind `seconds` into the run, or null when recorded data has ended
+    function sampleWindAt(seconds, state, config) {
+        if (config.windPattern !== 'recorded') {
+            const conditions = config.dayCycle ? climate.climateAt(config, seconds) : null;
+            return wind.sampleWind(config.windPattern, seconds / PATTERN_SECONDS, config.windSpeed, state.random, conditions);
+        }
+        if (!config.recordedWind) {
+            throw new Error('The recorded wind pattern needs data: set recordedWind first');
+        }
+        return windData.sampleRecordedWind(config.recordedWind, seconds, config.recordedLoop);
+    }
+
+    function updateWind(state, sample) {
+        state.windAngle = sample.angle;
+        state.windSpeed = sample.speed;
+        state.windVertical = sample.vertical;
+    }
+
+    // Wind at a layout position: the spatial field where active, else free stream
+    function localWindAt(state, config, x, y) {
+        const freeStream = { angle: state.windAngle, speed: state.windSpeed, vertical: state.windVertical };
+        if (!windField.isFieldActive(config.windField, config.windPattern)) {
+            return freeStream;
+        }
+        const minutes = state.seconds / PATTERN_SECONDS;
+        return windField.sampleWindField(state.windField, freeStream, x, y, minutes, config.windFieldIntensity);
+    }
+
+    // ===========================
+    // SWARM TURBINE INTELLIGENCE
+    // ===========================
+    // Swarm synergy bonus (when turbines align well together). Legacy
+    // stand-in for interaction effects, kept for comparison with old runs.
+    function alignmentSynergy(turbines) {
+        const count = turbines.length;
+        const avgAngle = turbines.reduce((sum, t) => sum + t.angle, 0) / count;
+        const angleVariance = turbines.reduce((sum, t) => {
+            const diff = Math.abs(t.angle - avgAngle);
+            return sum + (diff > 180 ? 360 - diff : diff);
+        }, 0) / count;
+        return 1 + (1 - angleVariance / 180) * 0.15; // Up to 15% bonus for alignment
+    }
+
+    function updateSwarmTurbines(state, config) {
+        const learningRate = config.learningRate;
+        const model = state.models.swarm;
+        const airDensity = config.airDensity;
+        const turbines = state.swarm.turbines;
+        const count = turbines.length;
+        const effects = turbines.map((turbine, index) => {
+            const unit = faults.faultEffects(state.faults, `swarm:${index}`);
+            turbine.faults = unit.types.slice();
+            turbine.parked = turbine.disabled || unit.outage; // Parked rotors shed no wake
+            return unit;
+        });
+        const deficits = config.swarmInteraction === 'wake' ?
+            wake.computeWakeDeficits(turbines, state.windAngle, config) :
+            turbines.map(() => 0);
+        let totalEnergy = 0;
+        let totalEfficiency = 0;
+        let actuationEnergy = 0;
+        let freeStreamPower = 0;
+        let wakedPower = 0;
+        let lostPower = 0;
+
+        // Wind actually reaching each rotor
+        const winds = turbines.map((turbine, index) => {
+            const local = localWindAt(state, config, turbine.x, turbine.y);
+            turbine.localWind = local;
+            turbine.wakeDeficit = deficits[index];
+            return {
+                angle: local.angle,
+                speed: local.speed * (1 - deficits[index]),
+                vertical: local.vertical
+            };
+        });
+
+        // What each turbine knows: its pose, its power meter and the wind
+        // its instruments report after estimation. Probing a pose predicts
+        // it from that wind and reads back through the noisy power meter.
+        const rng = state.sensors.random;
+        const observations = turbines.map((turbine, index) => {
+            const sensed = faults.sensedWind(effects[index], winds[index]);
+            const wind = sensors.readWind(state.sensors.swarm[index], sensed, state.seconds, config, rng);
+            const metered = turbine.energy > 0 ? sensors.readPower(turbine.energy, config, rng) / turbine.energy : 1;
+            turbine.estimatedWind = wind;
+            return {
+                index,
+                x: turbine.x,
+                y: turbine.y,
+                angle: turbine.angle,
+                tilt: turbine.tilt,
+                energy: turbine.energy * metered,
+                efficiency: turbine.efficiency * metered,
+                wind,
+                evaluate: (angle, tilt) => {
+                    const result = calculateEnergy(angle, tilt, wind.angle, wind.speed, wind.vertical, model, airDensity);
+                    const reading = sensors.readPower(result.energy, config, rng);
+                    return reading === result.energy ? result : Object.assign({}, result, {
+                        energy: reading,
+                        efficiency: result.energy > 0 ? result.efficiency * reading / result.energy : result.efficiency
+                    });
+                }
+            };
+        });
+        addEstimateStats(state.swarm.windEstimate, observations.map(o => o.wind), winds);
+
+        if (!state.commands || state.seconds >= state.controlDue) {
+            const controller = controllers.getController(config.controller);
+            const context = {
+                learningRate,
+                neighbors: state.swarm.neighbors,
+                random: state.random,
+                memory: state.controllerMemory,
+                exact: winds.map(wind => ({
+                    wind,
+                    evaluate: (angle, tilt) => calculateEnergy(angle, tilt, wind.angle, wind.speed, wind.vertical, model, airDensity)
+                }))
+            };
+            if (!context.memory && controller.createState) {
+                context.memory = state.controllerMemory = controller.createState(observations, context);
+            }
+            state.commands = controller.decide(observations, context);
+            state.controlDue = (Math.floor(state.seconds / CONTROL_SECONDS) + 1) * CONTROL_SECONDS;
+        }
+        const commands = state.commands;
+
+        turbines.forEach((turbine, index) => {
+            const wind = winds[index];
+            const fault = effects[index];
+            const healthyPowerAt = (angle, tilt) =>
+                calculateEnergy(angle, tilt, wind.angle, wind.speed, wind.vertical, model, airDensity).energy;
+            freeStreamPower += Math.pow(turbine.localWind.speed, 3);
+            wakedPower += Math.pow(wind.speed, 3);
+
+            if (turbine.parked) {
+                turbine.targetAngle = turbine.angle;
+                turbine.targetTilt = turbine.tilt;
+                turbine.energy = 0;
+                turbine.efficiency = 0;
+                if (fault.outage && !turbine.disabled) {
+                    lostPower += healthyPowerAt(turbine.angle, turbine.tilt);
+                }
+                return;
+            }
+
+            // Manual pins replace the controller's command for that axis
+            turbine.targetAngle = turbine.pinnedAngle !== null ?
+                turbine.angle + controllers.angleDelta(turbine.angle, turbine.pinnedAngle) :
+                commands[index].targetAngle;
+            turbine.targetTilt = turbine.pinnedTilt !== null ? turbine.pinnedTilt : commands[index].targetTilt;
+
+            // Drives move toward targets within their rate limits; a stuck drive doesn't move
+            const drives = fault.stuckYaw || fault.stuckTilt ? Object.assign({}, config, {
+                maxYawRate: fault.stuckYaw ? 0 : config.maxYawRate,
+                maxTiltRate: fault.stuckTilt ? 0 : config.maxTiltRate
+            }) : config;
+            const movement = actuator.driveTurbine(turbine, drives, learningRate, config.timestep, turbine.estimatedWind.angle);
+            turbine.actuationEnergy += movement.energy;
+            actuationEnergy += movement.energy;
+
+            // Calculate final energy (degraded blades lose a share of their Cp)
+            const result = calculateEnergy(turbine.angle, turbine.tilt, wind.angle, wind.speed, wind.vertical, model, airDensity);
+
+            turbine.energy = result.energy * fault.powerFactor;
+            turbine.efficiency = result.efficiency * fault.powerFactor;
+            turbine.rotation = (turbine.rotation + result.rotorSpeed * 0.05) % 360;
+            lostPower += faultLoss(fault, turbine.energy, healthyPowerAt, turbine, wind.angle);
+
+            totalEnergy += turbine.energy;
+            totalEfficiency += turbine.efficiency;
+        });
+        addFaultStats(state.swarm.faultStats, effects, lostPower, config.timestep);
+
+        const synergyBonus = config.swarmInteraction === 'synergy' ? alignmentSynergy(turbines) : 1;
+
+        const stepHours = config.timestep / 3600;
+        const grossPower = totalEnergy * synergyBonus;
+        const actuationPower = actuationEnergy / stepHours;
+
+        state.swarm.grossPower = grossPower;
+        state.swarm.actuationPower = actuationPower;
+        state.swarm.grossEnergy += grossPower * stepHours; // Convert to kWh
+        state.swarm.actuationEnergy += actuationEnergy;
+        state.swarm.totalEnergy = state.swarm.grossEnergy - state.swarm.actuationEnergy;
+        state.swarm.totalEfficiency = totalEfficiency / count;
+        state.swarm.currentEnergy = grossPower - actuationPower; // Net kW
+        state.swarm.synergyBonus = synergyBonus;
+        state.swarm.wakeLoss = freeStreamPower > 0 ? 1 - wakedPower / freeStreamPower : 0;
+    }
+
+    // ===========================
+    // BASELINE TURBINES
+    // ===========================
+    function updateBaselines(state, config) {
+        // Wind at the middle of the roof, where the vane of a single rotor sits
+        const hubWind = localWindAt(state, config, 0, 0);
+        // The same instruments as the swarm, but baselines do their own filtering
+        const vaneSettings = Object.assign({}, config, { estimator: 'none' });
+
+        state.baselines.forEach((baseline) => {
+            const effects = baseline.turbines.map((turbine, i) => {
+                const unit = faults.faultEffects(state.faults, `baseline:${baseline.id}:${i}`);
+                turbine.faults = unit.types.slice();
+                turbine.parked = unit.outage;
+                return unit;
+            });
+
+            // The vane sits on the first rotor; a stuck yaw drive keeps the
+            // heading where it was, and the steered one is what it wanted
+            const headings = baseline.turbines.map(t => t.angle);
+            const vane = sensors.readWind(state.sensors.baselines[baseline.id], faults.sensedWind(effects[0], hubWind),
+                state.seconds, vaneSettings, state.sensors.random);
+            baselines.steerBaseline(baseline, vane, config.timestep);
+            baseline.turbines.forEach((turbine, i) => {
+                turbine.targetAngle = turbine.angle;
+                turbine.targetTilt = turbine.tilt;
+                if (effects[i].stuckYaw || effects[i].outage) {
+                    turbine.angle = headings[i];
+                }
+            });
+
+            let power = 0;
+            let efficiency = 0;
+            let lostPower = 0;
+            baseline.turbines.forEach((turbine, i) => {
+                const local = localWindAt(state, config, turbine.x, turbine.y);
+                const healthyPowerAt = (angle, tilt) => calculateEnergy(
+                    angle, tilt, local.angle, local.speed, local.vertical, baseline.model, config.airDensity
+                ).energy;
+                const result = calculateEnergy(
+                    turbine.angle,
+                    turbine.tilt,
+                    local.angle,
+                    local.speed,
+                    local.vertical,
+                    baseline.model,
+                    config.airDensity
+                );
+                const fault = effects[i];
+                if (fault.outage) {
+                    turbine.energy = 0;
+                    turbine.efficiency = 0;
+                    lostPower += healthyPowerAt(turbine.angle, turbine.tilt);
+                } else {
+                    turbine.energy = result.energy * fault.powerFactor;
+                    turbine.efficiency = result.efficiency * fault.powerFactor;
+                    // Only a tracking rotor relies on its wind sensor
+                    lostPower += faultLoss(fault, turbine.energy, healthyPowerAt, turbine,
+                        baseline.tracking ? hubWind.angle : null);
+                }
+                power += turbine.energy;
+                efficiency += turbine.efficiency;
+            });
+            addFaultStats(baseline.faultStats, effects, lostPower, config.timestep);
+
+            baseline.angle = baseline.turbines[0].angle;
+            baseline.tilt = baseline.turbines[0].tilt;
+            baseline.energy = power;
+            baseline.efficiency = efficiency / baseline.turbines.length;
+            baseline.totalEnergy += power * config.timestep / 3600; // Convert to kWh
+        });
+    }
+
+    // Full copy of the engine state for a timeline keyframe: plain data is
+    // copied, random generators and wind statistics fork, and the history,
+    // recording and timeline are left to branchFrom()
+    function copyState(state) {
+        const copies = new Map();
+        function copy(value) {
+            if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return value;
+            if (copies.has(value)) return copies.get(value);
+            if (typeof value.fork === 'function') {
+                copies.set(value, value.fork());
+            } else if (typeof value === 'function') {
+                throw new Error(`Cannot copy the engine state: function ${value.name} has no fork()`);
+            } else if (Array.isArray(value)) {
+                const array = [];
+                copies.set(value, array);
+                value.forEach(item => array.push(copy(item)));
+            } else {
+                const object = {};
+                copies.set(value, object);
+                Object.keys(value).forEach((key) => {
+                    object[key] = copy(value[key]);
+                });
+            }
+            return copies.get(value);
+        }
+        return copy(Object.assign({}, state, { history: null, recorder: null, timeline: null }));
+    }
+
+    // Timeline frames (`frame`) leave the output history out
+    function copyBaseline(baseline, frame) {
+        const copy = Object.assign({}, baseline, {
+            turbines: baseline.turbines.map(t => Object.assign({}, t)),
+            model: frame ? frameModel(baseline.model) : copyModel(baseline.model),
+            vane: baseline.vane ? Object.assign({}, baseline.vane) : baseline.vane,
+            faultStats: copyFaultStats(baseline.faultStats)
+        });
+        if (frame) {
+            delete copy.energyHistory;
+        } else {
+            copy.energyHistory = baseline.energyHistory.slice();
+        }
+        return copy;
+    }
+
+    // ===========================
+    // ENGINE
+    // ===========================
+    function checkTimestep(timestep) {
+        if (!(timestep > 0 && timestep <= MAX_TIMESTEP)) {
+            throw new Error(`The timestep must be between 0 and ${MAX_TIMESTEP} seconds`);
+        }
+    }
+
+    function checkRunHours(hours) {
+        if (!(hours >= 0)) {
+            throw new Error('The run length cannot be negative');
+        }
+    }
+
+    function checkMegabytes(key, megabytes) {
+        if (!(megabytes > 0)) {
+            throw new Error(`${key} must be a positive number of megabytes`);
+        }
+    }
+
+    function checkRange(key, value, min, max) {
+        if (!(typeof value === 'number' && value >= min && value <= max)) {
+            throw new Error(`${key} must be a number from ${min} to ${max}`);
+        }
+    }
+
+    // Settings checked here rather than by their own module
+    const SETTING_KEYS = ['windPattern', 'learningRate', 'windSpeed', 'airDensity', 'spacing', 'swarmInteraction',
+        'wakeDecay', 'thrustCoefficient', 'windField', 'windFieldIntensity', 'historyLength'].concat(Object.keys(actuator.DEFAULT_ACTUATOR));
+
+    function checkSettings(settings) {
+        if (settings.windPattern !== 'recorded' && wind.PATTERNS.indexOf(settings.windPattern) === -1) {
+            throw new Error(`Unknown wind pattern "${settings.windPattern}" (available: ${wind.PATTERNS.concat('recorded').join(', ')})`);
+        }
+        if (INTERACTIONS.indexOf(settings.swarmInteraction) === -1) {
+            throw new Error(`Unknown swarm interaction "${settings.swarmInteraction}" (available: ${INTERACTIONS.join(', ')})`);
+        }
+        if (WIND_FIELD_MODES.indexOf(settings.windField) === -1) {
+            throw new Error(`Unknown wind field "${settings.windField}" (available: ${WIND_FIELD_MODES.join(', ')})`);
+        }
+        checkRange('learningRate', settings.learningRate, 0.01, 1);
+        checkRange('windSpeed', settings.windSpeed, 0, MAX_WIND_SPEED);
+        checkRange('airDensity', settings.airDensity, 0.5, 2);
+        checkRange('spacing', settings.spacing, 1, 100); // Closer than a diameter, rotors would overlap
+        checkRange('wakeDecay', settings.wakeDecay, 0.001, 1);
+        checkRange('thrustCoefficient', settings.thrustCoefficient, 0, 1);
+        checkRange('windFieldIntensity', settings.windFieldIntensity, 0, 10);
+        if (!(Number.isInteger(settings.historyLength) && settings.historyLength >= 1)) {
+            throw new Error('historyLength must be a whole number of samples');
+        }
+        Object.keys(actuator.DEFAULT_ACTUATOR).forEach((key) => {
+            if (!(typeof settings[key] === 'number' && settings[key] >= 0 && settings[key] < Infinity)) {
+                throw new Error(`${key} cannot be negative`);
+            }
+        });
+    }
+
+    // Rotors a config's scheduled faults can hit: the swarm layout's, and
+    // the largest chosen baseline's
+    function rotorCounts(config) {
+        return {
+            swarm: layout.createLayout(config.layout).length,
+            baseline: Math.max(...config.baselines.map(id => baselines.getBaseline(id).rotors))
+        };
+    }
+
+    // Throws for `changes` that setConfig() would reject, given the rest of
+    // `config`; returns the resolved models when the changes touch them,
+    // else null
+    function checkChanges(config, changes) {
+        if (SETTING_KEYS.some(key => key in changes)) {
+            checkSettings(Object.assign({}, config, changes));
+        }
+        if ('layout' in changes) {
+            layout.createLayout(changes.layout); // Throws for bad or oversized layouts
+        }
+        if ('baselines' in changes) {
+            baselines.checkBaselines(changes.baselines);
+        }
+        if ('timestep' in changes) {
+            checkTimestep(changes.timestep);
+        }
+        const faultsChanged = ['faults', 'faultRate', 'faultRepairHours', 'faultTypes'].some(key => key in changes);
+        if (faultsChanged) {
+            faults.checkFaults(Object.assign({}, config, changes));
+        }
+        if (['faults', 'layout', 'baselines'].some(key => key in changes)) {
+            const merged = Object.assign({}, config, changes);
+            faults.checkFaultTargets(merged.faults, rotorCounts(merged));
+        }
+        if (Object.keys(sensors.DEFAULT_SENSORS).some(key => key in changes)) {
+            sensors.checkSensors(Object.assign({}, config, changes));
+        }
+        if (Object.keys(building.DEFAULT_BUILDING).some(key => key in changes)) {
+            building.checkBuilding(Object.assign({}, config, changes));
+        }
+        if (Object.keys(climate.DEFAULT_CLIMATE).some(key => key in changes)) {
+            climate.checkClimate(Object.assign({}, config, changes));
+        }
+        if ('runHours' in changes) {
+            checkRunHours(changes.runHours);
+        }
+        if ('timelineMegabytes' in changes) {
+            checkMegabytes('timelineMegabytes', changes.timelineMegabytes);
+        }
+        if ('recordMegabytes' in changes) {
+            checkMegabytes('recordMegabytes', changes.recordMegabytes);
+        }
+        if ('controller' in changes) {
+            controllers.getController(changes.controller); // Throws for unknown ids
+        }
+        const modelsChanged = 'swarmTurbine' in changes || 'swarmRotorDiameter' in changes || 'baselineTurbine' in changes;
+        return modelsChanged ? resolveModels(Object.assign({}, config, changes)) : null; // Throws for bad models
+    }
+
+    // Checked and normalised fields of a setTurbineOverride() (see there)
+    function checkTurbineOverride(override) {
+        const changes = {};
+        if ('pinnedAngle' in override) {
+            const angle = override.pinnedAngle;
+            if (angle !== null && !Number.isFinite(angle)) {
+                throw new Error('A pinned heading must be a number of degrees');
+            }
+            changes.pinnedAngle = angle === null ? null : ((angle % 360) + 360) % 360;
+        }
+        if ('pinnedTilt' in override) {
+            const tilt = override.pinnedTilt;
+            if (tilt !== null && !(Math.abs(tilt) <= MAX_TILT)) {
+                throw new Error(`A pinned tilt must be between -${MAX_TILT}° and ${MAX_TILT}°`);
+            }
+            changes.pinnedTilt = tilt;
+        }
+        if ('disabled' in override) {
+            changes.disabled = Boolean(override.disabled);
+        }
+        return changes;
+    }
+
+    function createSimulation(options = {}) {
+        const config = Object.assign({}, DEFAULT_CONFIG, options);
+        checkSettings(config);
+        baselines.checkBaselines(config.baselines);
+        controllers.getController(config.controller); // Throws for unknown ids
+        checkTimestep(config.timestep);
+        checkRunHours(config.runHours);
+        checkMegabytes('timelineMegabytes', config.timelineMegabytes);
+        checkMegabytes('recordMegabytes', config.recordMegabytes);
+        config.seed = random.normalizeSeed(config.seed);
+        faults.checkFaults(config);
+        faults.checkFaultTargets(config.faults, rotorCounts(config));
+        sensors.checkSensors(config);
+        building.checkBuilding(config);
+        climate.checkClimate(config);
+        let state = createState(config);
+
+        function step() {
+            if (state.finished) return;
+            if (config.runHours > 0 && state.seconds >= config.runHours * 3600) {
+                state.finished = true;
+                return;
+            }
+
+            if (state.timeline && state.timeline.length === 0) {
+                recordFrame(); // The start of the run, before the wind draws any random numbers
+            }
+            const seconds = state.seconds + config.timestep;
+            const sample = sampleWindAt(seconds, state, config);
+            if (!sample) {
+                state.finished = true;
+                return;
+            }
+
+            state.time++;
+            state.seconds = seconds;
+            updateWind(state, sample);
+            faults.updateFaults(state.faults, seconds);
+            updateSwarmTurbines(state, config);
+            updateBaselines(state, config);
+            updateBuilding(state, config);
+            addDailyEnergy(state, config);
+
+            // Store energy history
+            state.swarm.energyHistory.push(state.swarm.currentEnergy);
+            state.baselines.forEach(b => b.energyHistory.push(b.energy));
+
+            // Limit history length
+            if (state.swarm.energyHistory.length > config.historyLength) {
+                state.swarm.energyHistory.shift();
+                state.baselines.forEach(b => b.energyHistory.shift());
+            }
+
+            state.windStats.append(state, config.timestep);
+            if (state.history) {
+                state.history.append(state);
+            }
+            if (state.recorder) {
+                state.recorder.record(state);
+            }
+            if (state.timeline) {
+                recordFrame();
+            }
+        }
+
+        function recordFrame() {
+            state.timeline.record(takeSnapshot(true));
+            if (state.time % runTimeline.KEYFRAME_INTERVAL === 0) {
+                state.timeline.addKeyframe(state.time, copyState(state), config);
+            }
+        }
+
+        function run(steps) {
+            for (let i = 0; i < steps && !state.finished; i++) {
+                step();
+            }
+        }
+
+        // Fast-forward until `seconds` of simulated time have elapsed
+        function runUntil(seconds) {
+            while (state.seconds < seconds && !state.finished) {
+                step();
+            }
+        }
+
+        function reset() {
+            state = createState(config);
+        }
+
+        // Rewinds the run to step `time` by replaying it from the closest
+        // keyframe before it (or the start) with the settings and overrides it
+        // had along the way (changes made at `time` itself came after that
+        // step and are left out). Later steps are dropped and the run carries
+        // on from there as a new branch.
+        function branchFrom(time) {
+            if (!state.timeline) {
+                throw new Error('Branching needs the timeline: set keepTimeline before the run starts');
+            }
+            if (!(Number.isInteger(time) && time >= 0 && time <= state.time)) {
+                throw new Error(`The run has no step ${time} (it is at step ${state.time})`);
+            }
+            const { timeline, history, recorder } = state;
+            const keyframe = timeline.keyframeAt(time);
+            if (keyframe) {
+                Object.assign(config, keyframe.config);
+                state = copyState(keyframe.state);
+                state.timeline = timeline.cut(keyframe.time);
+                if (history) {
+                    state.history = runHistory.createHistory(state.swarm.turbines.length, config.baselines);
+                    state.history.appendSamples(history.samplesFrom(0, keyframe.time));
+                }
+                if (recorder) {
+                    recorder.cutTo(keyframe.time);
+                    state.recorder = recorder;
+                }
+            } else {
+                Object.assign(config, timeline.startConfig);
+                state = createState(config);
+            }
+
+            const changes = timeline.changes;
+            let next = 0;
+            while (next < changes.length && changes[next].time < state.time) {
+                next++;
+            }
+            while (state.time < time && !state.finished) {
+                for (; next < changes.length && changes[next].time === state.time; next++) {
+                    const change = changes[next];
+                    if (change.override) {
+                        setTurbineOverride(change.override.index, change.override);
+                    } else {
+                        setConfig(change.changes);
+                    }
+                }
+                step();
+            }
+        }
+
+        // Settings such as learningRate or windSpeed apply from the next step;
+        // a new seed, layout or set of baselines only takes effect on reset()
+        function setConfig(changes) {
+            const models = checkChanges(config, changes);
+            const modelsChanged = models !== null;
+            if (modelsChanged) {
+                state.models = models;
+            }
+            if ('controller' in changes && changes.controller !== config.controller) {
+                state.controllerMemory = null;
+                state.commands = null; // The new controller decides on the next step
+            }
+            Object.assign(config, changes);
+            config.seed = random.normalizeSeed(config.seed);
+            if ('runHours' in changes) {
+                state.finished = false; // The next step finishes again if the run is still over
+            }
+
+            if (state.time === 0) {
+                // Nothing has run yet: re-survey the wind for the new settings
+                state.baselines = createBaselines(config, state.models);
+                state.faults = createFaults(config, state);
+                state.sensors = createSensors(config, state);
+                state.building = createBuilding(config, state);
+                state.windStats = windStats.createWindStats(config.baselines);
+                if (state.history) {
+                    state.history = runHistory.createHistory(state.swarm.turbines.length, config.baselines);
+                }
+            } else if (modelsChanged) {
+                const context = baselineContext(config, state.models);
+                state.baselines.forEach((baseline) => {
+                    baseline.model = baselines.getBaseline(baseline.id).create(context).model;
+                });
+            }
+
+            if (state.timeline) {
+                state.timeline.logChange(state.time, changes);
+            }
+            if (state.recorder) {
+                const logged = Object.assign({}, changes);
+                // Seeds, layouts and fault schedules only apply on reset, which
+                // starts a new recording
+                ['seed', 'layout', 'baselines', 'faults', 'faultRate', 'faultRepairHours', 'faultTypes']
+                    .forEach(key => delete logged[key]);
+                if (Object.keys(logged).length > 0) {
+                    state.recorder.recordSettingChange(state.time, logged);
+                }
+            }
+        }
+
+        // Manual control of one swarm turbine: { pinnedAngle, pinnedTilt }
+        // (degrees, or null to hand the axis back to the controller) and
+        // { disabled }. Omitted fields are left as they are.
+        function setTurbineOverride(index, override) {
+            const turbine = state.swarm.turbines[index];
+            if (!turbine) {
+                throw new Error(`No swarm turbine ${index} (the layout has ${state.swarm.turbines.length})`);
+            }
+            const changes = checkTurbineOverride(override);
+            Object.assign(turbine, changes);
+
+            if (state.timeline && Object.keys(changes).length > 0) {
+                state.timeline.logOverride(state.time, index, changes);
+            }
+            if (state.recorder && Object.keys(changes).length > 0) {
+                state.recorder.recordSettingChange(state.time, { turbineOverride: Object.assign({ index }, changes) });
+            }
+        }
+
+        function getConfig() {
+            return Object.assign({}, config);
+        }
+
+        // Cheap progress check for schedulers (no state copy)
+        function getClock() {
+            return { time: state.time, seconds: state.seconds, finished: state.finished };
+        }
+
+        // Every step of the current run plus its configuration, or null
+        // when recording is disabled
+        function getRecording() {
+            return state.recorder ? recorder.buildRecording(state.recorder) : null;
+        }
+
+        // The live time series of the current run (see history.js), or null
+        // when disabled. Not a copy: read it, don't modify it.
+        function getHistory() {
+            return state.history;
+        }
+
+        // Snapshots of past steps and the log to replay the run (see
+        // timeline.js), or null when disabled. Not a copy: read it, don't
+        // modify it.
+        function getTimeline() {
+            return state.timeline;
+        }
+
+        // Detached copy of the current state, safe to hold on to. Timeline
+        // frames leave out the run summaries and share unchanged models.
+        function takeSnapshot(frame) {
+            const snapshot = {
+                time: state.time,
+                seconds: state.seconds,
+                clockSeconds: climate.clockSeconds(config, state.seconds), // Since Monday 00:00
+                climate: config.dayCycle ? climate.climateAt(config, state.seconds) : null,
+                timestep: config.timestep,
+                finished: state.finished,
+                seed: config.seed,
+                windAngle: state.windAngle,
+                windSpeed: state.windSpeed,
+                windVertical: state.windVertical,
+                windField: windField.isFieldActive(config.windField, config.windPattern) ?
+                    Object.assign({}, state.windField, {
+                        phases: state.windField.phases.slice(),
+                        intensity: config.windFieldIntensity
+                    }) : null,
+                swarm: {
+                    spacing: config.spacing,
+                    turbineRadius: state.models.swarm.rotorDiameter / state.models.baseline.rotorDiameter, // Relative to the baseline rotor
+                    model: frame ? frameModel(state.models.swarm) : copyModel(state.models.swarm),
+                    ratedPower: state.models.swarm.ratedPower * state.swarm.turbines.length,
+                    turbines: state.swarm.turbines.map(t => Object.assign({}, t)),
+                    currentEnergy: state.swarm.currentEnergy,
+                    synergyBonus: state.swarm.synergyBonus,
+                    grossPower: state.swarm.grossPower,
+                    actuationPower: state.swarm.actuationPower,
+                    grossEnergy: state.swarm.grossEnergy,
+                    actuationEnergy: state.swarm.actuationEnergy,
+                    wakeLoss: state.swarm.wakeLoss,
+                    faultStats: copyFaultStats(state.swarm.faultStats),
+                    windEstimate: copyEstimateStats(state.swarm.windEstimate),
+                    interaction: config.swarmInteraction,
+                    controller: config.controller,
+                    wakeDecay: config.wakeDecay,
+                    totalEnergy: state.swarm.totalEnergy,
+                    totalEfficiency: state.swarm.totalEfficiency
+                },
+                building: copyBuilding(state, config),
+                baselines: state.baselines.map(baseline => copyBaseline(baseline, frame))
+            };
+            snapshot.baseline = snapshot.baselines[0]; // The first chosen baseline
+            if (!frame) {
+                snapshot.swarm.energyHistory = state.swarm.energyHistory.slice();
+                snapshot.windStats = state.windStats.summary();
+                snapshot.dailyEnergy = state.dailyEnergy.map(d =>
+                    Object.assign({}, d, { baselineEnergy: Object.assign({}, d.baselineEnergy) }));
+            }
+            return snapshot;
+        }
+
+        function getSnapshot() {
+            return takeSnapshot(false);
+        }
+
+        return {
+            step, run, runUntil, reset, branchFrom, setConfig, getConfig, getClock,
+            getSnapshot, getRecording, getHistory, getTimeline, setTurbineOverride
+        };
+    }
+
+    return {
+        DEFAULT_CONFIG,
+        INTERACTIONS,
+        WIND_FIELD_MODES,
+        checkChanges,
+        checkTurbineOverride,
+        rotorCounts,
+        createSimulation,
+        sampleWindAt,
+        updateWind,
+        localWindAt,
+        updateSwarmTurbines,
+        updateBaselines
+    };
+}));
@@ -0,0 +1,110 @@
+// ===========================
+// TIMELINE (SCRUB-BACK & BRANCHING)
+// ===========================
+// A snapshot of every step, so a run can be replayed at any past instant,
+// and the log needed to re-create it: the configuration it started with
+// plus every setting change and turbine override since, in order. A run
+// is fully determined by its seed and settings, so replaying the log
+// reproduces any step exactly; that is how the engine branches a run.
+//
+// Frames are copies like getSnapshot() without the run summaries (wind
+// statistics, daily totals, energyHistory). They are kept to about
+// config.timelineMegabytes, going by the size of the first one; past that
+// the oldest are dropped, but the log always covers the whole run.
+//
+// Keyframes are full copies of the engine state every KEYFRAME_INTERVAL
+// steps, so a branch replays at most that many steps rather than the
+// whole run.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ring'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.timeline = factory(root.SwarmSim.ring);
+    }
+}(typeof self !== 'undefined' ? self : this, function (ring) {
+    'use strict';
+
+    const KEYFRAME_INTERVAL = 250;
+
+    // `config` is the configuration the run starts with
+    function createTimeline(config) {
+        const startConfig = Object.assign({}, config);
+        const changes = [];   // { time, changes } or { time, override: { index, ... } }
+        const keyframes = []; // { time, state, config }, oldest first
+        let frames = null;    // Ring of frames, consecutive in `time`, sized from the first
+
+        function record(frame) {
+            if (!frames) {
+                const frameBytes = JSON.stringify(frame).length;
+                frames = ring.createRing(Math.max(1, Math.floor(config.timelineMegabytes * 1e6 / frameBytes)));
+            }
+            frames.push(frame);
+            // Keyframes before the oldest frame are kept only while they are
+            // still the closest one to branch from
+            while (keyframes.length > 1 && keyframes[1].time <= frames.get(0).time) {
+                keyframes.shift();
+            }
+        }
+
+        // Settings passed to setConfig() after step `time`
+        function logChange(time, settings) {
+            changes.push({ time, changes: Object.assign({}, settings) });
+        }
+
+        // A setTurbineOverride() after step `time`
+        function logOverride(time, index, override) {
+            changes.push({ time, override: Object.assign({ index }, override) });
+        }
+
+        // The engine's state and configuration as of step `time`, taken by
+        // the engine when the step is a multiple of KEYFRAME_INTERVAL
+        function addKeyframe(time, state, settings) {
+            keyframes.push({ time, state, config: Object.assign({}, settings) });
+        }
+
+        // The latest keyframe at or before step `time`, or null
+        function keyframeAt(time) {
+            for (let i = keyframes.length - 1; i >= 0; i--) {
+                if (keyframes[i].time <= time) return keyframes[i];
+            }
+            return null;
+        }
+
+        // The frame of step `time`, or null if it was dropped or not taken yet
+        function frameAt(time) {
+            if (!frames || frames.length === 0) return null;
+            return frames.get(time - frames.get(0).time) || null;
+        }
+
+        // A new timeline holding this one up to step `time`, to branch from:
+        // its frames and keyframes to there and the changes made before it
+        function cut(time) {
+            const copy = createTimeline(startConfig);
+            for (let i = 0; frames && i < frames.length && frames.get(i).time <= time; i++) {
+                copy.record(frames.get(i));
+            }
+            changes.filter(c => c.time < time).forEach(c => copy.changes.push(c));
+            keyframes.filter(k => k.time <= time).forEach(k => copy.keyframes.push(k));
+            return copy;
+        }
+
+        return {
+            startConfig,
+            changes,
+            keyframes,
+            get length() { return frames ? frames.length : 0; },
+            get first() { return frames && frames.length > 0 ? frames.get(0).time : 0; },
+            get last() { return frames && frames.length > 0 ? frames.get(frames.length - 1).time : 0; },
+            record,
+            logChange,
+            logOverride,
+            addKeyframe,
+            keyframeAt,
+            frameAt,
+            cut
+        };
+    }
+
+    return { KEYFRAME_INTERVAL, createTimeline };
+}));
@@ -0,0 +1,245 @@
+// ===========================
+// TURBINE MODELS
+// ===========================
+// Power curves for real-sized rotors. A model is either
+//
+//   Cp(λ) model:  { rotorDiameter, cutIn, ratedSpeed, cutOut,
+//                   maxPowerCoefficient, optimalTipSpeedRatio,
+//                   maxRotorSpeed, drivetrainEfficiency }
+//   tabulated:    { rotorDiameter, cutIn, cutOut, powerCurve: [[m/s, kW], ...] }
+//
+// Speeds are m/s, diameters m, rotor speeds rpm and power kW. Cp(λ) models
+// track the optimal tip-speed ratio until the rotor hits maxRotorSpeed and
+// hold rated power (the power at ratedSpeed) above it. Tabulated curves are
+// measured at standard air density and corrected to other densities by
+// scaling the wind speed (IEC 61400-12).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.turbines = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STANDARD_AIR_DENSITY = 1.225; // kg/m³ at sea level, 15 °C
+
+    const TURBINE_PRESETS = {
+        'micro-1kw': {
+            name: 'Micro-turbine Ø2.3 m (~1 kW)',
+            rotorDiameter: 2.3,
+            cutIn: 3,
+            ratedSpeed: 11,
+            cutOut: 20,
+            maxPowerCoefficient: 0.36,
+            optimalTipSpeedRatio: 6,
+            maxRotorSpeed: 600,
+            drivetrainEfficiency: 0.85
+        },
+        'micro-3kw': {
+            name: 'Micro-turbine Ø3.0 m (3 kW, tabulated)',
+            rotorDiameter: 3.0,
+            cutIn: 3,
+            cutOut: 20,
+            optimalTipSpeedRatio: 6,
+            maxRotorSpeed: 450,
+            powerCurve: [
+                [3, 0.04], [4, 0.09], [5, 0.18], [6, 0.31], [7, 0.49], [8, 0.73],
+                [9, 1.04], [10, 1.43], [11, 1.90], [12, 2.40], [13, 2.85], [14, 3.0],
+                [20, 3.0]
+            ]
+        },
+        'rooftop-6kw': {
+            name: 'Rooftop turbine Ø5.0 m (~6 kW)',
+            rotorDiameter: 5.0,
+            cutIn: 3,
+            ratedSpeed: 11,
+            cutOut: 25,
+            maxPowerCoefficient: 0.42,
+            optimalTipSpeedRatio: 7,
+            maxRotorSpeed: 300,
+            drivetrainEfficiency: 0.9
+        },
+        'small-10kw': {
+            name: 'Small turbine Ø7.0 m (10 kW, tabulated)',
+            rotorDiameter: 7.0,
+            cutIn: 3.5,
+            cutOut: 25,
+            optimalTipSpeedRatio: 7,
+            maxRotorSpeed: 200,
+            powerCurve: [
+                [3.5, 0.15], [4, 0.3], [5, 0.75], [6, 1.35], [7, 2.2], [8, 3.3],
+                [9, 4.7], [10, 6.4], [11, 8.2], [12, 9.5], [13, 10.0], [25, 10.0]
+            ]
+        }
+    };
+
+    // ---------------------------
+    // Power coefficient
+    // ---------------------------
+    // Heier's fixed-pitch Cp(λ) approximation, rescaled so each model peaks at
+    // its own maxPowerCoefficient and optimalTipSpeedRatio
+    const HEIER_OPTIMAL_TSR = 8.1;
+
+    function heier(lambda) {
+        if (lambda <= 0) return 0;
+        const inverse = 1 / lambda - 0.035;
+        return 0.5176 * (116 * inverse - 5) * Math.exp(-21 * inverse) + 0.0068 * lambda;
+    }
+
+    const HEIER_PEAK = heier(HEIER_OPTIMAL_TSR);
+
+    function powerCoefficient(model, tipSpeedRatio) {
+        const lambda = tipSpeedRatio * HEIER_OPTIMAL_TSR / model.optimalTipSpeedRatio;
+        return Math.max(0, model.maxPowerCoefficient * heier(lambda) / HEIER_PEAK);
+    }
+
+    function sweptArea(model) {
+        return Math.PI * model.rotorDiameter * model.rotorDiameter / 4;
+    }
+
+    // Rotor rpm that holds the optimal tip-speed ratio, within maxRotorSpeed
+    function rotorSpeedAt(model, windSpeed) {
+        const radius = model.rotorDiameter / 2;
+        const optimal = model.optimalTipSpeedRatio * windSpeed / radius * 60 / (2 * Math.PI);
+        return Math.min(optimal, model.maxRotorSpeed || Infinity);
+    }
+
+    // Electrical power (kW) of a Cp(λ) model before the rated-power cap
+    function aerodynamicPower(model, windSpeed, airDensity, alignment) {
+        const rotorSpeed = rotorSpeedAt(model, windSpeed);
+        const tipSpeedRatio = rotorSpeed * 2 * Math.PI / 60 * (model.rotorDiameter / 2) / windSpeed;
+        const cp = powerCoefficient(model, tipSpeedRatio);
+        const watts = 0.5 * airDensity * sweptArea(model) * Math.pow(windSpeed, 3) * cp * alignment;
+        return { power: watts * model.drivetrainEfficiency / 1000, rotorSpeed };
+    }
+
+    // Linear interpolation in a [[speed, kW], ...] table
+    function interpolateCurve(curve, windSpeed) {
+        if (windSpeed < curve[0][0]) return 0;
+        for (let i = 1; i < curve.length; i++) {
+            const [v1, p1] = curve[i];
+            if (windSpeed <= v1) {
+                const [v0, p0] = curve[i - 1];
+                return p0 + (p1 - p0) * (windSpeed - v0) / (v1 - v0);
+            }
+        }
+        return curve[curve.length - 1][1];
+    }
+
+    // ---------------------------
+    // Power output
+    // ---------------------------
+    // `alignment` (0..1) is the fraction of the wind's power the rotor faces.
+    // Returns { power (kW), powerCoefficient, rotorSpeed (rpm) }
+    function turbinePower(model, windSpeed, airDensity = STANDARD_AIR_DENSITY, alignment = 1) {
+        if (windSpeed < model.cutIn || windSpeed > model.cutOut || alignment <= 0) {
+            return { power: 0, powerCoefficient: 0, rotorSpeed: 0 };
+        }
+
+        let power;
+        let rotorSpeed;
+        if (model.powerCurve) {
+            const equivalentSpeed = windSpeed * Math.cbrt(alignment * airDensity / STANDARD_AIR_DENSITY);
+            power = interpolateCurve(model.powerCurve, equivalentSpeed);
+            rotorSpeed = rotorSpeedAt(model, windSpeed);
+        } else {
+            const result = aerodynamicPower(model, windSpeed, airDensity, alignment);
+            power = result.power;
+            rotorSpeed = result.rotorSpeed;
+        }
+        power = Math.min(power, model.ratedPower);
+
+        const available = 0.5 * airDensity * sweptArea(model) * Math.pow(windSpeed, 3) / 1000;
+        return { power, powerCoefficient: power / available, rotorSpeed };
+    }
+
+    // ---------------------------
+    // Model lookup
+    // ---------------------------
+    function checkModel(model) {
+        const positive = ['rotorDiameter', 'cutIn', 'cutOut'].concat(model.powerCurve ? [] :
+            ['ratedSpeed', 'maxPowerCoefficient', 'optimalTipSpeedRatio', 'drivetrainEfficiency']);
+        positive.forEach((key) => {
+            if (!(model[key] > 0)) {
+                throw new Error(`Turbine model needs a positive ${key}`);
+            }
+        });
+        if (model.powerCurve) {
+            const curve = model.powerCurve;
+            if (!Array.isArray(curve) || curve.length < 2 ||
+                curve.some((point, i) => i > 0 && !(point[0] > curve[i - 1][0]))) {
+                throw new Error('A tabulated power curve needs at least two [speed, kW] points in rising speed order');
+            }
+        } else if (!(model.cutIn < model.ratedSpeed && model.ratedSpeed < model.cutOut)) {
+            throw new Error('Turbine speeds must satisfy cut-in < rated < cut-out');
+        }
+        if (model.maxPowerCoefficient > 16 / 27) {
+            throw new Error('Power coefficient cannot exceed the Betz limit (0.593)');
+        }
+    }
+
+    // `spec` is a preset id or a model object (optionally { preset, ...overrides }).
+    // A rotorDiameter override rescales the rotor: power with swept area,
+    // maximum rpm inversely with diameter (same tip speed).
+    function resolveTurbine(spec, overrides = {}) {
+        let base;
+        if (typeof spec === 'string') {
+            base = Object.prototype.hasOwnProperty.call(TURBINE_PRESETS, spec) ? TURBINE_PRESETS[spec] : null;
+            if (!base) {
+                throw new Error(`Unknown turbine "${spec}" (available: ${Object.keys(TURBINE_PRESETS).join(', ')})`);
+            }
+            base = Object.assign({ id: spec }, base);
+        } else if (spec && typeof spec === 'object') {
+            base = spec.preset ? Object.assign({}, resolveTurbine(spec.preset), spec) : Object.assign({}, spec);
+        } else {
+            throw new Error('A turbine must be a preset id or a model object');
+        }
+
+        const model = Object.assign({ name: 'Custom turbine', optimalTipSpeedRatio: 7 }, base);
+        if (model.powerCurve) {
+            model.powerCurve = model.powerCurve.map(point => point.slice());
+        }
+
+        const diameter = overrides.rotorDiameter;
+        if (diameter > 0 && diameter !== model.rotorDiameter) {
+            const scale = diameter / model.rotorDiameter;
+            if (model.powerCurve) {
+                model.powerCurve = model.powerCurve.map(([v, p]) => [v, p * scale * scale]);
+            }
+            if (model.maxRotorSpeed) {
+                model.maxRotorSpeed /= scale;
+            }
+            model.rotorDiameter = diameter;
+        }
+
+        checkModel(model);
+        model.ratedPower = model.powerCurve ?
+            Math.max(...model.powerCurve.map(point => point[1])) :
+            aerodynamicPower(model, model.ratedSpeed, STANDARD_AIR_DENSITY, 1).power;
+        if (model.powerCurve && !model.ratedSpeed) {
+            model.ratedSpeed = model.powerCurve.find(point => point[1] >= model.ratedPower)[0];
+        }
+        return model;
+    }
+
+    function listTurbines() {
+        return Object.keys(TURBINE_PRESETS).map(id => ({ id, name: TURBINE_PRESETS[id].name }));
+    }
+
+    function describeTurbine(model) {
+        return `Ø${model.rotorDiameter.toFixed(1)} m · ${model.ratedPower.toFixed(1)} kW at ${model.ratedSpeed} m/s · ` +
+            `cut-in ${model.cutIn} m/s · cut-out ${model.cutOut} m/s`;
+    }
+
+    return {
+        STANDARD_AIR_DENSITY,
+        TURBINE_PRESETS,
+        turbinePower,
+        powerCoefficient,
+        resolveTurbine,
+        listTurbines,
+        describeTurbine
+    };
+}));
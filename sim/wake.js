@@ -0,0 +1,100 @@
+// ===========================
+// WAKE MODEL
+// ===========================
+// Jensen/Park wake model: each rotor leaves a top-hat velocity deficit
+// behind it that widens linearly with distance,
+//
+//   deficit(x) = (1 - sqrt(1 - Ct)) * (r0 / (r0 + k * x))^2
+//
+// scaled by how much of the downstream rotor sits inside the wake, with
+// overlapping wakes combined as root-sum-square (Katic et al.).
+//
+// Distances are in rotor diameters. Layout units (neighbour distance) are
+// converted with config.spacing, and windAngle is the direction the wind
+// blows towards: 0° = up (-y), 90° = right (+x), as drawn on the canvas.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.wake = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const ROTOR_RADIUS = 0.5; // In rotor diameters
+
+    // Unit vector the wind blows along, in layout coordinates (y down)
+    function flowDirection(windAngle) {
+        const rad = windAngle * Math.PI / 180;
+        return { x: Math.sin(rad), y: -Math.cos(rad) };
+    }
+
+    // Area shared by two circles with radii r1, r2 whose centres are d apart
+    function circleOverlapArea(r1, r2, d) {
+        if (d >= r1 + r2) return 0;
+        if (d <= Math.abs(r1 - r2)) {
+            const r = Math.min(r1, r2);
+            return Math.PI * r * r;
+        }
+        const a = r1 * r1 * Math.acos((d * d + r1 * r1 - r2 * r2) / (2 * d * r1));
+        const b = r2 * r2 * Math.acos((d * d + r2 * r2 - r1 * r1) / (2 * d * r2));
+        const c = 0.5 * Math.sqrt((-d + r1 + r2) * (d + r1 - r2) * (d - r1 + r2) * (d + r1 + r2));
+        return a + b - c;
+    }
+
+    // Fractional speed deficit (0 = free stream) at every turbine
+    function computeWakeDeficits(turbines, windAngle, params) {
+        const { spacing, wakeDecay, thrustCoefficient } = params;
+        const flow = flowDirection(windAngle);
+        const initialDeficit = 1 - Math.sqrt(1 - Math.min(thrustCoefficient, 0.999));
+        const rotorArea = Math.PI * ROTOR_RADIUS * ROTOR_RADIUS;
+
+        return turbines.map((target) => {
+            let sumSquares = 0;
+
+            turbines.forEach((source) => {
+                if (source === target || source.parked) return; // A parked rotor sheds no wake
+
+                const dx = (target.x - source.x) * spacing;
+                const dy = (target.y - source.y) * spacing;
+                const downstream = dx * flow.x + dy * flow.y;
+                if (downstream <= 0) return;
+
+                const lateral = Math.abs(dx * flow.y - dy * flow.x);
+                const wakeRadius = ROTOR_RADIUS + wakeDecay * downstream;
+                const overlap = circleOverlapArea(wakeRadius, ROTOR_RADIUS, lateral) / rotorArea;
+                if (overlap <= 0) return;
+
+                const deficit = initialDeficit * Math.pow(ROTOR_RADIUS / wakeRadius, 2) * overlap;
+                sumSquares += deficit * deficit;
+            });
+
+            return Math.min(1, Math.sqrt(sumSquares));
+        });
+    }
+
+    // Outline of a turbine's wake cone in layout units, for drawing:
+    // [rotor left, rotor right, far right, far left]
+    function wakeConeOutline(turbine, windAngle, params, lengthDiameters) {
+        const { spacing, wakeDecay } = params;
+        const flow = flowDirection(windAngle);
+        const side = { x: -flow.y, y: flow.x };
+        const nearHalf = ROTOR_RADIUS / spacing;
+        const farHalf = (ROTOR_RADIUS + wakeDecay * lengthDiameters) / spacing;
+        const length = lengthDiameters / spacing;
+        const point = (along, across) => ({
+            x: turbine.x + flow.x * along + side.x * across,
+            y: turbine.y + flow.y * along + side.y * across
+        });
+
+        return [
+            point(0, -nearHalf),
+            point(0, nearHalf),
+            point(length, farHalf),
+            point(length, -farHalf)
+        ];
+    }
+
+    return { computeWakeDeficits, wakeConeOutline, flowDirection };
+}));
@@ -0,0 +1,274 @@
+// ===========================
+// RECORDED WIND DATA
+// ===========================
+// Parses measured anemometer logs (CSV or JSON) into a wind series and
+// interpolates it onto simulation ticks for the 'recorded' pattern.
+//
+// A series is { samples: [{ time, speed, direction, vertical }], duration }
+// with `time` in seconds from the first row and `direction` in degrees,
+// using the same convention as the simulation's windAngle.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.windData = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Accepted column names (compared lower-case, ignoring spaces, _ and -)
+    const COLUMN_ALIASES = {
+        time: ['timestamp', 'time', 't', 'datetime', 'date'],
+        speed: ['speed', 'windspeed', 'horizontalspeed', 'horizontal', 'ws'],
+        direction: ['direction', 'dir', 'winddirection', 'angle', 'windangle', 'wd'],
+        vertical: ['vertical', 'windvertical', 'verticalspeed', 'w', 'updraft']
+    };
+    const REQUIRED_COLUMNS = ['time', 'speed', 'direction'];
+    const MAX_REPORTED_ISSUES = 10;
+
+    class WindDataError extends Error {
+        constructor(issues) {
+            const shown = issues.slice(0, MAX_REPORTED_ISSUES);
+            const more = issues.length - shown.length;
+            super(shown.join('\n') + (more > 0 ? `\n…and ${more} more problem${more === 1 ? '' : 's'}` : ''));
+            this.name = 'WindDataError';
+            this.issues = issues;
+        }
+    }
+
+    function normalizeKey(key) {
+        return String(key).toLowerCase().replace(/[\s_-]/g, '');
+    }
+
+    // Maps raw keys (CSV headers or JSON property names) to our fields
+    function resolveColumns(keys) {
+        const columns = {};
+        keys.forEach((key, index) => {
+            const normalized = normalizeKey(key);
+            Object.keys(COLUMN_ALIASES).forEach((field) => {
+                if (columns[field] === undefined && COLUMN_ALIASES[field].includes(normalized)) {
+                    columns[field] = { key, index };
+                }
+            });
+        });
+        return columns;
+    }
+
+    function missingColumns(columns) {
+        return REQUIRED_COLUMNS
+            .filter(field => !columns[field])
+            .map(field => `Missing "${field === 'time' ? 'timestamp' : field}" column (accepted names: ${COLUMN_ALIASES[field].join(', ')})`);
+    }
+
+    // Timestamps may be seconds or anything Date.parse understands
+    function parseTimestamp(value) {
+        if (typeof value === 'number') return value;
+        const text = String(value).trim();
+        if (text !== '' && !isNaN(Number(text))) return Number(text);
+        const ms = Date.parse(text);
+        return isNaN(ms) ? NaN : ms / 1000;
+    }
+
+    function isBlank(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    function parseNumber(value) {
+        if (typeof value === 'number') return value;
+        return isBlank(value) ? NaN : Number(String(value).trim());
+    }
+
+    // Validates raw rows and builds a series; `label(i)` names a row in errors
+    function buildSeries(rows, label) {
+        const issues = [];
+        const samples = [];
+        let lastTime = -Infinity;
+
+        rows.forEach((row, i) => {
+            const time = parseTimestamp(row.time);
+            const speed = parseNumber(row.speed);
+            const direction = parseNumber(row.direction);
+            const vertical = isBlank(row.vertical) ? 0 : parseNumber(row.vertical);
+            const rowIssues = [];
+
+            const check = (field, value, ok, problem) => {
+                if (isBlank(value)) rowIssues.push(`${field} is missing`);
+                else if (!ok) rowIssues.push(`${field} "${value}" ${problem}`);
+            };
+            check('timestamp', row.time, Number.isFinite(time), 'is not a number or date');
+            check('speed', row.speed, Number.isFinite(speed), 'is not a number');
+            check('direction', row.direction, Number.isFinite(direction), 'is not a number');
+            if (!Number.isFinite(vertical)) rowIssues.push(`vertical "${row.vertical}" is not a number`);
+            if (Number.isFinite(speed) && speed < 0) rowIssues.push(`speed ${speed} is negative`);
+
+            if (Number.isFinite(time)) {
+                if (time <= lastTime) rowIssues.push('timestamp is not after the previous row');
+                lastTime = Math.max(lastTime, time);
+            }
+
+            if (rowIssues.length > 0) {
+                issues.push(`${label(i)}: ${rowIssues.join('; ')}`);
+                return;
+            }
+
+            samples.push({
+                rawTime: time,
+                speed,
+                direction: ((direction % 360) + 360) % 360,
+                vertical
+            });
+        });
+
+        if (issues.length === 0 && samples.length < 2) {
+            issues.push('At least two valid rows are needed to interpolate');
+        }
+        if (issues.length > 0) {
+            throw new WindDataError(issues);
+        }
+
+        const start = samples[0].rawTime;
+        const series = samples.map(s => ({
+            time: s.rawTime - start,
+            speed: s.speed,
+            direction: s.direction,
+            vertical: s.vertical
+        }));
+
+        return {
+            samples: series,
+            duration: series[series.length - 1].time
+        };
+    }
+
+    function splitCsvLine(line, delimiter) {
+        return line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+    }
+
+    function parseWindCsv(text) {
+        // Keep original line numbers for error messages
+        const lines = String(text).split(/\r?\n/)
+            .map((content, i) => ({ content, line: i + 1 }))
+            .filter(l => l.content.trim() !== '' && !l.content.trim().startsWith('#'));
+
+        if (lines.length === 0) {
+            throw new WindDataError(['The file is empty']);
+        }
+
+        const header = lines[0].content;
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            header.split(d).length > header.split(best).length ? d : best, ',');
+        const columns = resolveColumns(splitCsvLine(header, delimiter));
+        const missing = missingColumns(columns);
+        if (missing.length > 0) {
+            throw new WindDataError(missing.map(m => `Header (line ${lines[0].line}): ${m}`));
+        }
+
+        const dataLines = lines.slice(1);
+        const rows = dataLines.map(({ content }) => {
+            const cells = splitCsvLine(content, delimiter);
+            const row = {};
+            Object.keys(columns).forEach((field) => {
+                row[field] = cells[columns[field].index];
+            });
+            return row;
+        });
+
+        return buildSeries(rows, i => `Line ${dataLines[i].line}`);
+    }
+
+    // Accepts an array of row objects or { samples: [...] } / { data: [...] }
+    function parseWindJson(text) {
+        let parsed;
+        try {
+            parsed = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new WindDataError([`Invalid JSON: ${error.message}`]);
+        }
+
+        const records = Array.isArray(parsed) ? parsed : parsed && (parsed.samples || parsed.data);
+        if (!Array.isArray(records)) {
+            throw new WindDataError(['Expected an array of rows, or an object with a "samples" array']);
+        }
+        if (records.length === 0) {
+            throw new WindDataError(['The file contains no rows']);
+        }
+
+        const objects = records.filter(r => r && typeof r === 'object' && !Array.isArray(r));
+        // Keys from every row; a loop, since spreading a large file into
+        // Object.assign() overflows the call stack
+        const keys = new Set();
+        objects.forEach(object => Object.keys(object).forEach(key => keys.add(key)));
+        const columns = resolveColumns([...keys]);
+        const missing = missingColumns(columns);
+        if (missing.length > 0) {
+            throw new WindDataError(missing);
+        }
+
+        const rows = records.map((record) => {
+            const row = {};
+            Object.keys(columns).forEach((field) => {
+                row[field] = record && typeof record === 'object' ? record[columns[field].key] : undefined;
+            });
+            return row;
+        });
+
+        return buildSeries(rows, i => `Row ${i + 1}`);
+    }
+
+    // Picks the parser by file extension, falling back to sniffing the content
+    function parseWindFile(name, text) {
+        const lower = String(name || '').toLowerCase();
+        if (lower.endsWith('.json')) return parseWindJson(text);
+        if (lower.endsWith('.csv') || lower.endsWith('.txt') || lower.endsWith('.tsv')) return parseWindCsv(text);
+        return /^\s*[[{]/.test(text) ? parseWindJson(text) : parseWindCsv(text);
+    }
+
+    function lerp(a, b, f) {
+        return a + (b - a) * f;
+    }
+
+    // Interpolates along the shorter arc so 350° → 10° passes through 0°
+    function lerpAngle(a, b, f) {
+        const diff = ((b - a + 540) % 360) - 180;
+        return (a + diff * f + 360) % 360;
+    }
+
+    // Wind at `seconds` into the series, or null once a non-looping series ends
+    function sampleRecordedWind(series, seconds, loop) {
+        const samples = series.samples;
+        let time = seconds;
+
+        if (time > series.duration) {
+            if (!loop) return null;
+            time = time % series.duration;
+        }
+
+        // Binary search for the interval containing `time`
+        let lo = 0;
+        let hi = samples.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (samples[mid].time <= time) lo = mid;
+            else hi = mid;
+        }
+
+        const a = samples[lo];
+        const b = samples[hi];
+        const f = Math.max(0, Math.min(1, (time - a.time) / (b.time - a.time)));
+
+        return {
+            angle: lerpAngle(a.direction, b.direction, f),
+            speed: lerp(a.speed, b.speed, f),
+            vertical: lerp(a.vertical, b.vertical, f)
+        };
+    }
+
+    return {
+        WindDataError,
+        parseWindCsv,
+        parseWindJson,
+        parseWindFile,
+        sampleRecordedWind
+    };
+}));
@@ -0,0 +1,90 @@
+// ===========================
+// SPATIAL WIND FIELD
+// ===========================
+// Analytic rooftop wind field: perturbs the free-stream wind by position so
+// each turbine sees its own local wind. Positions are layout units on a
+// square roof centred on the array; effects are keyed to the "fetch", the
+// distance the air has travelled since crossing the windward roof edge:
+//
+//   - roof-edge updraft right behind the windward edge
+//   - separation bubble (slower, deflected, recirculating air) just after it
+//   - corner acceleration where flow wraps around the roof corners
+//   - drifting small-scale turbulence from seeded phases
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./wake'));
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.windField = factory(root.SwarmSim.wake);
+    }
+}(typeof self !== 'undefined' ? self : this, function (wake) {
+    'use strict';
+
+    const ROOF_MARGIN = 0.75; // Roof extends this far beyond the outermost turbine
+
+    // `random` is the run's seeded generator; `extent` the layout half-size
+    function createWindField(extent, random) {
+        return {
+            roofHalfSize: extent + ROOF_MARGIN,
+            phases: [0, 1, 2, 3].map(() => random() * Math.PI * 2)
+        };
+    }
+
+    // Distance back along the flow to the roof edge (slab ray-box test)
+    function fetchDistance(x, y, flow, half) {
+        let exit = Infinity;
+        [[x, -flow.x], [y, -flow.y]].forEach(([p, d]) => {
+            if (Math.abs(d) < 1e-9) return;
+            const t = ((d > 0 ? half : -half) - p) / d;
+            exit = Math.min(exit, t);
+        });
+        return Math.max(0, exit);
+    }
+
+    function bump(value, centre, width) {
+        const z = (value - centre) / width;
+        return Math.exp(-z * z);
+    }
+
+    // Local { angle, speed, vertical } at (x, y) for free-stream `wind`;
+    // intensity 0 leaves the wind uniform
+    function sampleWindField(field, wind, x, y, t, intensity = 1) {
+        const half = field.roofHalfSize;
+        const k = intensity;
+        const flow = wake.flowDirection(wind.angle);
+        const across = x * flow.y - y * flow.x; // Signed offset from the flow's centreline
+        const fetch = fetchDistance(x, y, flow, half) / (2 * half); // 0 at windward edge, ~1 leeward
+
+        // Roof-edge updraft decays quickly once the flow has crossed the edge
+        const updraft = 0.35 * wind.speed * Math.exp(-fetch / 0.08);
+
+        // Separation bubble: slow air that curls back towards the centreline
+        const bubble = bump(fetch, 0.22, 0.12);
+        const slowdown = 0.4 * bubble;
+        const swirl = 35 * bubble * Math.sign(across) * Math.min(1, Math.abs(across) / half);
+
+        // Corner acceleration
+        const cornerDistance = Math.hypot(half - Math.abs(x), half - Math.abs(y)) / half;
+        const cornerSpeedup = 0.25 * Math.exp(-Math.pow(cornerDistance / 0.35, 2));
+
+        // Drifting small-scale turbulence
+        const [p0, p1, p2, p3] = field.phases;
+        const gust = 0.08 * Math.sin(1.7 * x + t / 9 + p0) * Math.sin(1.3 * y - t / 11 + p1);
+        const veer = 6 * Math.sin(1.1 * x - 0.9 * y + t / 13 + p2);
+        const eddy = 0.6 * Math.sin(0.8 * x + 1.4 * y - t / 7 + p3);
+
+        return {
+            angle: wind.angle + k * (swirl + veer),
+            speed: Math.max(0, wind.speed * (1 + k * (cornerSpeedup + gust - slowdown))),
+            vertical: wind.vertical + k * (updraft + eddy - 0.5 * slowdown * Math.abs(wind.vertical))
+        };
+    }
+
+    // Whether the field applies to a pattern: config.windField is
+    // 'urban' (urban pattern only), 'all' or 'off'
+    function isFieldActive(mode, pattern) {
+        return mode === 'all' || (mode === 'urban' && pattern === 'urban');
+    }
+
+    return { createWindField, sampleWindField, isFieldActive };
+}));
@@ -0,0 +1,190 @@
+// ===========================
+// WIND STATISTICS
+// ===========================
+// Running summary of the wind a run produced and where the energy came
+// from, built up step by step (time-weighted, so a changed timestep
+// doesn't skew it):
+//
+//   wind rose        hours per direction sector and speed band
+//   speed histogram  1 m/s bins, with a Weibull fit (method of moments)
+//   vertical wind    0.5 m/s bins from -10 to +10 m/s (ends collect the rest)
+//   turbulence       σ/mean of the speed, over the run and per 10 minutes
+//   sector energy    kWh captured by the swarm and each baseline, by sector
+//
+// Sectors are where the wind blows from, clockwise from north (up on the
+// roof plan): the engine's windAngle is where it blows towards.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.windStats = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SECTOR_LABELS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    const SECTOR_WIDTH = 360 / SECTOR_LABELS.length;
+    const ROSE_SPEEDS = [4, 8, 12, 16, 20]; // Upper edges of the wind rose bands (m/s); the last band is open
+    const SPEED_BIN = 1;                    // m/s
+    const VERTICAL_BIN = 0.5;               // m/s
+    const VERTICAL_LIMIT = 10;              // m/s either way
+    const TURBULENCE_BLOCK = 600;           // s, the usual 10-minute averaging period
+
+    function sectorOf(windAngle) {
+        const from = ((windAngle + 180) % 360 + 360) % 360;
+        return Math.floor((from + SECTOR_WIDTH / 2) / SECTOR_WIDTH) % SECTOR_LABELS.length;
+    }
+
+    function bandOf(speed) {
+        const band = ROSE_SPEEDS.findIndex(edge => speed < edge);
+        return band === -1 ? ROSE_SPEEDS.length : band;
+    }
+
+    // Lanczos approximation of the gamma function (x > 0)
+    function gamma(x) {
+        const g = 7;
+        const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+        if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+        x -= 1;
+        let a = c[0];
+        const t = x + g + 0.5;
+        for (let i = 1; i < g + 2; i++) a += c[i] / (x + i);
+        return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * a;
+    }
+
+    // Weibull shape k and scale c from the mean and standard deviation
+    // (Justus' empirical estimate), or null when the speed never varied
+    function fitWeibull(mean, std) {
+        if (!(mean > 0 && std > 0)) return null;
+        const k = Math.min(20, Math.pow(std / mean, -1.086));
+        return { k, c: mean / gamma(1 + 1 / k) };
+    }
+
+    // Probability density of a Weibull distribution at speed v
+    function weibullDensity(weibull, v) {
+        if (v < 0) return 0;
+        const { k, c } = weibull;
+        return (k / c) * Math.pow(v / c, k - 1) * Math.exp(-Math.pow(v / c, k));
+    }
+
+    function createMoments() {
+        return { weight: 0, sum: 0, squares: 0 };
+    }
+
+    function addMoment(moments, value, weight) {
+        moments.weight += weight;
+        moments.sum += value * weight;
+        moments.squares += value * value * weight;
+    }
+
+    function describeMoments(moments) {
+        if (moments.weight === 0) return { mean: 0, std: 0 };
+        const mean = moments.sum / moments.weight;
+        return { mean, std: Math.sqrt(Math.max(0, moments.squares / moments.weight - mean * mean)) };
+    }
+
+    // `baselineIds` fix the energy columns for the whole run; `from` is
+    // another instance's totals, to carry on from where it is (see fork())
+    function createWindStats(baselineIds, from = null) {
+        const totals = from ? JSON.parse(JSON.stringify(from)) : {
+            sectors: SECTOR_LABELS.map(() => ({
+                hours: 0,
+                bandHours: ROSE_SPEEDS.concat(Infinity).map(() => 0),
+                swarmEnergy: 0,
+                baselineEnergy: baselineIds.reduce((energy, id) => Object.assign(energy, { [id]: 0 }), {})
+            })),
+            speedHours: [],
+            verticalHours: new Array(Math.round(2 * VERTICAL_LIMIT / VERTICAL_BIN)).fill(0),
+            speed: createMoments(),
+            vertical: createMoments(),
+            updraftHours: 0,
+            block: { end: TURBULENCE_BLOCK, moments: createMoments(), samples: 0 },
+            turbulenceBlocks: [] // { seconds (block end), intensity }
+        };
+        const { sectors, speedHours, verticalHours, speed, vertical, turbulenceBlocks } = totals;
+        let { updraftHours, block } = totals;
+
+        // Called once per step with the engine's live state
+        function append(state, stepSeconds) {
+            const hours = stepSeconds / 3600;
+            const sector = sectors[sectorOf(state.windAngle)];
+            sector.hours += hours;
+            sector.bandHours[bandOf(state.windSpeed)] += hours;
+            sector.swarmEnergy += state.swarm.currentEnergy * hours;
+            state.baselines.forEach((b) => {
+                sector.baselineEnergy[b.id] += b.energy * hours;
+            });
+
+            const speedBin = Math.floor(Math.max(0, state.windSpeed) / SPEED_BIN);
+            while (speedHours.length <= speedBin) speedHours.push(0);
+            speedHours[speedBin] += hours;
+            const verticalBin = Math.floor((state.windVertical + VERTICAL_LIMIT) / VERTICAL_BIN);
+            verticalHours[Math.max(0, Math.min(verticalHours.length - 1, verticalBin))] += hours;
+            if (state.windVertical > 0) updraftHours += hours;
+
+            addMoment(speed, state.windSpeed, hours);
+            addMoment(vertical, state.windVertical, hours);
+
+            // Turbulence per block; a block needs two samples to mean anything
+            while (state.seconds > block.end) {
+                closeBlock();
+            }
+            addMoment(block.moments, state.windSpeed, hours);
+            block.samples++;
+        }
+
+        function closeBlock() {
+            const { mean, std } = describeMoments(block.moments);
+            if (block.samples >= 2 && mean > 0) {
+                turbulenceBlocks.push({ seconds: block.end, intensity: std / mean });
+            }
+            block = { end: block.end + TURBULENCE_BLOCK, moments: createMoments(), samples: 0 };
+        }
+
+        // Plain copy for snapshots, with the fitted and derived figures
+        function summary() {
+            const speedStats = describeMoments(speed);
+            const verticalStats = describeMoments(vertical);
+            return {
+                hours: speed.weight,
+                sectors: sectors.map((sector, i) => ({
+                    label: SECTOR_LABELS[i],
+                    from: i * SECTOR_WIDTH,
+                    hours: sector.hours,
+                    bandHours: sector.bandHours.slice(),
+                    swarmEnergy: sector.swarmEnergy,
+                    baselineEnergy: Object.assign({}, sector.baselineEnergy)
+                })),
+                roseSpeeds: ROSE_SPEEDS.slice(),
+                speedHistogram: { binWidth: SPEED_BIN, hours: speedHours.slice() },
+                verticalHistogram: { min: -VERTICAL_LIMIT, binWidth: VERTICAL_BIN, hours: verticalHours.slice() },
+                meanSpeed: speedStats.mean,
+                speedStd: speedStats.std,
+                weibull: fitWeibull(speedStats.mean, speedStats.std),
+                meanVertical: verticalStats.mean,
+                verticalStd: verticalStats.std,
+                updraftShare: speed.weight > 0 ? updraftHours / speed.weight : 0,
+                turbulenceIntensity: speedStats.mean > 0 ? speedStats.std / speedStats.mean : 0,
+                turbulenceBlocks: turbulenceBlocks.slice()
+            };
+        }
+
+        // An independent copy that carries on from here (engine keyframes)
+        function fork() {
+            return createWindStats(baselineIds,
+                { sectors, speedHours, verticalHours, speed, vertical, updraftHours, block, turbulenceBlocks });
+        }
+
+        return { append, summary, fork };
+    }
+
+    return {
+        SECTOR_LABELS,
+        TURBULENCE_BLOCK,
+        createWindStats,
+        fitWeibull,
+        weibullDensity
+    };
+}));
@@ -0,0 +1,91 @@
+// ===========================
+// WIND SIMULATION
+// ===========================
+// Synthetic wind patterns. sampleWind() maps a tick and the base speed to
+// { angle, speed, vertical }; turbulence comes from the `random` generator
+// passed in (see random.js) so seeded runs are reproducible.
+//
+// An optional `climate` (see climate.js) ties the wind to the clock: its
+// updraft replaces the urban pattern's free-running thermal term (and adds
+// to the others), and its speed factor and angle shift apply to all.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SwarmSim = root.SwarmSim || {};
+        root.SwarmSim.wind = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const PATTERNS = ['urban', 'variable', 'steady', 'gusty', 'rotating'];
+
+    function sampleWind(pattern, t, baseSpeed, random, climate) {
+        const sample = patternWind(pattern, t, baseSpeed, random, climate);
+        if (!climate) return sample;
+        return {
+            angle: (((sample.angle + climate.angleShift) % 360) + 360) % 360,
+            speed: sample.speed * climate.speedFactor,
+            vertical: sample.vertical + (pattern === 'urban' ? 0 : climate.updraft)
+        };
+    }
+
+    function patternWind(pattern, t, baseSpeed, random, climate) {
+        switch (pattern) {
+            case 'steady':
+                return { angle: 90, speed: baseSpeed, vertical: 0 }; // East
+
+            case 'gusty':
+                return {
+                    angle: 90 + Math.sin(t / 30) * 45,
+                    speed: baseSpeed * (0.7 + random() * 0.6),
+                    vertical: Math.sin(t / 20) * 3
+                };
+
+            case 'rotating':
+                return {
+                    angle: (t * 2) % 360,
+                    speed: baseSpeed,
+                    vertical: Math.sin(t / 40) * 2
+                };
+
+            case 'urban':
+                // Realistic urban wind with building effects
+                return {
+                    // Horizontal wind with channeling effects (Venturi)
+                    angle: 90 +
+                        Math.sin(t / 50) * 40 +      // Slow direction change
+                        Math.sin(t / 13) * 15 +      // Building channeling
+                        (random() - 0.5) * 8,   // Turbulence
+
+                    // Variable speed with gusts
+                    speed: baseSpeed * (
+                        0.75 +
+                        Math.sin(t / 35) * 0.25 +    // Periodic variation
+                        random() * 0.15         // Gusts
+                    ),
+
+                    // Vertical wind (updrafts from heated buildings, downdrafts from wind shear)
+                    vertical:
+                        (climate ? climate.updraft : Math.sin(t / 45) * 4) + // Thermal updrafts
+                        Math.sin(t / 17) * 2 +        // Building wake effects
+                        Math.cos(t / 29) * 1.5 +      // Wind shear
+                        (random() - 0.5) * 1     // Turbulent eddies
+                };
+
+            case 'variable':
+            default:
+                // Realistic wind with multiple frequencies
+                return {
+                    angle: 90 +
+                        Math.sin(t / 50) * 30 +
+                        Math.sin(t / 23) * 15 +
+                        Math.cos(t / 37) * 10,
+                    speed: baseSpeed * (0.8 + Math.sin(t / 40) * 0.2 + random() * 0.1),
+                    vertical: Math.sin(t / 30) * 2
+                };
+        }
+    }
+
+    return { PATTERNS, sampleWind };
+}));
@@ -0,0 +1,36 @@
+// ===========================
+// SIMULATION WORKER
+// ===========================
+// Runs the engine and its clock off the page's thread (see runner.js for
+// the messages); the page only renders what it is sent.
+importScripts(
+    'random.js',
+    'turbines.js',
+    'physics.js',
+    'wind-data.js',
+    'ring.js',
+    'recorder.js',
+    'history.js',
+    'layout.js',
+    'wake.js',
+    'wind-field.js',
+    'controllers.js',
+    'wind.js',
+    'actuator.js',
+    'baselines.js',
+    'faults.js',
+    'sensors.js',
+    'wind-stats.js',
+    'building.js',
+    'climate.js',
+    'timeline.js',
+    'simulation.js',
+    'batch.js',
+    'runner.js'
+);
+
+const runner = self.SwarmSim.runner.createRunner(message => self.postMessage(message));
+
+self.addEventListener('message', (e) => {
+    runner.handle(e.data);
+});
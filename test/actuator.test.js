@@ -0,0 +1,55 @@
+// ===========================
+// ACTUATOR TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_ACTUATOR, driveTurbine } = require('../sim/actuator');
+const { createSimulation } = require('../sim/simulation');
+
+function rotor(angle, targetAngle, tilt = 0, targetTilt = 0) {
+    return { angle, targetAngle, tilt, targetTilt };
+}
+
+test('a rotor facing the sensed wind ignores corrections inside the deadband', () => {
+    const turbine = rotor(90, 91);
+    const movement = driveTurbine(turbine, DEFAULT_ACTUATOR, 1, 60, 90.5);
+    assert.strictEqual(turbine.angle, 90);
+    assert.strictEqual(movement.yawDegrees, 0);
+    assert.strictEqual(movement.energy, 0);
+});
+
+test('a rotor off the sensed wind follows steps smaller than the deadband', () => {
+    const turbine = rotor(0, 0.5);
+    driveTurbine(turbine, DEFAULT_ACTUATOR, 1, 60, 90);
+    assert.ok(turbine.angle > 0 && turbine.angle < 0.5);
+});
+
+test('yaw is limited to the slew rate and turns the short way across north', () => {
+    const turbine = rotor(355, 5);
+    const settings = Object.assign({}, DEFAULT_ACTUATOR, { maxYawRate: 0.01 });
+    const movement = driveTurbine(turbine, settings, 1, 60, 0);
+    assert.ok(Math.abs(movement.yawDegrees - 0.6) < 1e-9);
+    assert.ok(Math.abs(turbine.angle - 355.6) < 1e-9);
+});
+
+test('tilt stays within ±30° and costs energy per degree', () => {
+    const turbine = rotor(0, 0, 29.9, 60);
+    const settings = Object.assign({}, DEFAULT_ACTUATOR, { maxTiltRate: 10 });
+    const movement = driveTurbine(turbine, settings, 1, 60, 0);
+    assert.strictEqual(turbine.tilt, 30);
+    assert.ok(Math.abs(movement.energy - 0.1 * DEFAULT_ACTUATOR.tiltEnergyPerDegree / 1000) < 1e-12);
+});
+
+// Hill-climb steps 5° × the learning rate, under the 2° deadband below 0.4
+['hill-climb', 'consensus'].forEach((controller) => {
+    test(`a ${controller} swarm at a low learning rate still turns into the wind`, () => {
+        const sim = createSimulation({ seed: 1, windPattern: 'steady', learningRate: 0.1, controller });
+        const start = sim.getSnapshot().swarm.turbines.map(t => t.angle);
+        sim.run(600);
+        const turbines = sim.getSnapshot().swarm.turbines;
+        turbines.forEach((turbine, i) => {
+            assert.ok(Math.abs(turbine.angle - start[i]) > 1, `rotor ${i} stayed at ${turbine.angle}°`);
+        });
+    });
+});
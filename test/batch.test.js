@@ -0,0 +1,73 @@
+// ===========================
+// BATCH STATISTICS TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { summarize, histogram, runBatch, batchToCsv } = require('../sim/batch');
+const { DEFAULT_CONFIG } = require('../sim/simulation');
+
+function near(actual, expected, tolerance = 1e-3) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+}
+
+test('summarize gives the mean, sample std and t-based 95% CI', () => {
+    const s = summarize([1, 2, 3, 4]);
+    assert.strictEqual(s.count, 4);
+    near(s.mean, 2.5);
+    near(s.std, Math.sqrt(5 / 3));
+    // t(3) = 3.182
+    near(s.ci95[0], 2.5 - 3.182 * Math.sqrt(5 / 3) / 2);
+    near(s.ci95[1], 2.5 + 3.182 * Math.sqrt(5 / 3) / 2);
+    assert.strictEqual(s.min, 1);
+    assert.strictEqual(s.max, 4);
+});
+
+test('summarize of one value has no spread, of none is NaN', () => {
+    assert.deepStrictEqual(summarize([7]).ci95, [7, 7]);
+    assert.ok(Number.isNaN(summarize([]).mean));
+});
+
+test('a large sample uses the normal critical value', () => {
+    const values = Array.from({ length: 1000 }, (_, i) => i % 2);
+    const s = summarize(values);
+    near((s.ci95[1] - s.ci95[0]) / 2, 1.96 * s.std / Math.sqrt(1000), 1e-4);
+});
+
+test('histogram bins span the values and count every one', () => {
+    const { edges, counts } = histogram([0, 1, 2, 3, 4, 5, 6, 7, 8, 10], 5);
+    assert.strictEqual(edges.length, 6);
+    assert.strictEqual(edges[0], 0);
+    assert.strictEqual(edges[5], 10);
+    assert.strictEqual(counts.reduce((a, b) => a + b, 0), 10);
+});
+
+test('consecutive seeds give a reproducible batch', () => {
+    const config = Object.assign({}, DEFAULT_CONFIG, { seed: 10 });
+    const a = runBatch(config, { runs: 3, steps: 100 });
+    const b = runBatch(config, { runs: 3, steps: 100 });
+    assert.deepStrictEqual(a.rows.map(r => r.seed), [10, 11, 12]);
+    assert.deepStrictEqual(a.rows, b.rows);
+});
+
+// A permanent outage on rotor 0 stops the single fixed turbine, but only
+// one of the small array's six
+test('runs where a baseline made no energy are left out of its statistics', () => {
+    const config = Object.assign({}, DEFAULT_CONFIG, {
+        seed: 1,
+        baselines: ['fixed', 'small-array'],
+        faults: [{ type: 'outage', target: 'baseline', turbine: 0, at: 0, duration: null }]
+    });
+    const result = runBatch(config, { runs: 3, steps: 100 });
+    const [fixed, small] = result.summary;
+
+    assert.ok(result.rows.every(r => r.baselines[0].energy === 0 && r.baselines[0].improvement === null));
+    assert.strictEqual(fixed.excluded, 3);
+    assert.strictEqual(fixed.improvement.count, 0);
+    assert.strictEqual(small.excluded, 0);
+    assert.strictEqual(small.improvement.count, 3);
+
+    const csv = batchToCsv(result);
+    assert.match(csv, /# improvement vs fixed: .*, 3 runs left out \(no baseline energy\)/);
+    assert.match(csv.split('\n').slice(-2)[0], /,,/); // An empty improvement cell
+});
@@ -0,0 +1,106 @@
+// ===========================
+// BUILDING LOAD & BATTERY TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_BUILDING, checkBuilding, parseLoadCsv, loadAt, createSite, dispatch, describeSite } = require('../sim/building');
+
+const HOUR = 3600;
+
+function near(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+}
+
+// A 10 kWh battery, half full, losing 10% each way
+function settings(changes) {
+    return Object.assign({}, DEFAULT_BUILDING, {
+        batteryCapacity: 10,
+        batteryChargePower: 5,
+        batteryDischargePower: 5,
+        batteryEfficiency: 0.81,
+        batteryInitialCharge: 0.5
+    }, changes);
+}
+
+test('output serves the load, then charges the battery, then is exported', () => {
+    const site = createSite(settings());
+    dispatch(site, 8, 2, HOUR, settings());
+    near(site.batteryPower, 5); // The charge power limit
+    near(site.charge, 5 + 5 * 0.9);
+    near(site.gridExport, 1);
+    assert.strictEqual(site.gridImport, 0);
+    near(site.batteryLosses, 0.5);
+});
+
+test('a shortfall is covered by the battery, then imported', () => {
+    const site = createSite(settings({ batteryInitialCharge: 0.2 }));
+    dispatch(site, 0, 4, HOUR, settings());
+    near(site.batteryPower, -2 * 0.9); // All the 2 kWh stored can deliver
+    assert.strictEqual(site.charge, 0);
+    near(site.gridImport, 4 - 1.8);
+});
+
+test('a full battery exports everything and an empty one imports everything', () => {
+    const full = createSite(settings({ batteryInitialCharge: 1 }));
+    dispatch(full, 6, 1, HOUR, settings());
+    near(full.gridExport, 5);
+
+    const none = createSite(settings({ batteryCapacity: 0 }));
+    dispatch(none, 0, 3, HOUR, settings({ batteryCapacity: 0 }));
+    near(none.gridImport, 3);
+    assert.strictEqual(none.stateOfCharge, 0);
+});
+
+test('energy is conserved over a run, losses included', () => {
+    const site = createSite(settings());
+    [[8, 2], [0, 4], [3, 3], [-0.5, 1], [12, 0], [0, 9]].forEach(([generation, load]) => {
+        dispatch(site, generation, load, HOUR / 2, settings());
+    });
+    near(site.generatedEnergy + site.importEnergy + site.dischargedEnergy,
+        site.loadEnergy + site.exportEnergy + site.chargedEnergy);
+    near(site.chargedEnergy * 0.9 - site.dischargedEnergy / 0.9, site.charge - 5);
+});
+
+test('drives drawing power count as load', () => {
+    const site = createSite(settings({ batteryCapacity: 0 }));
+    dispatch(site, -0.5, 1, HOUR, settings({ batteryCapacity: 0 }));
+    near(site.load, 1.5);
+    near(site.gridImport, 1.5);
+});
+
+test('self-consumption and self-sufficiency', () => {
+    const site = createSite(settings({ batteryCapacity: 0 }));
+    dispatch(site, 4, 1, HOUR, settings({ batteryCapacity: 0 }));
+    dispatch(site, 0, 3, HOUR, settings({ batteryCapacity: 0 }));
+    const shares = describeSite(site);
+    near(shares.selfConsumption, 1 / 4);
+    near(shares.selfSufficiency, 1 / 4);
+});
+
+test('preset profiles follow the weekly clock', () => {
+    const office = settings({ loadProfile: 'office', loadPeak: 20 });
+    near(loadAt(office, 10 * HOUR), 20);            // Monday 10:00
+    near(loadAt(office, (5 * 24 + 10) * HOUR), 5);  // Saturday 10:00
+    near(loadAt(office, 8.5 * HOUR), 20 * 0.95);    // Between 08:00 and 09:00
+    assert.strictEqual(loadAt(settings({ loadProfile: 'none' }), 10 * HOUR), 0);
+});
+
+test('custom load files parse and wrap around the day', () => {
+    const loadData = parseLoadCsv('time,kW\n00:00,2\n12:00,6\n18:00,4\n');
+    assert.strictEqual(loadData.period, 24);
+    const custom = settings({ loadProfile: 'custom', loadData });
+    near(loadAt(custom, 6 * HOUR), 4);
+    near(loadAt(custom, 21 * HOUR), 3); // Back towards midnight's 2 kW
+    near(loadAt(custom, (24 + 6) * HOUR), 4);
+
+    assert.throws(() => parseLoadCsv('0,1\n2,x\n1,3\n0.5,3'), /Line 2: load "x".*\nLine 4: time is not after/);
+    assert.throws(() => parseLoadCsv('0,1'), /At least two rows/);
+});
+
+test('bad building settings are rejected', () => {
+    assert.throws(() => checkBuilding(settings({ loadProfile: 'toString' })), /Unknown load profile/);
+    assert.throws(() => checkBuilding(settings({ batteryCapacity: -1 })), /batteryCapacity/);
+    assert.throws(() => checkBuilding(settings({ batteryEfficiency: 0 })), /round-trip efficiency/);
+    assert.throws(() => checkBuilding(settings({ batteryInitialCharge: 1.5 })), /between empty and full/);
+});
@@ -0,0 +1,69 @@
+// ===========================
+// DAY & SEASON CYCLE TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_CLIMATE, checkClimate, clockSeconds, dateAt, climateAt } = require('../sim/climate');
+const { sampleWind } = require('../sim/wind');
+const { createRandom } = require('../sim/random');
+
+function settings(changes) {
+    return Object.assign({}, DEFAULT_CLIMATE, { dayCycle: true }, changes);
+}
+
+test('the clock counts from Monday 00:00 and the start hour', () => {
+    assert.strictEqual(clockSeconds(settings({ startHour: 30 }), 600), 30 * 3600 + 600);
+    assert.strictEqual(climateAt(settings({ startHour: 30 }), 0).hour, 6);
+});
+
+test('the date turns over at the clock\'s midnight, not a day after the start', () => {
+    const evening = settings({ startHour: 22, dayOfYear: 100 });
+    assert.strictEqual(Math.floor(dateAt(evening, 0)), 100);
+    assert.strictEqual(Math.floor(dateAt(evening, 1.5 * 3600)), 100);
+    assert.strictEqual(Math.floor(dateAt(evening, 2.5 * 3600)), 101);
+    // A start later in the week is still on the start date
+    assert.strictEqual(dateAt(settings({ startHour: 36, dayOfYear: 100 }), 0), 100.5);
+});
+
+test('the date wraps from 31 December to 1 January', () => {
+    const newYear = settings({ startHour: 12, dayOfYear: 365 });
+    assert.strictEqual(Math.floor(dateAt(newYear, 86400)), 1);
+});
+
+test('updrafts peak in the afternoon and sink at night', () => {
+    const at = hour => climateAt(settings({ startHour: hour }), 0);
+    assert.ok(at(14).updraft > at(10).updraft);
+    assert.ok(at(14).updraft > 4);
+    assert.ok(at(2).updraft < 0);
+    assert.ok(at(2).sunElevation < 0);
+});
+
+test('winter wind is faster and veered in the north, the other way round in the south', () => {
+    const winter = climateAt(settings({ dayOfYear: 15, startHour: 12 }), 0);
+    const summer = climateAt(settings({ dayOfYear: 197, startHour: 12 }), 0);
+    assert.ok(winter.angleShift > 29 && summer.angleShift < -29);
+    assert.ok(winter.speedFactor / (1 + 0.2 * (winter.heating - 0.25)) > 1.19);
+
+    const south = climateAt(settings({ dayOfYear: 15, startHour: 12, latitude: -35 }), 0);
+    assert.ok(south.angleShift < -29);
+});
+
+test('shifted wind headings stay within 0-360°', () => {
+    const random = createRandom(1);
+    const veered = { angleShift: 30, speedFactor: 1, updraft: 0 };
+    const backed = { angleShift: -30, speedFactor: 1, updraft: 0 };
+    for (let t = 0; t < 360; t += 7) {
+        [veered, backed].forEach((climate) => {
+            const angle = sampleWind('rotating', t, 10, random, climate).angle;
+            assert.ok(angle >= 0 && angle < 360, `${angle}° at t=${t}`);
+        });
+    }
+    assert.strictEqual(sampleWind('rotating', 170, 10, random, veered).angle, 10);
+});
+
+test('out-of-range clock settings are rejected', () => {
+    assert.throws(() => checkClimate(settings({ startHour: 168 })), /start hour/);
+    assert.throws(() => checkClimate(settings({ dayOfYear: 0 })), /day of the year/);
+    assert.throws(() => checkClimate(settings({ latitude: 91 })), /latitude/);
+});
@@ -0,0 +1,85 @@
+// ===========================
+// PROJECT ECONOMICS TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_ECONOMICS, checkEconomics, annuityFactor, evaluateEconomics } = require('../sim/economics');
+
+const YEAR = 365 * 86400;
+
+function near(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+}
+
+function settings(changes) {
+    return Object.assign({}, DEFAULT_ECONOMICS, changes);
+}
+
+// A quarter-year window with the given swarm and baseline energy (kWh)
+function snapshot(swarmEnergy, baselines) {
+    return {
+        seconds: YEAR / 4,
+        swarm: { totalEnergy: swarmEnergy, turbines: new Array(6).fill({}) },
+        baselines: baselines.map(([id, energy, rotors, ratedPower]) => ({
+            id, label: id, totalEnergy: energy, turbines: new Array(rotors).fill({}), model: { ratedPower }
+        }))
+    };
+}
+
+const BASELINE_MODEL = { ratedPower: 6 };
+
+test('the annuity factor discounts yearly payments', () => {
+    assert.strictEqual(annuityFactor(0, 20), 20);
+    near(annuityFactor(0.06, 20), 11.469921);
+    near(annuityFactor(0.1, 1), 1 / 1.1);
+});
+
+test('LCOE, payback and NPV follow from yield, costs and the tariff', () => {
+    const econ = settings({ swarmTurbineCost: 4000, installationCost: 1000, maintenanceCost: 100, tariff: 0.3, discountRate: 0, lifetime: 10 });
+    const { swarm } = evaluateEconomics(snapshot(2500, [['fixed', 1000, 1, 6]]), econ, BASELINE_MODEL);
+
+    assert.strictEqual(swarm.annualEnergy, 10000); // Window scaled up to a year
+    assert.strictEqual(swarm.capex, 30000);
+    assert.strictEqual(swarm.annualMaintenance, 600);
+    near(swarm.annualRevenue, 3000);
+    near(swarm.lcoe, (30000 + 6000) / 100000);
+    near(swarm.paybackYears, 30000 / 2400);
+    near(swarm.npv, 2400 * 10 - 30000);
+});
+
+test('discounting raises the LCOE and lowers the NPV', () => {
+    const snap = snapshot(2500, [['fixed', 1000, 1, 6]]);
+    const flat = evaluateEconomics(snap, settings({ discountRate: 0 }), BASELINE_MODEL).swarm;
+    const discounted = evaluateEconomics(snap, settings({ discountRate: 0.08 }), BASELINE_MODEL).swarm;
+    assert.ok(discounted.lcoe > flat.lcoe);
+    assert.ok(discounted.npv < flat.npv);
+    assert.strictEqual(discounted.paybackYears, flat.paybackYears); // Undiscounted
+});
+
+test('baseline rotors are priced by rated power against the baseline turbine', () => {
+    const econ = settings({ baselineTurbineCost: 12000 });
+    const result = evaluateEconomics(snapshot(2500, [['fixed', 1000, 1, 6], ['small-array', 900, 6, 1]]), econ, BASELINE_MODEL);
+    const [fixed, small] = result.baselines;
+    assert.strictEqual(fixed.rotorCost, 12000);
+    assert.strictEqual(small.rotorCost, 2000);
+    assert.strictEqual(small.capex, 6 * (2000 + econ.installationCost));
+});
+
+test('figures that do not exist are null', () => {
+    const { swarm } = evaluateEconomics(snapshot(0, [['fixed', 0, 1, 6]]), settings({}), BASELINE_MODEL);
+    assert.strictEqual(swarm.lcoe, null);
+    assert.strictEqual(swarm.paybackYears, null); // Never pays back
+    assert.ok(swarm.npv < 0);
+
+    const start = Object.assign(snapshot(0, [['fixed', 0, 1, 6]]), { seconds: 0 });
+    assert.strictEqual(evaluateEconomics(start, settings({}), BASELINE_MODEL).swarm.annualEnergy, 0);
+});
+
+test('bad economics settings are rejected', () => {
+    checkEconomics(DEFAULT_ECONOMICS);
+    assert.throws(() => checkEconomics(settings({ tariff: -1 })), /tariff cannot be negative/);
+    assert.throws(() => checkEconomics(settings({ maintenanceCost: 'x' })), /maintenanceCost/);
+    assert.throws(() => checkEconomics(settings({ discountRate: 1 })), /discount rate/);
+    assert.throws(() => checkEconomics(settings({ lifetime: 2.5 })), /lifetime/);
+});
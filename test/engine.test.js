@@ -0,0 +1,154 @@
+// ===========================
+// ENGINE TESTS
+// ===========================
+// Checks the guarantees the rest of the project builds on: a seed and its
+// settings fully determine a run, branching reproduces it, and scenarios
+// survive saving and loading. Run with `node --test test/`.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSimulation } = require('../sim/simulation');
+const { createScenario, scenarioConfig, scenarioEconomics, parseScenario, scenarioToJson,
+    scenarioToHash, scenarioFromHash, listPresets, getPreset } = require('../sim/scenarios');
+
+// Snapshots as plain data, the way they are saved and sent
+function comparable(snapshot) {
+    return JSON.parse(JSON.stringify(snapshot));
+}
+
+// ===========================
+// DETERMINISM
+// ===========================
+test('the same seed and settings give an identical run', () => {
+    const options = { seed: 42, windPattern: 'gusty', baselines: ['fixed', 'yaw-tracking'], faultRate: 1 };
+    const a = createSimulation(options);
+    const b = createSimulation(options);
+    a.run(500);
+    b.run(500);
+    assert.deepStrictEqual(comparable(a.getSnapshot()), comparable(b.getSnapshot()));
+    assert.deepStrictEqual(a.getRecording().frames, b.getRecording().frames);
+});
+
+test('a different seed gives a different run', () => {
+    const a = createSimulation({ seed: 1 });
+    const b = createSimulation({ seed: 2 });
+    a.run(200);
+    b.run(200);
+    assert.notStrictEqual(a.getSnapshot().swarm.totalEnergy, b.getSnapshot().swarm.totalEnergy);
+});
+
+test('reset() starts the same run again', () => {
+    const sim = createSimulation({ seed: 7 });
+    sim.run(300);
+    const first = comparable(sim.getSnapshot());
+    sim.reset();
+    sim.run(300);
+    assert.deepStrictEqual(comparable(sim.getSnapshot()), first);
+});
+
+// ===========================
+// BRANCHING
+// ===========================
+// Runs `steps` steps with a wind speed change after step 400 (if it gets there)
+function runWithChange(steps, change = true) {
+    const sim = createSimulation({ seed: 5, windPattern: 'variable' });
+    sim.run(Math.min(steps, 400));
+    if (change && steps > 400) {
+        sim.setConfig({ windSpeed: 11 });
+    }
+    sim.run(steps - Math.min(steps, 400));
+    return sim;
+}
+
+// Either side of a keyframe (every 250 steps) and on it, before and after
+// the change
+[0, 1, 249, 250, 251, 777].forEach((time) => {
+    test(`branching from step ${time} keeps the steps before it and carries on identically`, () => {
+        const sim = runWithChange(900);
+        const before = comparable(sim.getTimeline().frameAt(time));
+        sim.branchFrom(time);
+
+        assert.strictEqual(sim.getClock().time, time);
+        assert.deepStrictEqual(comparable(sim.getTimeline().frameAt(time)), before);
+        assert.strictEqual(sim.getTimeline().frameAt(time + 1), null);
+
+        // Changes made after the branch point are dropped with the steps
+        const reference = runWithChange(900, time > 400);
+        sim.run(900 - time);
+        assert.deepStrictEqual(comparable(sim.getSnapshot()), comparable(reference.getSnapshot()));
+        assert.deepStrictEqual(sim.getRecording().frames, reference.getRecording().frames);
+    });
+});
+
+test('a branch takes the settings it had at that step', () => {
+    const sim = createSimulation({ seed: 9 });
+    sim.run(100);
+    sim.setConfig({ windSpeed: 8 });
+    sim.run(100);
+    sim.branchFrom(50);
+    assert.strictEqual(sim.getConfig().windSpeed, 15);
+});
+
+// ===========================
+// SCENARIOS
+// ===========================
+test('a scenario keeps the whole config and economics through JSON and links', () => {
+    const sim = createSimulation({ seed: 12, windSpeed: 11, layout: { type: 'hex', rings: 1 }, controller: 'consensus' });
+    const scenario = createScenario('Round trip', sim.getConfig(), { tariff: 0.31, lifetime: 15 });
+
+    const fromJson = parseScenario(scenarioToJson(scenario));
+    const fromHash = scenarioFromHash(scenarioToHash(scenario));
+    assert.deepStrictEqual(fromJson, scenario);
+    assert.deepStrictEqual(fromHash, scenario);
+    assert.strictEqual(scenarioEconomics(fromJson).tariff, 0.31);
+
+    // The loaded config runs exactly like the original
+    const a = createSimulation(scenarioConfig(fromJson));
+    const b = createSimulation(sim.getConfig());
+    a.run(200);
+    b.run(200);
+    assert.deepStrictEqual(comparable(a.getSnapshot()), comparable(b.getSnapshot()));
+});
+
+test('version 1 scenarios load with the defaults filled in', () => {
+    const scenario = parseScenario({ format: 'swarm-turbine-scenario', version: 1, name: 'Old', config: { seed: 4, windSpeed: 9 } });
+    const config = scenarioConfig(scenario);
+    assert.strictEqual(config.windSpeed, 9);
+    assert.strictEqual(config.controller, 'hill-climb');
+    assert.strictEqual(scenarioEconomics(scenario).lifetime, 20);
+});
+
+test('every preset loads', () => {
+    listPresets().forEach(preset => parseScenario(getPreset(preset.id)));
+});
+
+test('scenarios with bad fields are rejected', () => {
+    [
+        { learningRate: 'x' },
+        { windSpeed: -50 },
+        { spacing: 0 },
+        { airDensity: 'a' },
+        { wakeDecay: -1 },
+        { layout: { type: 'grid', rows: 1000, cols: 1000 } },
+        { controller: 'nope' },
+        { controller: 'toString' },
+        { estimator: 'constructor' },
+        { loadProfile: '__proto__' },
+        { windField: 'hasOwnProperty' },
+        { swarmTurbine: 'valueOf' },
+        { baselines: ['fixed', 'toString'] },
+        { faultTypes: ['constructor'] },
+        { layout: { type: 'hexagon', rings: 3 } },
+        { layout: { type: 'hex', rings: 4 } },
+        { layout: { type: 'grid', rows: 2.5, cols: 3 } }
+    ].forEach((config) => {
+        assert.throws(() => parseScenario({ format: 'swarm-turbine-scenario', version: 2, name: 'Bad', config }),
+            undefined, JSON.stringify(config));
+    });
+});
+
+test('a scenario may carry its own turbine model', () => {
+    const model = { name: 'Test', rotorDiameter: 3, cutIn: 3, cutOut: 20, powerCurve: [[3, 0.1], [12, 2], [20, 2]] };
+    const scenario = parseScenario(createScenario('Own model', { swarmTurbine: model }));
+    assert.deepStrictEqual(scenario.config.swarmTurbine, model);
+});
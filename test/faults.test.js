@@ -0,0 +1,48 @@
+// ===========================
+// FAULT INJECTION TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { faultsOnRotors } = require('../sim/faults');
+const { createSimulation, rotorCounts } = require('../sim/simulation');
+
+function outage(target, turbine) {
+    return { type: 'outage', target, turbine, at: 0, duration: null };
+}
+
+test('a scheduled outage stops its rotor from the start', () => {
+    const sim = createSimulation({ seed: 1, faults: [outage('swarm', 2)] });
+    sim.run(10);
+    const turbines = sim.getSnapshot().swarm.turbines;
+    assert.deepStrictEqual(turbines[2].faults, ['outage']);
+    assert.strictEqual(turbines[2].energy, 0);
+    assert.ok(turbines[1].energy > 0);
+});
+
+test('rotor counts follow the layout and the largest chosen baseline', () => {
+    assert.deepStrictEqual(rotorCounts({ layout: { type: 'hex', rings: 1 }, baselines: ['fixed'] }), { swarm: 7, baseline: 1 });
+    assert.deepStrictEqual(rotorCounts({ layout: { type: 'honeycomb' }, baselines: ['fixed', 'small-array'] }), { swarm: 6, baseline: 6 });
+});
+
+test('faults on rotors the run does not have are rejected', () => {
+    assert.throws(() => createSimulation({ faults: [outage('swarm', 6)] }), /swarm turbine 7, but the layout has 6/);
+    assert.throws(() => createSimulation({ faults: [outage('baseline', 1)] }), /baseline rotor 2, but the largest baseline has 1/);
+    createSimulation({ faults: [outage('baseline', 5)], baselines: ['fixed', 'small-array'] });
+
+    const sim = createSimulation({ layout: { type: 'hex', rings: 1 } });
+    assert.throws(() => sim.setConfig({ faults: [outage('swarm', 7)] }), /swarm turbine 8/);
+    sim.setConfig({ faults: [outage('swarm', 6)] });
+});
+
+test('a layout or baseline change cannot strand a scheduled fault', () => {
+    const sim = createSimulation({ layout: { type: 'hex', rings: 1 }, baselines: ['small-array'], faults: [outage('swarm', 6), outage('baseline', 3)] });
+    assert.throws(() => sim.setConfig({ layout: { type: 'honeycomb' } }), /swarm turbine 7/);
+    assert.throws(() => sim.setConfig({ baselines: ['fixed'] }), /baseline rotor 4/);
+
+    // Dropping the stranded faults with the change is fine
+    const changes = { layout: { type: 'honeycomb' }, baselines: ['fixed'] };
+    const kept = faultsOnRotors(sim.getConfig().faults, rotorCounts(Object.assign({}, sim.getConfig(), changes)));
+    assert.deepStrictEqual(kept, []);
+    sim.setConfig(Object.assign({ faults: kept }, changes));
+});
@@ -0,0 +1,59 @@
+// ===========================
+// SWARM LAYOUT TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MAX_TURBINES, createLayout, parseCustomPositions, measureLayout } = require('../sim/layout');
+
+test('each layout type has the expected turbine count', () => {
+    assert.strictEqual(createLayout().length, 6);
+    assert.strictEqual(createLayout({ type: 'honeycomb' }).length, 6);
+    assert.deepStrictEqual([1, 2, 3].map(rings => createLayout({ type: 'hex', rings }).length), [7, 19, 37]);
+    assert.strictEqual(createLayout({ type: 'grid', rows: 2, cols: 5 }).length, 10);
+    assert.strictEqual(createLayout({ type: 'custom', positions: [{ x: 0, y: 0 }, { x: 1, y: 0 }] }).length, 2);
+});
+
+test('hex arrays start at the centre and sit one unit apart', () => {
+    const positions = createLayout({ type: 'hex', rings: 2 });
+    assert.deepStrictEqual(positions[0], { x: 0, y: 0 });
+    assert.deepStrictEqual(positions[1], { x: 0, y: -1 }); // First ring starts at the top
+    positions.slice(1, 7).forEach(p => assert.ok(Math.abs(Math.hypot(p.x, p.y) - 1) < 1e-9));
+    assert.ok(Math.abs(measureLayout(positions).minSpacing - 1) < 1e-9);
+    assert.strictEqual(measureLayout(positions).extent, 2);
+});
+
+test('grids are centred on the origin', () => {
+    const positions = createLayout({ type: 'grid', rows: 3, cols: 2 });
+    assert.deepStrictEqual(positions[0], { x: -0.5, y: -1 });
+    assert.deepStrictEqual(positions[5], { x: 0.5, y: 1 });
+});
+
+test('unknown layout types are rejected', () => {
+    ['ring', 'toString', '__proto__', undefined].forEach((type) => {
+        assert.throws(() => createLayout({ type }), /Unknown layout type/);
+    });
+    assert.throws(() => createLayout(null), /Unknown layout type/);
+});
+
+test('rows, columns and rings must be whole numbers of at least 1', () => {
+    [0, -2, 1.5, '3', NaN, undefined].forEach((count) => {
+        assert.throws(() => createLayout({ type: 'grid', rows: count, cols: 3 }), /Grid rows/);
+        assert.throws(() => createLayout({ type: 'grid', rows: 3, cols: count }), /Grid columns/);
+        assert.throws(() => createLayout({ type: 'hex', rings: count }), /Hex rings/);
+    });
+    assert.throws(() => createLayout({ type: 'hex', rings: 4 }), /at most 3 rings/);
+});
+
+test('oversized and empty layouts are rejected', () => {
+    assert.throws(() => createLayout({ type: 'grid', rows: 21, cols: 20 }), new RegExp(`limited to ${MAX_TURBINES}`));
+    assert.throws(() => createLayout({ type: 'custom', positions: [] }), /at least one position/);
+    assert.throws(() => createLayout({ type: 'custom', positions: [{ x: 'a', y: 0 }] }), /numeric x and y/);
+});
+
+test('custom positions parse one "x, y" per line', () => {
+    const text = '# comment\n0, 0\n\n1.5 2 # trailing\n-1;0\r\n';
+    assert.deepStrictEqual(parseCustomPositions(text), [{ x: 0, y: 0 }, { x: 1.5, y: 2 }, { x: -1, y: 0 }]);
+    assert.throws(() => parseCustomPositions('0, 0\n1, 2, 3\nfoo'), /Line 2.*\nLine 3/);
+    assert.throws(() => parseCustomPositions('# nothing'), /at least one/);
+});
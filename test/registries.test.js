@@ -0,0 +1,37 @@
+// ===========================
+// REGISTRY LOOKUP TESTS
+// ===========================
+// Ids are looked up in plain objects: names inherited from
+// Object.prototype must be rejected like any other unknown id.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSimulation } = require('../sim/simulation');
+const { getController } = require('../sim/controllers');
+const { getBaseline } = require('../sim/baselines');
+const { resolveTurbine } = require('../sim/turbines');
+const { getPreset } = require('../sim/scenarios');
+
+const PROTOTYPE_KEYS = ['toString', 'constructor', '__proto__', 'hasOwnProperty'];
+
+PROTOTYPE_KEYS.forEach((id) => {
+    test(`"${id}" is not a controller, baseline, turbine or preset`, () => {
+        assert.throws(() => getController(id), /Unknown controller/);
+        assert.throws(() => getBaseline(id), /Unknown baseline/);
+        assert.throws(() => resolveTurbine(id), /Unknown turbine/);
+        assert.throws(() => getPreset(id), /Unknown preset/);
+    });
+
+    test(`the engine rejects "${id}" for every id setting`, () => {
+        assert.throws(() => createSimulation({ controller: id }), /Unknown controller/);
+        assert.throws(() => createSimulation({ estimator: id }), /Unknown estimator/);
+        assert.throws(() => createSimulation({ loadProfile: id }), /Unknown load profile/);
+        assert.throws(() => createSimulation({ baselines: [id] }), /Unknown baseline/);
+        assert.throws(() => createSimulation({ swarmTurbine: id }), /Unknown turbine/);
+        assert.throws(() => createSimulation({ faultTypes: [id] }), /Unknown fault/);
+
+        const sim = createSimulation();
+        assert.throws(() => sim.setConfig({ controller: id }), /Unknown controller/);
+        sim.run(2);
+    });
+});
@@ -0,0 +1,81 @@
+// ===========================
+// SENSOR & ESTIMATOR TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_SENSORS, createSensor, readWind, readPower } = require('../sim/sensors');
+const { createRandom } = require('../sim/random');
+const { createSimulation } = require('../sim/simulation');
+
+const WIND = { angle: 90, speed: 10, vertical: 0.5 };
+
+function settings(changes) {
+    return Object.assign({}, DEFAULT_SENSORS, changes);
+}
+
+// Mean absolute heading error of `steps` readings of a steady wind
+function headingError(changes, steps = 2000) {
+    const sensor = createSensor();
+    const rng = createRandom(1);
+    let total = 0;
+    for (let i = 1; i <= steps; i++) {
+        total += Math.abs(readWind(sensor, WIND, i * 60, settings(changes), rng).angle - WIND.angle);
+    }
+    return total / steps;
+}
+
+test('ideal sensors report the true wind and power', () => {
+    const sensor = createSensor();
+    const rng = createRandom(1);
+    assert.deepStrictEqual(readWind(sensor, WIND, 60, DEFAULT_SENSORS, rng), WIND);
+    assert.strictEqual(readPower(3.2, DEFAULT_SENSORS, rng), 3.2);
+});
+
+test('bias offsets every reading', () => {
+    const reading = readWind(createSensor(), WIND, 60, settings({ sensorAngleBias: 7, sensorSpeedBias: -1 }), createRandom(1));
+    assert.strictEqual(reading.angle, 97);
+    assert.strictEqual(reading.speed, 9);
+});
+
+test('latency delivers readings that many seconds late', () => {
+    const sensor = createSensor();
+    const rng = createRandom(1);
+    const delayed = settings({ sensorLatency: 120 });
+    const angles = [10, 20, 30, 40].map((angle, i) =>
+        readWind(sensor, { angle, speed: 10, vertical: 0 }, (i + 1) * 60, delayed, rng).angle);
+    // The first reading stands in while the pipeline fills
+    assert.deepStrictEqual(angles, [10, 10, 10, 20]);
+});
+
+test('the filters track a steady wind better than raw noisy readings', () => {
+    const raw = headingError({ sensorAngleNoise: 10 });
+    const exponential = headingError({ sensorAngleNoise: 10, estimator: 'exponential', estimatorTimeConstant: 600 });
+    const kalman = headingError({ sensorAngleNoise: 10, estimator: 'kalman', kalmanProcessScale: 0.01 });
+    assert.ok(raw > 6 && raw < 10, `raw error ${raw}`);
+    assert.ok(exponential < raw / 2, `exponential error ${exponential}`);
+    assert.ok(kalman < raw / 2, `kalman error ${kalman}`);
+});
+
+test('power readings scatter around the true power', () => {
+    const rng = createRandom(3);
+    const noisy = settings({ sensorPowerNoise: 0.05 });
+    let total = 0;
+    for (let i = 0; i < 5000; i++) {
+        total += readPower(2, noisy, rng);
+    }
+    assert.ok(Math.abs(total / 5000 - 2) < 0.01);
+});
+
+// The oracle is the upper bound the controllers are measured against, so
+// bad instruments must not cost it anything (beyond the yaw drive's
+// deadband, which reads the rotor's own vane)
+test('the oracle ignores sensor noise and bias', () => {
+    const energy = (changes) => {
+        const sim = createSimulation(Object.assign({ seed: 2, windPattern: 'variable', controller: 'oracle' }, changes));
+        sim.run(600);
+        return sim.getSnapshot().swarm.totalEnergy;
+    };
+    const exact = energy({});
+    assert.ok(Math.abs(energy({ sensorAngleNoise: 20, sensorAngleBias: 30 }) - exact) < exact * 1e-4);
+});
@@ -0,0 +1,79 @@
+// ===========================
+// TURBINE MODEL TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { STANDARD_AIR_DENSITY, turbinePower, powerCoefficient, resolveTurbine, listTurbines } = require('../sim/turbines');
+
+function near(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+}
+
+test('every preset resolves to a valid model with a rated power', () => {
+    listTurbines().forEach(({ id }) => {
+        const model = resolveTurbine(id);
+        assert.ok(model.ratedPower > 0, id);
+        assert.ok(model.ratedSpeed > model.cutIn, id);
+    });
+});
+
+test('tabulated curves interpolate between their points', () => {
+    const model = resolveTurbine('micro-3kw');
+    near(turbinePower(model, 8).power, 0.73);
+    near(turbinePower(model, 8.5).power, (0.73 + 1.04) / 2);
+    near(turbinePower(model, 16).power, 3);
+});
+
+test('no power below cut-in, above cut-out or facing away', () => {
+    ['micro-1kw', 'micro-3kw'].forEach((id) => {
+        const model = resolveTurbine(id);
+        assert.strictEqual(turbinePower(model, model.cutIn - 0.1).power, 0);
+        assert.strictEqual(turbinePower(model, model.cutOut + 0.1).power, 0);
+        assert.strictEqual(turbinePower(model, 10, STANDARD_AIR_DENSITY, 0).power, 0);
+    });
+});
+
+test('Cp(λ) models peak at their own Cp and tip-speed ratio', () => {
+    const model = resolveTurbine('rooftop-6kw');
+    near(powerCoefficient(model, model.optimalTipSpeedRatio), model.maxPowerCoefficient);
+    assert.ok(powerCoefficient(model, model.optimalTipSpeedRatio * 0.7) < model.maxPowerCoefficient);
+    assert.ok(powerCoefficient(model, model.optimalTipSpeedRatio * 1.3) < model.maxPowerCoefficient);
+});
+
+test('power rises to rated and holds there, never beating Betz', () => {
+    const model = resolveTurbine('rooftop-6kw');
+    let last = 0;
+    for (let speed = model.cutIn; speed <= model.cutOut; speed += 0.5) {
+        const { power, powerCoefficient: cp } = turbinePower(model, speed);
+        assert.ok(power >= last - 1e-9, `power fell at ${speed} m/s`);
+        assert.ok(power <= model.ratedPower + 1e-9);
+        assert.ok(cp <= 16 / 27);
+        last = power;
+    }
+    near(turbinePower(model, model.cutOut).power, model.ratedPower);
+});
+
+test('thin air and misalignment cost power', () => {
+    ['micro-1kw', 'micro-3kw'].forEach((id) => {
+        const model = resolveTurbine(id);
+        const full = turbinePower(model, 8).power;
+        assert.ok(turbinePower(model, 8, 1.0).power < full, id);
+        assert.ok(turbinePower(model, 8, STANDARD_AIR_DENSITY, 0.5).power < full, id);
+    });
+});
+
+test('a larger rotor scales power with swept area', () => {
+    const base = resolveTurbine('micro-3kw');
+    const bigger = resolveTurbine('micro-3kw', { rotorDiameter: 6 });
+    near(bigger.ratedPower, base.ratedPower * 4);
+    near(bigger.maxRotorSpeed, base.maxRotorSpeed / 2);
+});
+
+test('bad models are rejected', () => {
+    assert.throws(() => resolveTurbine('nope'), /Unknown turbine/);
+    assert.throws(() => resolveTurbine(42), /preset id or a model object/);
+    assert.throws(() => resolveTurbine({ preset: 'micro-1kw', ratedSpeed: 30 }), /cut-in < rated < cut-out/);
+    assert.throws(() => resolveTurbine({ preset: 'micro-1kw', maxPowerCoefficient: 0.6 }), /Betz/);
+    assert.throws(() => resolveTurbine({ rotorDiameter: 2, cutIn: 3, cutOut: 20, powerCurve: [[5, 1], [4, 2]] }), /rising speed order/);
+});
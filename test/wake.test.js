@@ -0,0 +1,62 @@
+// ===========================
+// WAKE MODEL TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { computeWakeDeficits, wakeConeOutline, flowDirection } = require('../sim/wake');
+
+const PARAMS = { spacing: 3, wakeDecay: 0.075, thrustCoefficient: 0.8 };
+const EAST = 90; // Blowing towards +x
+
+function near(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+}
+
+// Jensen deficit of a rotor fully inside a wake `x` diameters downstream
+function jensen(x, params = PARAMS) {
+    return (1 - Math.sqrt(1 - params.thrustCoefficient)) * Math.pow(0.5 / (0.5 + params.wakeDecay * x), 2);
+}
+
+test('wind blows towards its angle, 0° up the canvas', () => {
+    near(flowDirection(0).y, -1);
+    near(flowDirection(EAST).x, 1);
+});
+
+test('a rotor straight downstream sees the Jensen deficit, the upstream one none', () => {
+    const [upstream, downstream] = computeWakeDeficits([{ x: 0, y: 0 }, { x: 1, y: 0 }], EAST, PARAMS);
+    assert.strictEqual(upstream, 0);
+    near(downstream, jensen(3));
+});
+
+test('the deficit recovers with distance and faster with more wake decay', () => {
+    const deficit = (x, params = PARAMS) => computeWakeDeficits([{ x: 0, y: 0 }, { x, y: 0 }], EAST, params)[1];
+    assert.ok(deficit(2) < deficit(1));
+    assert.ok(deficit(1, Object.assign({}, PARAMS, { wakeDecay: 0.1 })) < deficit(1));
+});
+
+test('crosswind neighbours and parked rotors shed no wake on each other', () => {
+    assert.deepStrictEqual(computeWakeDeficits([{ x: 0, y: 0 }, { x: 0, y: 1 }], EAST, PARAMS), [0, 0]);
+    assert.deepStrictEqual(computeWakeDeficits([{ x: 0, y: 0, parked: true }, { x: 1, y: 0 }], EAST, PARAMS), [0, 0]);
+});
+
+test('a rotor at the wake edge gets part of the deficit', () => {
+    const offset = 0.5 / PARAMS.spacing; // Half a diameter off the wake axis
+    const partial = computeWakeDeficits([{ x: 0, y: 0 }, { x: 1, y: offset }], EAST, PARAMS)[1];
+    assert.ok(partial > 0 && partial < jensen(3));
+});
+
+test('overlapping wakes add as root-sum-square', () => {
+    // Two rotors side by side upstream of a third, both wakes covering it
+    const turbines = [{ x: 0, y: -0.01 }, { x: 0, y: 0.01 }, { x: 10, y: 0 }];
+    const single = computeWakeDeficits([turbines[0], turbines[2]], EAST, PARAMS)[1];
+    const both = computeWakeDeficits(turbines, EAST, PARAMS)[2];
+    near(both, Math.sqrt(2) * single, 1e-6);
+});
+
+test('the drawn wake cone widens by the decay rate', () => {
+    const outline = wakeConeOutline({ x: 0, y: 0 }, EAST, PARAMS, 10);
+    near(outline[0].y - outline[1].y, -1 / PARAMS.spacing);
+    near(outline[2].x, 10 / PARAMS.spacing);
+    near(outline[2].y - outline[3].y, 2 * (0.5 + PARAMS.wakeDecay * 10) / PARAMS.spacing);
+});
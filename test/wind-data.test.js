@@ -0,0 +1,77 @@
+// ===========================
+// RECORDED WIND DATA TESTS
+// ===========================
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { WindDataError, parseWindCsv, parseWindJson, parseWindFile, sampleRecordedWind } = require('../sim/wind-data');
+
+function near(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+}
+
+test('CSV logs parse with aliased headers, comments and any delimiter', () => {
+    const series = parseWindCsv('# mast 3\nTimestamp;Wind Speed;WD;Updraft\n100;5;350;0.5\n\n160;7;-10\n');
+    assert.strictEqual(series.duration, 60);
+    assert.deepStrictEqual(series.samples, [
+        { time: 0, speed: 5, direction: 350, vertical: 0.5 },
+        { time: 60, speed: 7, direction: 350, vertical: 0 }
+    ]);
+});
+
+test('ISO timestamps count seconds from the first row', () => {
+    const series = parseWindCsv('time,speed,direction\n2024-05-01T12:00:00Z,4,90\n2024-05-01T12:10:00Z,6,100\n');
+    assert.deepStrictEqual(series.samples.map(s => s.time), [0, 600]);
+});
+
+test('JSON logs parse as an array or a samples object', () => {
+    const rows = [{ t: 0, ws: 3, dir: 10 }, { t: 30, ws: 4, dir: 20, w: -1 }];
+    assert.deepStrictEqual(parseWindJson(JSON.stringify(rows)), parseWindJson({ samples: rows }));
+    assert.strictEqual(parseWindJson(rows).samples[1].vertical, -1);
+});
+
+test('the file name or content picks the parser', () => {
+    const csv = 'time,speed,direction\n0,1,2\n1,2,3';
+    const json = '[{"time":0,"speed":1,"direction":2},{"time":1,"speed":2,"direction":3}]';
+    assert.deepStrictEqual(parseWindFile('log.txt', csv), parseWindFile('log', json));
+});
+
+test('every bad row is reported with its line number', () => {
+    const text = 'time,speed,direction\n0,5,90\n0,x,90\n10,-1,\n20,5,90';
+    assert.throws(() => parseWindCsv(text), (error) => {
+        assert.ok(error instanceof WindDataError);
+        assert.deepStrictEqual(error.issues, [
+            'Line 3: speed "x" is not a number; timestamp is not after the previous row',
+            'Line 4: direction is missing; speed -1 is negative'
+        ]);
+        return true;
+    });
+});
+
+test('missing columns, empty files and single rows are rejected', () => {
+    assert.throws(() => parseWindCsv('time,speed\n0,1\n1,2'), /Missing "direction" column/);
+    assert.throws(() => parseWindCsv('# only a comment'), /empty/);
+    assert.throws(() => parseWindCsv('time,speed,direction\n0,1,2'), /At least two valid rows/);
+    assert.throws(() => parseWindJson('{"rows": []}'), /"samples" array/);
+    assert.throws(() => parseWindJson('{'), /Invalid JSON/);
+});
+
+test('long reports are cut short with a count of the rest', () => {
+    const lines = ['time,speed,direction'].concat(Array.from({ length: 15 }, (_, i) => `${i},x,0`));
+    assert.throws(() => parseWindCsv(lines.join('\n')), /…and 5 more problems$/);
+});
+
+test('samples interpolate between rows, the short way round north', () => {
+    const series = parseWindJson([{ time: 0, speed: 4, direction: 350 }, { time: 100, speed: 8, direction: 10 }]);
+    const wind = sampleRecordedWind(series, 25, false);
+    near(wind.speed, 5);
+    near(wind.angle, 355);
+    near(sampleRecordedWind(series, 75, false).angle, 5);
+});
+
+test('a series loops or ends when it runs out', () => {
+    const series = parseWindJson([{ time: 0, speed: 4, direction: 0 }, { time: 100, speed: 8, direction: 0 }]);
+    near(sampleRecordedWind(series, 150, true).speed, 6);
+    assert.strictEqual(sampleRecordedWind(series, 100, false).speed, 8);
+    assert.strictEqual(sampleRecordedWind(series, 101, false), null);
+});